@@ -10,9 +10,115 @@ const cors = require('cors');
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { createConversationStore } = require('./lib/conversation-store');
+const { checkConversationAccess } = require('./lib/conversation-access');
+const { checkAdminToken } = require('./lib/admin-access');
+const { normalizeWebhookPayload } = require('./lib/webhook-payloads');
+const { createUploadJobs, isFinished, BOTPRESS_FILE_STATUSES } = require('./lib/upload-jobs');
+const { createTaskQueue } = require('./lib/task-queue');
+const { expandZipArchive } = require('./lib/zip-archives');
+const { DOCUMENT_FORMATS, DOCUMENT_EXTENSIONS, formatForExtension, identifyDocument, prepareDocument, extractText } = require('./lib/document-formats');
+const { crawl, isHttpUrl } = require('./lib/web-crawler');
+const { createSourceStore } = require('./lib/source-store');
+const { createKbSearchIndex } = require('./lib/kb-search');
+const { createAnalyticsStore, summarizeAnalytics } = require('./lib/analytics');
+const {
+  DEFAULT_CATEGORY,
+  parseTags,
+  validateMetadata,
+  toVersionTags,
+  toBotpressTags,
+  toBotpressTagUpdate,
+  toBotpressTagFilters,
+  inheritedTags,
+  describeDocument,
+  matchesSearch
+} = require('./lib/document-metadata');
+const { createLogger, runWithLogContext, addLogContext, bindLogContext } = require('./lib/logger');
+const { createRegistry } = require('./lib/metrics');
+
+// JSON lines with the request's context (see lib/logger.js). Message content stays out of
+// the logs unless LOG_REDACT_CONTENT=false; LOG_LEVEL=debug adds the per-message detail.
+const log = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: process.env.LOG_FORMAT || 'json',
+  redactContent: process.env.LOG_REDACT_CONTENT !== 'false'
+});
+
+// Served on GET /metrics; the gauges over in-memory state are registered next to that route
+const metrics = createRegistry({ prefix: 'chatbot_' });
+const webhookCalls = metrics.counter({
+  name: 'webhook_requests_total',
+  help: 'Calls to /api/botpress-webhook by outcome (accepted, rejected_signature, invalid_payload)',
+  labelNames: ['outcome']
+});
+const webhookProcessingSeconds = metrics.histogram({
+  name: 'webhook_processing_seconds',
+  help: 'Time spent processing an accepted webhook call, by event type and result',
+  labelNames: ['event', 'result']
+});
+const botMessageDeliveries = metrics.counter({
+  name: 'bot_message_deliveries_total',
+  help: 'Bot messages delivered to the chat page, by channel (stream or poll)',
+  labelNames: ['channel']
+});
+const firstBotMessageSeconds = metrics.histogram({
+  name: 'first_bot_message_seconds',
+  help: 'Time from a user message to the first bot message of its turn',
+  buckets: [0.5, 1, 2, 5, 10, 20, 30, 60]
+});
+const botTurnsCompleted = metrics.counter({
+  name: 'bot_turns_completed_total',
+  help: 'Completed bot turns by reason (final, silence, error, restored)',
+  labelNames: ['reason']
+});
+const n8nRequests = metrics.counter({
+  name: 'n8n_requests_total',
+  help: 'Attempts to call an n8n webhook by outcome (success, retry, failed)',
+  labelNames: ['outcome']
+});
+const uploadOutcomes = metrics.counter({
+  name: 'uploads_total',
+  help: 'Finished knowledge-base upload jobs by final status (indexed, failed, skipped) and format',
+  labelNames: ['status', 'format']
+});
+const uploadDurationSeconds = metrics.histogram({
+  name: 'upload_duration_seconds',
+  help: 'Time from an upload job being created to its file being indexed',
+  buckets: [1, 5, 10, 30, 60, 120, 300, 600]
+});
+const botpressApiErrors = metrics.counter({
+  name: 'botpress_api_errors_total',
+  help: 'Failed Botpress API calls by HTTP status (network for calls without a response)',
+  labelNames: ['status']
+});
+
+// Count failed Botpress API calls, whichever route made them
+axios.interceptors.response.use(undefined, (error) => {
+  const url = (error.config && error.config.url) || '';
+  if (/^https:\/\/(api|chat)\.botpress\.cloud\//.test(url)) {
+    botpressApiErrors.inc({ status: error.response ? error.response.status : 'network' });
+  }
+  return Promise.reject(error);
+});
 
 const app = express();
 
+// Every request gets an id (X-Request-Id, or the x-webhook-request-id n8n sends) that tags
+// all of its log lines, including the ones of work it schedules
+app.use((req, res, next) => {
+  const incoming = req.get('x-webhook-request-id') || req.get('x-request-id') || '';
+  req.requestId = incoming.slice(0, 100) || `req-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  res.set('X-Request-Id', req.requestId);
+  runWithLogContext({ requestId: req.requestId }, next);
+});
+
+// Body parsers and multer call next() from stream events, outside the request's log context
+function keepLogContext(middleware) {
+  return (req, res, next) => middleware(req, res, bindLogContext(next));
+}
+
 // Configure CORS to allow all origins temporarily for debugging
 app.use(cors({
   origin: function (origin, callback) {
@@ -35,47 +141,91 @@ app.use(cors({
   },
   credentials: true,
   optionsSuccessStatus: 200,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-user-key']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-user-key', 'x-admin-token']
 }));
 
 // Add body parser with size limits to prevent bad gateway errors
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ limit: '10mb', extended: true }));
+// Keep the raw bytes around so webhook signatures can be checked against exactly what was sent
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(keepLogContext(express.json({ limit: '10mb', verify: keepRawBody })));
+app.use(keepLogContext(express.urlencoded({ limit: '10mb', extended: true, verify: keepRawBody })));
+
+// Documents the knowledge base accepts are listed in lib/document-formats.js. Uploads are
+// filtered by extension here and identified by their content once they are on disk.
+const KB_MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB limit
+const KB_FORMAT_LABELS = Object.values(DOCUMENT_FORMATS).map(format => format.label).join(', ');
+
+// Bulk upload limits: files per request, size of one archive, and what an archive may expand to
+const BULK_UPLOAD_MAX_FILES = Number(process.env.BULK_UPLOAD_MAX_FILES) || 200;
+const BULK_UPLOAD_MAX_ARCHIVE_SIZE = Number(process.env.BULK_UPLOAD_MAX_ARCHIVE_SIZE) || 100 * 1024 * 1024;
+const ZIP_MAX_ENTRIES = Number(process.env.ZIP_MAX_ENTRIES) || 500;
+const ZIP_MAX_EXPANDED_SIZE = Number(process.env.ZIP_MAX_EXPANDED_SIZE) || 500 * 1024 * 1024;
+
+const uploadDir = path.join(__dirname, 'uploads');
 
 // Configure multer for file uploads
+const uploadStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    if (!fs.existsSync(uploadDir)) {
+      fs.mkdirSync(uploadDir, { recursive: true });
+    }
+    cb(null, uploadDir);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
 const upload = multer({
-  storage: multer.diskStorage({
-    destination: (req, file, cb) => {
-      const uploadDir = path.join(__dirname, 'uploads');
-      if (!fs.existsSync(uploadDir)) {
-        fs.mkdirSync(uploadDir, { recursive: true });
-      }
-      cb(null, uploadDir);
-    },
-    filename: (req, file, cb) => {
-      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-      cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+  storage: uploadStorage,
+  limits: {
+    fileSize: KB_MAX_FILE_SIZE
+  },
+  fileFilter: (req, file, cb) => {
+    if (formatForExtension(path.extname(file.originalname))) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid file type. Allowed formats: ${KB_FORMAT_LABELS}.`), false);
     }
-  }),
+  }
+});
+
+function isZipFile(file) {
+  return path.extname(file.originalname).toLowerCase() === '.zip';
+}
+
+// Bulk uploads also take ZIP archives. Files of other types are left out of the request
+// instead of failing it, and reported back per file (req.rejectedFiles).
+const bulkUpload = multer({
+  storage: uploadStorage,
   limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
+    fileSize: BULK_UPLOAD_MAX_ARCHIVE_SIZE,
+    files: BULK_UPLOAD_MAX_FILES
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['application/pdf', 'text/plain', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'application/msword'];
-    if (allowedTypes.includes(file.mimetype)) {
+    if (formatForExtension(path.extname(file.originalname)) || isZipFile(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only PDF, TXT, DOCX, and DOC files are allowed.'), false);
+      req.rejectedFiles = req.rejectedFiles || [];
+      req.rejectedFiles.push(file.originalname);
+      cb(null, false);
     }
   }
 });
 
 // Add request timeout middleware with shorter timeout for webhooks
 app.use((req, res, next) => {
+  // SSE streams stay open on purpose and keep themselves alive with heartbeats
+  if (req.url.endsWith('/stream') || req.url.includes('/stream?')) {
+    return next();
+  }
   const timeout = req.url.includes('/webhook') ? 5000 : 30000; // 5s for webhooks, 30s for others
   res.setTimeout(timeout, () => {
-    console.log(`⚠️ Request timeout (${timeout}ms) for`, req.url);
+    log.warn('Request timed out', { timeoutMs: timeout, method: req.method, path: req.path });
     if (!res.headersSent) {
       res.status(408).json({ error: 'Request timeout' });
     }
@@ -92,18 +242,478 @@ const BASE_URL = `https://chat.botpress.cloud/${API_ID}`;
 
 
 
+// Persistent record of users, conversations and all user/bot messages.
+// The maps below are only the short-lived delivery working set on top of it.
+const conversationStore = createConversationStore({
+  driver: process.env.CONVERSATION_STORE || 'file',
+  filePath: process.env.CONVERSATION_STORE_PATH || path.join(__dirname, 'data', 'conversations.json'),
+  onWriteError: error => log.error('Writing the conversation store failed', { error })
+});
+// Conversations without activity for this long are deleted (0 keeps them forever)
+const CONVERSATION_RETENTION_DAYS = Number(process.env.CONVERSATION_RETENTION_DAYS ?? 90);
+// Undelivered bot messages older than this are not put back into the working set on startup
+const PENDING_RESTORE_MAX_AGE_MS = Number(process.env.PENDING_RESTORE_MAX_AGE_MS) || 60 * 60 * 1000;
+if (!Number.isFinite(CONVERSATION_RETENTION_DAYS) || CONVERSATION_RETENTION_DAYS < 0) {
+  throw new Error('CONVERSATION_RETENTION_DAYS must be a number of days (0 keeps conversations forever)');
+}
+
+// Per-turn events behind GET /api/analytics; what users asked is kept for a shorter time
+const ANALYTICS_QUESTION_RETENTION_DAYS = Number(process.env.ANALYTICS_QUESTION_RETENTION_DAYS ?? 30);
+if (!Number.isFinite(ANALYTICS_QUESTION_RETENTION_DAYS) || ANALYTICS_QUESTION_RETENTION_DAYS < 0) {
+  throw new Error('ANALYTICS_QUESTION_RETENTION_DAYS must be a number of days (0 keeps no question text)');
+}
+const analyticsStore = createAnalyticsStore({
+  driver: process.env.ANALYTICS_STORE || 'file',
+  filePath: process.env.ANALYTICS_STORE_PATH || path.join(__dirname, 'data', 'analytics.json'),
+  retentionDays: Number(process.env.ANALYTICS_RETENTION_DAYS) || 90,
+  questionRetentionDays: ANALYTICS_QUESTION_RETENTION_DAYS,
+  onWriteError: error => log.error('Writing the analytics store failed', { error })
+});
+// How long after a question its answer or the chat page's timeout report can still come in
+const ANALYTICS_LATE_EVENTS_MS = Number(process.env.ANALYTICS_LATE_EVENTS_MS) || 10 * 60 * 1000;
+
+// Analytics must never break the chat itself
+function recordAnalyticsEvent(type, details) {
+  try {
+    analyticsStore.record(type, details);
+  } catch (error) {
+    log.error('Failed to record analytics event', { type, error });
+  }
+}
+
 // Store bot messages separately by timestamp (in production, use Redis or database)
 const botMessages = new Map(); // conversationId -> { messages: [...], lastDelivered: timestamp }
 
 // Global message storage to prevent race conditions
-const globalMessages = {}; // conversationId -> messages array
+const globalMessages = {}; // conversationId -> every bot message still in memory, across turns
 
-// Track user messages to distinguish them from bot responses
+// Latest user message per conversation (debugging aid; turns below carry the real state)
 const userMessages = new Map();
 
 // Track webhook processing to prevent race conditions
 const webhookQueue = new Map(); // conversationId -> processing status
 
+// n8n workflow that receives user messages; only the backend ever calls it
+const N8N_WEBHOOK_URL = process.env.N8N_WEBHOOK_URL || '';
+const N8N_REQUEST_TIMEOUT_MS = Number(process.env.N8N_REQUEST_TIMEOUT_MS) || 15000;
+const N8N_MAX_RETRIES = process.env.N8N_MAX_RETRIES !== undefined ? Number(process.env.N8N_MAX_RETRIES) : 2;
+const N8N_RETRY_BASE_DELAY_MS = Number(process.env.N8N_RETRY_BASE_DELAY_MS) || 500;
+// Optional n8n workflow that receives thumbs up/down feedback on bot answers
+const N8N_FEEDBACK_WEBHOOK_URL = process.env.N8N_FEEDBACK_WEBHOOK_URL || '';
+
+// Optional shared secret for signed webhook calls from n8n (unset = accept unsigned calls)
+const WEBHOOK_SIGNING_SECRET = process.env.WEBHOOK_SIGNING_SECRET || '';
+const WEBHOOK_SIGNATURE_TOLERANCE_SECONDS = Number(process.env.WEBHOOK_SIGNATURE_TOLERANCE_SECONDS) || 300;
+// Token for the report endpoints (feedback, analytics), sent as x-admin-token (unset = reports closed)
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || '';
+
+// Request IDs of signed webhook calls already accepted, kept until they fall out of the tolerance window
+const seenWebhookRequestIds = new Map(); // requestId -> expiresAt
+
+// How long the webhook waits for more bot messages before treating a turn as complete.
+// Only used when n8n does not mark the last message of a turn with `final: true`.
+const BOT_TURN_SILENCE_TIMEOUT_MS = Number(process.env.BOT_TURN_SILENCE_TIMEOUT_MS) || 6000;
+
+// One turn per user message, so a follow-up never discards replies to an earlier message.
+// finalSequence stays undefined until n8n marks the end of the turn (null = no sequence given).
+const botTurns = new Map(); // conversationId -> Map of turnId -> { turnId, userMessageId, userText, startedAt, messages, finalSequence, completed, completedAt, timeoutId }
+
+// Server-Sent Events subscribers and a short replay log for Last-Event-ID resume
+const streamClients = new Map(); // conversationId -> Set of open SSE responses
+const streamEvents = new Map(); // conversationId -> [{ id, event, data }]
+const STREAM_REPLAY_LIMIT = 200;
+const STREAM_HEARTBEAT_MS = 15000;
+let lastStreamEventId = Date.now(); // time based so ids keep increasing across restarts
+
+function nextStreamEventId() {
+  lastStreamEventId = Math.max(Date.now(), lastStreamEventId + 1);
+  return lastStreamEventId;
+}
+
+function writeStreamEvent(res, streamEvent) {
+  res.write(`id: ${streamEvent.id}\nevent: ${streamEvent.event}\ndata: ${JSON.stringify(streamEvent.data)}\n\n`);
+}
+
+// Push an event to everyone listening on a conversation and keep it for replay
+function publishStreamEvent(conversationId, event, data) {
+  const streamEvent = { id: nextStreamEventId(), event, data };
+
+  if (!streamEvents.has(conversationId)) {
+    streamEvents.set(conversationId, []);
+  }
+  const events = streamEvents.get(conversationId);
+  events.push(streamEvent);
+  if (events.length > STREAM_REPLAY_LIMIT) {
+    events.splice(0, events.length - STREAM_REPLAY_LIMIT);
+  }
+
+  const clients = streamClients.get(conversationId);
+  if (!clients || clients.size === 0) {
+    return false;
+  }
+  for (const client of clients) {
+    writeStreamEvent(client, streamEvent);
+  }
+  log.debug('Streamed event', { conversationId, event, eventId: streamEvent.id, clients: clients.size });
+  return true;
+}
+
+// Flag a bot message as handed to the frontend (over `channel`: stream or poll), in memory and in the store
+function markBotMessageDelivered(conversationId, message, channel) {
+  if (message.delivered) {
+    return;
+  }
+  message.delivered = true;
+  botMessageDeliveries.inc({ channel });
+  conversationStore.updateMessage(conversationId, message.id, { delivered: true });
+}
+
+// Stream a stored bot message; it only counts as delivered if someone was listening
+function streamBotMessage(conversationId, message) {
+  if (publishStreamEvent(conversationId, 'message', message)) {
+    markBotMessageDelivered(conversationId, message, 'stream');
+  }
+}
+
+function startTurn(conversationId, { turnId, userMessageId = null, userText = null } = {}) {
+  if (!botTurns.has(conversationId)) {
+    botTurns.set(conversationId, new Map());
+  }
+  const turn = {
+    turnId: turnId || `turn-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+    userMessageId,
+    userText,
+    startedAt: Date.now(),
+    messages: [],
+    finalSequence: undefined,
+    completed: false,
+    completedAt: null,
+    timeoutId: null
+  };
+  botTurns.get(conversationId).set(turn.turnId, turn);
+  return turn;
+}
+
+// Turns still waiting for the bot, oldest first
+function openTurns(conversationId) {
+  const turns = botTurns.get(conversationId);
+  return turns ? Array.from(turns.values()).filter(turn => !turn.completed) : [];
+}
+
+// A turn that will never get an answer (its message did not reach n8n)
+function dropTurn(conversationId, turnId) {
+  const turns = botTurns.get(conversationId);
+  const turn = turns && turns.get(turnId);
+  if (!turn) {
+    return;
+  }
+  clearTimeout(turn.timeoutId);
+  turns.delete(turnId);
+}
+
+// Which turn an incoming bot message belongs to: the turnId n8n echoed back, else the
+// oldest turn still waiting, else the latest turn (a late reply), else a turn the bot
+// started on its own
+function resolveTurn(conversationId, turnId) {
+  const turns = botTurns.get(conversationId);
+  if (turns && turnId && turns.has(turnId)) {
+    return turns.get(turnId);
+  }
+  const waiting = openTurns(conversationId);
+  if (waiting.length > 0) {
+    return waiting[0];
+  }
+  if (turns && turns.size > 0) {
+    return Array.from(turns.values()).pop();
+  }
+  return startTurn(conversationId, { turnId });
+}
+
+// Put bot messages that were stored but never delivered back into the working set,
+// so replies that arrived right before a restart are not lost. Older ones are left to
+// the history API; replaying them would only flood the turns of long-gone sessions.
+function restorePendingBotMessages() {
+  const pending = conversationStore.listPendingBotMessages({ since: Date.now() - PENDING_RESTORE_MAX_AGE_MS });
+  const restoredTurns = new Map(); // turn -> conversationId
+  
+  for (const stored of pending) {
+    const { role, conversationId, ...message } = stored;
+    if (!globalMessages[conversationId]) {
+      globalMessages[conversationId] = [];
+    }
+    globalMessages[conversationId].push(message);
+    const turn = resolveTurn(conversationId, message.turnId);
+    turn.messages.push(message);
+    publishStreamEvent(conversationId, 'message', message);
+    restoredTurns.set(turn, conversationId);
+  }
+  
+  // Their silence timers did not survive the restart, so the turns count as complete
+  for (const [turn, conversationId] of restoredTurns) {
+    completeBotTurn(conversationId, turn, 'restored');
+  }
+  
+  if (pending.length > 0) {
+    log.info('Restored undelivered bot messages', { messages: pending.length, turns: restoredTurns.size, store: conversationStore.driver });
+  }
+}
+
+// Order by n8n's sequence within a turn, by arrival time otherwise
+function compareBotMessages(a, b) {
+  if (a.turnId === b.turnId && a.sequence && b.sequence) {
+    return a.sequence - b.sequence;
+  }
+  return a.timestamp - b.timestamp;
+}
+
+// A turn is finished once its final message arrived and no earlier sequence is missing
+function isTurnFinished(turn) {
+  if (turn.finalSequence === undefined) {
+    return false;
+  }
+  if (turn.finalSequence === null) {
+    return true;
+  }
+  const receivedSequences = new Set(
+    turn.messages
+      .filter(msg => msg.sequence)
+      .map(msg => msg.sequence)
+  );
+  for (let position = 1; position <= turn.finalSequence; position++) {
+    if (!receivedSequences.has(position)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Mark everything n8n sent for a turn as ready for delivery
+function completeBotTurn(conversationId, turn, reason) {
+  clearTimeout(turn.timeoutId);
+  turn.timeoutId = null;
+  turn.completed = true;
+  turn.completedAt = Date.now();
+  botTurnsCompleted.inc({ reason });
+  
+  if (turn.userMessageId) {
+    recordAnalyticsEvent('turn_completed', {
+      conversationId,
+      turnId: turn.turnId,
+      reason,
+      messageCount: turn.messages.length,
+      durationMs: turn.completedAt - turn.startedAt
+    });
+  }
+  
+  const finalMessages = turn.messages;
+  finalMessages.sort(compareBotMessages);
+  log.debug('Final message order', {
+    conversationId,
+    turnId: turn.turnId,
+    messages: finalMessages.map(msg => ({ id: msg.id, sequence: msg.sequence, receivedAt: msg.receivedAt, hasImage: Boolean(msg.image) }))
+  });
+  
+  // Update Map data for delivery
+  let conversationData = botMessages.get(conversationId);
+  if (!conversationData) {
+    conversationData = {
+      messages: [],
+      lastDelivered: 0,
+      allMessagesReceived: false,
+      deliveryTimeoutId: null
+    };
+    botMessages.set(conversationId, conversationData);
+  }
+  
+  // Add this turn's messages to what is ready for delivery, keeping earlier turns
+  const readyIds = new Set(conversationData.messages.map(msg => msg.id));
+  conversationData.messages.push(...finalMessages.filter(msg => !readyIds.has(msg.id)));
+  conversationData.messages.sort(compareBotMessages);
+  conversationData.allMessagesReceived = true;
+  conversationData.deliveryTimeoutId = null;
+  
+  const stillWaiting = openTurns(conversationId).length;
+  log.info('Turn complete', { conversationId, turnId: turn.turnId, reason, messageCount: finalMessages.length, pendingTurns: stillWaiting });
+  
+  publishStreamEvent(conversationId, 'turn-complete', {
+    messageCount: finalMessages.length,
+    turnId: turn.turnId,
+    reason,
+    pendingTurns: stillWaiting
+  });
+}
+
+// Relay n8n's typing/progress/error updates to the chat; they are never stored as messages
+function relayBotStatus(conversationId, { type, label, error, turnId }) {
+  // Status for a conversation with no turns yet still reaches the chat, but opens no turn
+  const turns = botTurns.get(conversationId);
+  const turn = turns && turns.size > 0 ? resolveTurn(conversationId, turnId) : null;
+  
+  publishStreamEvent(conversationId, 'status', {
+    type,
+    label,
+    error,
+    turnId: turn ? turn.turnId : turnId,
+    timestamp: Date.now()
+  });
+  
+  if (!turn) {
+    return;
+  }
+  if (type === 'error') {
+    log.warn('Workflow reported an error', { conversationId, turnId: turn.turnId, error: error || null });
+    completeBotTurn(conversationId, turn, 'error');
+    return;
+  }
+  // n8n is still working on it, so keep the silence fallback from closing the turn
+  if (turn.timeoutId) {
+    scheduleTurnCompletion(conversationId, turn);
+  }
+}
+
+// Release the turn right away when n8n marked it final, otherwise (re)start the silence fallback
+function scheduleTurnCompletion(conversationId, turn) {
+  clearTimeout(turn.timeoutId);
+  turn.timeoutId = null;
+  
+  if (isTurnFinished(turn)) {
+    completeBotTurn(conversationId, turn, 'final');
+    return;
+  }
+  
+  log.debug('Waiting for more messages from n8n', { conversationId, turnId: turn.turnId, silenceTimeoutMs: BOT_TURN_SILENCE_TIMEOUT_MS });
+  turn.timeoutId = setTimeout(() => {
+    completeBotTurn(conversationId, turn, 'silence');
+  }, BOT_TURN_SILENCE_TIMEOUT_MS);
+}
+
+// Start a new turn with the user's message and store it in the transcript.
+// Turns already in progress keep collecting their replies.
+function recordUserMessage(conversationId, text, extra = {}) {
+  addLogContext({ conversationId });
+  const userTrackingTimestamp = new Date().toISOString();
+  const userMessageTimestamp = Date.now();
+  const turn = startTurn(conversationId, { userText: text });
+  
+  const storedUserMessage = conversationStore.addMessage(conversationId, {
+    id: `user-msg-${userMessageTimestamp}-${Math.random().toString(36).substr(2, 6)}`,
+    role: 'user',
+    text: text,
+    timestamp: userMessageTimestamp,
+    receivedAt: userTrackingTimestamp,
+    turnId: turn.turnId,
+    ...extra
+  });
+  turn.userMessageId = storedUserMessage.id;
+  recordAnalyticsEvent('user_message', { conversationId, turnId: turn.turnId, text });
+  
+  userMessages.set(conversationId, {
+    text: text,
+    timestamp: userMessageTimestamp,
+    trackedAt: userTrackingTimestamp,
+    turnId: turn.turnId
+  });
+  
+  log.info('User message recorded', { messageId: storedUserMessage.id, turnId: turn.turnId, text, openTurns: openTurns(conversationId).length });
+  return storedUserMessage;
+}
+
+// Timeouts, network errors, rate limits and 5xx are worth another try; other 4xx are not
+function isRetryableN8nError(error) {
+  if (!error.response) return true;
+  return error.response.status === 429 || error.response.status >= 500;
+}
+
+// POST to an n8n webhook, retrying with exponential backoff; `what` names the payload in logs
+async function postToN8n(url, body, what) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await axios.post(url, body, {
+        timeout: N8N_REQUEST_TIMEOUT_MS,
+        headers: { 'Content-Type': 'application/json' }
+      });
+      n8nRequests.inc({ outcome: 'success' });
+      log.info('Forwarded to n8n', { what, attempt: attempt + 1, status: response.status });
+      return { attempts: attempt + 1 };
+    } catch (error) {
+      const reason = error.response ? `status ${error.response.status}` : error.message;
+      if (attempt >= N8N_MAX_RETRIES || !isRetryableN8nError(error)) {
+        n8nRequests.inc({ outcome: 'failed' });
+        log.error('Giving up on n8n', { what, attempts: attempt + 1, reason });
+        error.attempts = attempt + 1;
+        throw error;
+      }
+      const delay = N8N_RETRY_BASE_DELAY_MS * 2 ** attempt;
+      n8nRequests.inc({ outcome: 'retry' });
+      log.warn('n8n attempt failed, retrying', { what, attempt: attempt + 1, reason, delayMs: delay });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// POST a user message to the n8n workflow.
+// n8n may see the same messageId more than once if a timed-out attempt still got through.
+async function forwardToN8n(message) {
+  if (!N8N_WEBHOOK_URL) {
+    throw new Error('N8N_WEBHOOK_URL is not configured');
+  }
+  return postToN8n(N8N_WEBHOOK_URL, message, `message ${message.messageId}`);
+}
+
+// Forward a stored user message, record the outcome on it and tell the chat over the stream.
+// Runs after the request has been answered: with retries it can outlast the request timeout.
+async function deliverUserMessage(conversation, storedMessage, value) {
+  const delivered = await forwardUserMessage(conversation, storedMessage, value);
+  publishStreamEvent(conversation.id, 'delivery', {
+    messageId: delivered.id,
+    turnId: delivered.turnId,
+    status: delivered.status,
+    attempts: delivered.attempts,
+    error: delivered.error || null
+  });
+  return delivered;
+}
+
+async function forwardUserMessage(conversation, storedMessage, value) {
+  try {
+    const { attempts } = await forwardToN8n({
+      conversationId: conversation.id,
+      messageId: storedMessage.id,
+      // n8n should send this back on its replies so they land in the right turn
+      turnId: storedMessage.turnId,
+      text: storedMessage.text,
+      ...(value !== undefined && { value }),
+      userKey: conversation.userKey
+    });
+    return conversationStore.updateMessage(conversation.id, storedMessage.id, {
+      status: 'sent',
+      attempts,
+      sentAt: new Date().toISOString()
+    });
+  } catch (error) {
+    dropTurn(conversation.id, storedMessage.turnId);
+    return conversationStore.updateMessage(conversation.id, storedMessage.id, {
+      status: 'failed',
+      attempts: error.attempts || 1,
+      error: error.response ? `n8n responded with ${error.response.status}` : error.message
+    });
+  }
+}
+
+// Deliver in the background; the outcome follows as a `delivery` stream event
+function acceptUserMessage(res, conversation, storedMessage, value) {
+  res.status(202).json({
+    success: true,
+    messageId: storedMessage.id,
+    turnId: storedMessage.turnId,
+    status: 'pending',
+    timestamp: storedMessage.timestamp
+  });
+  deliverUserMessage(conversation, storedMessage, value).catch(error => {
+    log.error('Error delivering message', { messageId: storedMessage.id, error });
+  });
+}
+
 app.post('/api/user', async (req, res) => {
   try {
     const response = await fetch(`${BASE_URL}/users`, {
@@ -121,60 +731,29 @@ app.post('/api/user', async (req, res) => {
       return res.status(500).json({ error: 'User or user key missing in Botpress response' });
     }
     
+    conversationStore.saveUser({ id: data.user.id, userKey: data.key });
+    
     res.json({ user: data.user, userKey: data.key });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Track user messages before sending to N8N
+// Track user messages before sending to N8N (kept for clients that still call n8n themselves)
 app.post('/api/track-user-message', async (req, res) => {
   const { conversationId, text } = req.body;
-  const userTrackingTimestamp = new Date().toISOString();
-  console.log(`🔵 TRACKING USER MESSAGE at ${userTrackingTimestamp}: "${text}" for conversation ${conversationId}`);
   
   if (!conversationId || !text) {
-    console.log('❌ TRACKING FAILED: Missing conversationId or text');
+    log.warn('Tracking failed: missing conversationId or text');
     return res.status(400).json({ error: 'Missing conversationId or text' });
   }
   
-  // Clean up any previous state for this conversation before tracking new message
-  console.log(`🧹 CLEANING UP PREVIOUS STATE for conversation ${conversationId}`);
-  
-  // Clear any existing bot messages for this conversation
-  if (botMessages.has(conversationId)) {
-    const oldConversationData = botMessages.get(conversationId);
-    // Clear any pending timeout
-    if (oldConversationData && oldConversationData.deliveryTimeoutId) {
-      clearTimeout(oldConversationData.deliveryTimeoutId);
-      console.log(`   ✅ Cleared old delivery timeout`);
-    }
-    botMessages.delete(conversationId);
-    console.log(`   ✅ Removed old bot messages`);
-  }
-  
-  // Also clear global storage for this conversation
-  if (globalMessages[conversationId]) {
-    delete globalMessages[conversationId];
-    console.log(`   ✅ Cleared global message storage`);
-  }
-  
-  // Store user message with timestamp to track what the user actually sent
-  userMessages.set(conversationId, {
-    text: text,
-    timestamp: Date.now(),
-    trackedAt: userTrackingTimestamp
-  });
-  
-  console.log(`✅ USER MESSAGE TRACKED SUCCESSFULLY at ${userTrackingTimestamp}. Total tracked: ${userMessages.size}`);
-  console.log(`   Stored: "${text}" for conversation ${conversationId}`);
-  console.log(`   State cleaned and ready for new message cycle`);
-  
-  res.json({ success: true });
+  const storedUserMessage = recordUserMessage(conversationId, text);
+  res.json({ success: true, messageId: storedUserMessage.id, turnId: storedUserMessage.turnId });
 });
 
 app.post('/api/conversation', async (req, res) => {
-  const { userKey } = req.body;
+  const { userKey, title } = req.body;
   try {
     const response = await fetch(`${BASE_URL}/conversations`, {
       method: 'POST',
@@ -192,6 +771,14 @@ app.post('/api/conversation', async (req, res) => {
       return res.status(500).json({ error: 'Conversation missing in Botpress response' });
     }
     
+    conversationStore.saveConversation({
+      id: data.conversation.id,
+      userKey: userKey,
+      title: title ? String(title).trim().substring(0, 100) : null,
+      archived: false,
+      createdAt: data.conversation.createdAt || new Date().toISOString()
+    });
+    
     res.json({ conversation: data.conversation });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -254,97 +841,202 @@ app.get('/api/messages', async (req, res) => {
   }
 });
 
-app.post('/api/botpress-webhook', async (req, res) => {
+/**
+ * Checks signed webhook calls when WEBHOOK_SIGNING_SECRET is set.
+ *
+ * n8n sends three headers:
+ *   x-webhook-timestamp:  unix time in seconds
+ *   x-webhook-request-id: unique id per call (used for replay protection)
+ *   x-webhook-signature:  sha256=<hex HMAC-SHA256 of `${timestamp}.${requestId}.${rawBody}` with the shared secret>
+ *
+ * The request id is signed so a captured call cannot be replayed under a new id.
+ * Signed bodies must be JSON or urlencoded; other bodies are not kept raw and are rejected.
+ *
+ * In an n8n Function node:
+ *   const body = JSON.stringify(payload);
+ *   const timestamp = Math.floor(Date.now() / 1000);
+ *   const requestId = require('crypto').randomUUID();
+ *   const signature = require('crypto').createHmac('sha256', secret).update(`${timestamp}.${requestId}.${body}`).digest('hex');
+ */
+function verifyWebhookSignature(req, res, next) {
+  if (!WEBHOOK_SIGNING_SECRET) {
+    return next();
+  }
+  
+  const reject = (reason) => {
+    webhookCalls.inc({ outcome: 'rejected_signature' });
+    log.warn('Webhook rejected', { reason });
+    res.status(401).json({ success: false, error: 'Invalid webhook signature', reason });
+  };
+  
+  const signatureHeader = req.get('x-webhook-signature') || '';
+  const timestampHeader = req.get('x-webhook-timestamp') || '';
+  const requestId = req.get('x-webhook-request-id') || '';
+  
+  if (!signatureHeader || !timestampHeader || !requestId) {
+    return reject('Missing x-webhook-signature, x-webhook-timestamp or x-webhook-request-id header');
+  }
+  
+  const timestamp = Number(timestampHeader);
+  if (!Number.isFinite(timestamp)) {
+    return reject('x-webhook-timestamp is not a number');
+  }
+  // Be lenient about senders that use milliseconds
+  const timestampSeconds = timestamp > 1e12 ? timestamp / 1000 : timestamp;
+  const nowSeconds = Date.now() / 1000;
+  if (Math.abs(nowSeconds - timestampSeconds) > WEBHOOK_SIGNATURE_TOLERANCE_SECONDS) {
+    return reject(`Timestamp outside the ${WEBHOOK_SIGNATURE_TOLERANCE_SECONDS}s tolerance`);
+  }
+  
+  const hasBody = Number(req.get('content-length')) > 0 || Boolean(req.get('transfer-encoding'));
+  if (hasBody && !req.rawBody) {
+    return reject('Signed webhook bodies must be application/json or application/x-www-form-urlencoded');
+  }
+  
+  const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+  const expected = crypto
+    .createHmac('sha256', WEBHOOK_SIGNING_SECRET)
+    .update(`${timestampHeader}.${requestId}.${rawBody}`)
+    .digest('hex');
+  const received = signatureHeader.replace(/^sha256=/, '');
+  
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const receivedBuffer = Buffer.from(received, 'hex');
+  if (receivedBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(receivedBuffer, expectedBuffer)) {
+    return reject('Signature mismatch');
+  }
+  
+  // Forget request IDs that can no longer pass the timestamp check anyway
+  const now = Date.now();
+  for (const [seenId, expiresAt] of seenWebhookRequestIds.entries()) {
+    if (expiresAt < now) {
+      seenWebhookRequestIds.delete(seenId);
+    }
+  }
+  if (seenWebhookRequestIds.has(requestId)) {
+    return reject(`Replayed request ID ${requestId}`);
+  }
+  seenWebhookRequestIds.set(requestId, now + WEBHOOK_SIGNATURE_TOLERANCE_SECONDS * 2 * 1000);
+  
+  next();
+}
+
+app.post('/api/botpress-webhook', verifyWebhookSignature, async (req, res) => {
   // Immediately respond to prevent timeout/bad gateway
   const timestamp = new Date().toISOString();
-  const requestId = `req-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  const requestId = req.requestId;
+  const stopTimer = webhookProcessingSeconds.startTimer();
+  
+  // Match the body against the declared payload schemas (see lib/webhook-payloads.js).
+  // ?validate=strict turns problems into a 422 so workflow authors see them right away.
+  const strictValidation = req.query.validate === 'strict';
+  const normalized = normalizeWebhookPayload(req.body);
+  if (!normalized.valid) {
+    log.warn(strictValidation ? 'Webhook payload rejected' : 'Webhook payload has problems', {
+      schema: normalized.schema || null,
+      errors: normalized.errors
+    });
+    if (strictValidation) {
+      webhookCalls.inc({ outcome: 'invalid_payload' });
+      return res.status(422).json({
+        success: false,
+        requestId: requestId,
+        schema: normalized.schema,
+        errors: normalized.errors
+      });
+    }
+  }
   
   // Send immediate response to N8N to prevent bad gateway
+  webhookCalls.inc({ outcome: 'accepted' });
   res.status(200).json({ 
     success: true,
     requestId: requestId,
     timestamp: timestamp,
-    message: 'Webhook received and processing'
+    message: 'Webhook received and processing',
+    schema: normalized.schema,
+    ...(normalized.valid ? {} : { warnings: normalized.errors })
   });
   
   // Process webhook asynchronously to prevent blocking
   setImmediate(async () => {
+    let eventType = 'none';
     try {
-      console.log(`🔄 WEBHOOK RECEIVED FROM N8N at ${timestamp} (ID: ${requestId}):`);
-      console.log('📋 Full request body:', JSON.stringify(req.body, null, 2));
-      
-      // Show current state before processing
-      console.log(`📊 CURRENT STATE BEFORE PROCESSING:`);
-      console.log(`   Bot messages stored: ${botMessages.size}`);
-      console.log(`   User messages tracked: ${userMessages.size}`);
-      
-      // Debug: Show all stored conversations
-      if (botMessages.size > 0) {
-        console.log(`🔍 DEBUG: All stored conversations:`);
-        for (const [convId, convData] of botMessages.entries()) {
-          console.log(`   📝 ${convId}: ${convData.messages.length} messages, allReceived: ${convData.allMessagesReceived}`);
-        }
-      }
+      log.debug('Webhook received from n8n', {
+        schema: normalized.schema || null,
+        body: req.body,
+        botMessageConversations: botMessages.size,
+        userMessagesTracked: userMessages.size
+      });
     
-    const body = req.body;
-    let conversationId, botText, isBot, botImage;
-    
-    // Try multiple extraction patterns
-    if (body.body && body.body.data) {
-      // N8N sends: { body: { data: { conversationId, payload: { text, image }, isBot } } }
-      conversationId = body.body.data.conversationId;
-      botText = body.body.data.payload?.text || body.body.data.text;
-      botImage = body.body.data.payload?.image || body.body.data.payload?.imageUrl || body.body.data.image || body.body.data.imageUrl;
-      isBot = body.body.data.isBot;
-      console.log('📍 Using body.body.data pattern');
-    } else if (body.conversationId) {
-      // Direct structure: { conversationId, payload: { text, image }, isBot }
-      conversationId = body.conversationId;
-      botText = body.payload?.text || body.text;
-      botImage = body.payload?.image || body.payload?.imageUrl || body.image || body.imageUrl;
-      isBot = body.isBot;
-      console.log('📍 Using body.conversationId pattern');
-    } else if (body.text || body.image || body.imageUrl) {
-      // Simple text/image structure
-      botText = body.text;
-      botImage = body.image || body.imageUrl;
-      isBot = body.isBot;
-      console.log('📍 Using body.text/image/imageUrl pattern');
-    }
-    
-    console.log(`🔍 Extracted: conversationId="${conversationId}", text="${botText}", image="${botImage ? 'present' : 'none'}", isBot="${isBot}"`);
-    console.log(`🔍 Type of isBot: ${typeof isBot}`);
-    console.log(`🔍 Raw isBot value: ${JSON.stringify(isBot)}`);
-    if (botImage) {
-      console.log(`🖼️ Image data type: ${typeof botImage}, length: ${typeof botImage === 'string' ? botImage.length : 'N/A'}`);
-    }
-    
-    // Check if this matches a tracked user message
-    const trackedUserMessage = userMessages.get(conversationId);
-    if (trackedUserMessage) {
-      console.log(`🔍 Tracked user message: "${trackedUserMessage.text}"`);
-      console.log(`🔍 Incoming message: "${botText}"`);
-      console.log(`🔍 Messages match: ${trackedUserMessage.text === botText}`);
-    } else {
-      console.log(`🔍 No tracked user message found for this conversation`);
+    if (!normalized.message) {
+      log.warn('Nothing to process in webhook call');
+      stopTimer({ event: eventType, result: 'success' });
+      return;
     }
     
+    const {
+      conversationId,
+      text: botText,
+      image: botImage,
+      payload: richPayload,
+      sources,
+      isBot,
+      turnId,
+      sequence,
+      final: isFinal
+    } = normalized.message;
+    eventType = normalized.message.type;
+    addLogContext({ conversationId });
+    
+    if (eventType !== 'message') {
+      log.info('Status event', { event: eventType, label: normalized.message.label || null });
+      if (conversationId) {
+        relayBotStatus(conversationId, normalized.message);
+      }
+      stopTimer({ event: eventType, result: 'success' });
+      return;
+    }
+    
+    log.debug('Webhook message', {
+      schema: normalized.schema,
+      text: botText,
+      imageLength: typeof botImage === 'string' ? botImage.length : null,
+      payloadType: richPayload ? richPayload.type : null,
+      sources: sources ? sources.length : 0,
+      isBot,
+      turnId,
+      sequence,
+      final: isFinal
+    });
+    
+    // Check if this matches a user message that is still waiting for an answer
+    const waitingTurns = openTurns(conversationId);
+    
     // Use the isBot field from N8N to determine if we should display this message
-    // Handle both boolean and string values for isBot
-    const isBotMessage = isBot === true || isBot === "true";
-    const isUserMessage = isBot === false || isBot === "false";
+    // (the schema already turned "true"/"false" strings into booleans). Without it,
+    // the only thing we can reliably tell apart is n8n echoing the user's own text back.
+    const echoesUserMessage = !!botText && waitingTurns.some(turn => turn.userText === botText);
+    const isBotMessage = isBot === true || (isBot === null && !echoesUserMessage);
+    const isUserMessage = isBot === false || (isBot === null && echoesUserMessage);
+    if (isBot === null) {
+      log.warn('Webhook message has no isBot field', { treatedAs: isBotMessage ? 'bot' : 'user', openTurns: waitingTurns.length, echoesUserMessage });
+    }
     
     if (isBotMessage) {
       const botMessageTimestamp = new Date().toISOString();
-      console.log(`🤖 IDENTIFIED AS BOT MESSAGE (isBot: true) at ${botMessageTimestamp} - will store and display separately`);
       
-      if (conversationId && (botText || botImage) && (!botText || !botText.includes('{{ $json'))) {
-        console.log(`💾 STORING INDIVIDUAL BOT MESSAGE at ${botMessageTimestamp}: "${botText || '[IMAGE]'}"`);
-        
+      if (conversationId && (botText || botImage || richPayload) && (!botText || !botText.includes('{{ $json'))) {
         // SIMPLE FIX: Use both Map and global object to prevent race conditions
         if (!globalMessages[conversationId]) {
           globalMessages[conversationId] = [];
-          console.log(`📦 Created new global storage for: ${conversationId}`);
+        }
+        
+        // Attach the reply to its turn, even when it arrives after the turn was closed
+        const turn = resolveTurn(conversationId, turnId);
+        if (turn.completed) {
+          log.info('Late reply, reopening turn', { turnId: turn.turnId });
+          turn.completed = false;
         }
         
         // Store message in global storage immediately
@@ -352,147 +1044,71 @@ app.post('/api/botpress-webhook', async (req, res) => {
         const newMessage = {
           text: botText || null,
           image: botImage || null,
+          payload: richPayload || null,
+          // Knowledge-base documents the answer was drawn from
+          sources: sources || null,
           timestamp: messageTimestamp,
           receivedAt: botMessageTimestamp,
           id: `bot-msg-${messageTimestamp}-${Math.random().toString(36).substr(2, 6)}`,
+          turnId: turn.turnId,
+          sequence: sequence,
           delivered: false
         };
         
         globalMessages[conversationId].push(newMessage);
-        console.log(`📝 STORED MESSAGE ${globalMessages[conversationId].length}: "${botText || '[IMAGE]'}" ${botImage ? '[+IMAGE]' : ''}`);
-        console.log(`📊 Total messages in global storage: ${globalMessages[conversationId].length}`);
-        
-        // CRITICAL FIX: Use SHARED timeout for the conversation, not per-message timeout
-        // Clear any existing timeout - this is the key fix
-        if (global.conversationTimeouts && global.conversationTimeouts[conversationId]) {
-          clearTimeout(global.conversationTimeouts[conversationId]);
-          console.log(`🧹 Cleared previous GLOBAL timeout for conversation: ${conversationId}`);
+        if (turn.userMessageId && turn.messages.length === 0) {
+          firstBotMessageSeconds.observe({}, (messageTimestamp - turn.startedAt) / 1000);
+          recordAnalyticsEvent('first_bot_message', {
+            conversationId,
+            turnId: turn.turnId,
+            latencyMs: messageTimestamp - turn.startedAt
+          });
         }
+        turn.messages.push(newMessage);
+        conversationStore.addMessage(conversationId, { ...newMessage, role: 'bot' });
+        log.info('Stored bot message', {
+          messageId: newMessage.id,
+          turnId: turn.turnId,
+          sequence,
+          text: botText,
+          hasImage: Boolean(botImage),
+          payloadType: richPayload ? richPayload.type : null
+        });
         
-        // Initialize global timeouts if not exists
-        if (!global.conversationTimeouts) {
-          global.conversationTimeouts = {};
-        }
+        // Push the message to open streams right away instead of waiting for the timeout
+        streamBotMessage(conversationId, newMessage);
         
-        // Set ONE timeout per conversation that gets reset with each new message
-        console.log(`⏰ Setting 6-second timeout to deliver ALL messages after n8n finishes...`);
-        global.conversationTimeouts[conversationId] = setTimeout(() => {
-          console.log(`⏰ TIMEOUT: N8N finished sending messages for ${conversationId}`);
-          
-          // Use global storage for final count and delivery
-          const finalMessages = globalMessages[conversationId] || [];
-          console.log(`🎯 Final message count from global storage: ${finalMessages.length} messages`);
-          
-          // Sort all messages by timestamp for final delivery
-          finalMessages.sort((a, b) => a.timestamp - b.timestamp);
-          
-          console.log(`📋 Final message order (sorted by timestamp):`);
-          finalMessages.forEach((msg, index) => {
-            const displayText = msg.text ? msg.text.substring(0, 50) + (msg.text.length > 50 ? '...' : '') : '[IMAGE]';
-            console.log(`   Position ${index + 1}: "${displayText}" ${msg.image ? '[+IMAGE]' : ''} (${msg.receivedAt})`);
-          });
-          
-          // Update Map data for delivery
-          let conversationData = botMessages.get(conversationId);
-          if (!conversationData) {
-            conversationData = {
-              messages: [],
-              lastDelivered: 0,
-              allMessagesReceived: false,
-              deliveryTimeoutId: null
-            };
-            botMessages.set(conversationId, conversationData);
-          }
-          
-          // Set all messages as ready for delivery
-          conversationData.messages = finalMessages;
-          conversationData.allMessagesReceived = true;
-          conversationData.deliveryTimeoutId = null;
-          
-          console.log(`✅ All ${finalMessages.length} messages ready for delivery in correct timestamp order`);
-          
-          // Clean up the tracked user message since we got bot response(s)
-          userMessages.delete(conversationId);
-          console.log(`🧹 Cleaned up tracked user message for conversation: ${conversationId}`);
-          
-          // Clean up the global timeout
-          delete global.conversationTimeouts[conversationId];
-          
-        }, 6000); // Wait 6 seconds after last message before delivering all (increased for larger message sets)
+        // Remember n8n's end-of-turn marker so the turn can be released without waiting
+        if (isFinal) {
+          turn.finalSequence = sequence;
+          log.debug('Final message received', { turnId: turn.turnId, sequence });
+        }
         
-        console.log(`⏱️ Waiting 6 seconds for additional messages from n8n...`);
+        scheduleTurnCompletion(conversationId, turn);
+      } else if (conversationId && isFinal) {
+        // Bare end-of-turn signal without any content of its own
+        // Its own sequence number comes after the last real message
+        const turn = resolveTurn(conversationId, turnId);
+        if (turn.completed) {
+          log.debug('Final signal for an already completed turn', { turnId: turn.turnId });
+        } else {
+          log.debug('Final signal received', { turnId: turn.turnId });
+          turn.finalSequence = sequence ? sequence - 1 : null;
+          scheduleTurnCompletion(conversationId, turn);
+        }
       }
     } else if (isUserMessage) {
-      console.log('👤 IDENTIFIED AS USER MESSAGE (isBot: false) - will NOT store or display');
+      log.debug('Ignoring echoed user message');
       // Don't store user messages, they're already displayed by the frontend
-    } else {
-      console.log('⚠️ NO isBot FIELD FOUND - falling back to old behavior');
-      // Fallback to old logic if isBot field is missing (for backwards compatibility)
-      const trackedUserMessage = userMessages.get(conversationId);
-      const looksLikeBotResponse = 
-        botText && (
-          botText.length > 20 ||                                    
-          botText.includes('!') ||                                  
-          botText.includes('?') ||                                  
-          botText.includes('helpen') || botText.includes('kan ik') || 
-          /[A-Z].*[a-z].*[.!?]/.test(botText)
-        );
-        
-      if (!trackedUserMessage || (trackedUserMessage && botText !== trackedUserMessage.text)) {
-        if ((looksLikeBotResponse || botImage) && conversationId && (botText || botImage) && (!botText || !botText.includes('{{ $json'))) {
-          console.log(`💾 FALLBACK: STORING BOT MESSAGE: "${botText || '[IMAGE]'}"`);
-          
-          // Get or create conversation data
-          let conversationData = botMessages.get(conversationId);
-          if (!conversationData) {
-            conversationData = {
-              messages: [],
-              lastDelivered: 0,
-              allMessagesReceived: false,
-              deliveryTimeoutId: null
-            };
-            botMessages.set(conversationId, conversationData);
-          }
-          
-          // Store as individual message
-          const messageTimestamp = Date.now();
-          conversationData.messages.push({
-            text: botText || null,
-            image: botImage || null,
-            timestamp: messageTimestamp,
-            receivedAt: new Date().toISOString(),
-            id: `bot-fallback-${messageTimestamp}`,
-            delivered: false
-          });
-          
-          // Sort messages by timestamp
-          conversationData.messages.sort((a, b) => a.timestamp - b.timestamp);
-          
-          // Set timeout for fallback delivery as well
-          if (conversationData.deliveryTimeoutId) {
-            clearTimeout(conversationData.deliveryTimeoutId);
-          }
-          
-          conversationData.deliveryTimeoutId = setTimeout(() => {
-            conversationData.allMessagesReceived = true;
-            conversationData.deliveryTimeoutId = null;
-            console.log(`✅ FALLBACK: Messages ready for delivery`);
-          }, 6000);
-          
-          userMessages.delete(conversationId);
-        }
-      }
     }
     
       // Clean up old messages and user messages (older than 5 minutes)
       const fiveMinutesAgo = Date.now() - (5 * 60 * 1000);
-      console.log(`🧹 CLEANUP: Starting cleanup of messages older than 5 minutes`);
       const beforeCleanup = botMessages.size;
       
       for (const [key, value] of botMessages.entries()) {
         // Don't clean up conversations that are still receiving messages
         if (!value.allMessagesReceived && value.deliveryTimeoutId) {
-          console.log(`🧹 SKIPPING cleanup for conversation ${key} - still receiving messages`);
           continue;
         }
         
@@ -500,42 +1116,63 @@ app.post('/api/botpress-webhook', async (req, res) => {
         const filteredMessages = value.messages.filter(msg => msg.timestamp >= fiveMinutesAgo);
         if (filteredMessages.length !== value.messages.length) {
           value.messages = filteredMessages;
-          console.log(`🧹 Cleaned up old messages for conversation: ${key}`);
+          log.debug('Cleaned up old messages', { conversationId: key });
         }
         // Remove empty conversation data
         if (value.messages.length === 0) {
           // Clear timeout before removing conversation
           if (value.deliveryTimeoutId) {
             clearTimeout(value.deliveryTimeoutId);
-            console.log(`🧹 Cleared delivery timeout for conversation: ${key}`);
         }
           botMessages.delete(key);
-          console.log(`🧹 Deleted empty conversation: ${key}`);
+          log.debug('Dropped empty conversation from the working set', { conversationId: key });
         }
       }
       
       const afterCleanup = botMessages.size;
-      console.log(`🧹 CLEANUP: ${beforeCleanup} → ${afterCleanup} conversations (removed ${beforeCleanup - afterCleanup})`);
-      
-      if (beforeCleanup > 0 && afterCleanup === 0) {
-        console.log(`⚠️ WARNING: All conversations were cleaned up! This might indicate a timing issue.`);
+      if (afterCleanup !== beforeCleanup) {
+        log.debug('Cleaned up the working set', { before: beforeCleanup, after: afterCleanup });
       }
       for (const [key, value] of userMessages.entries()) {
         if (value.timestamp < fiveMinutesAgo) {
           userMessages.delete(key);
         }
       }
+      // Forget finished turns once everything is delivered, and turns n8n never answered
+      for (const [key, turns] of botTurns.entries()) {
+        for (const turn of turns.values()) {
+          const delivered = turn.completed && turn.completedAt < fiveMinutesAgo && turn.messages.every(msg => msg.delivered);
+          const abandoned = !turn.completed && turn.messages.length === 0 && turn.startedAt < fiveMinutesAgo;
+          if (delivered || abandoned) {
+            dropTurn(key, turn.turnId);
+            if (globalMessages[key]) {
+              globalMessages[key] = globalMessages[key].filter(msg => msg.turnId !== turn.turnId);
+            }
+          }
+        }
+        if (turns.size === 0) {
+          botTurns.delete(key);
+          delete globalMessages[key];
+        }
+      }
       for (const [key, value] of webhookQueue.entries()) {
         if (value.lastUpdate < fiveMinutesAgo) {
           webhookQueue.delete(key);
-          console.log(`🧹 Cleaned up old webhook queue entry for conversation: ${key}`);
+        }
+      }
+      for (const [key, events] of streamEvents.entries()) {
+        const lastEvent = events[events.length - 1];
+        if (!streamClients.has(key) && (!lastEvent || lastEvent.id < fiveMinutesAgo)) {
+          streamEvents.delete(key);
         }
       }
       
-      console.log(`✅ Webhook processing completed for request ${requestId}`);
+      stopTimer({ event: eventType, result: 'success' });
+      log.debug('Webhook processing completed');
       
     } catch (error) {
-      console.error(`❌ WEBHOOK ERROR for request ${requestId}:`, error);
+      stopTimer({ event: eventType, result: 'error' });
+      log.error('Webhook processing failed', { error });
       // Note: We already sent response to N8N, so just log the error
     }
   });
@@ -545,14 +1182,13 @@ app.post('/api/botpress-webhook', async (req, res) => {
 app.get('/api/bot-response/:conversationId', async (req, res) => {
   try {
     const { conversationId } = req.params;
+    addLogContext({ conversationId });
     let conversationData = botMessages.get(conversationId);
     
     // FALLBACK: Use global storage if Map data is missing, but check if still collecting
     if (!conversationData && globalMessages[conversationId]) {
-      console.log(`📤 FALLBACK: Found global storage for conversation: ${conversationId}`);
-      
-      // Check if we're still collecting messages (timeout exists)
-      const stillCollecting = global.conversationTimeouts && global.conversationTimeouts[conversationId];
+      // Check if we're still collecting messages (a turn is still open)
+      const stillCollecting = openTurns(conversationId).length > 0;
       
       conversationData = {
         messages: globalMessages[conversationId],
@@ -561,7 +1197,7 @@ app.get('/api/bot-response/:conversationId', async (req, res) => {
         deliveryTimeoutId: null
       };
       
-      console.log(`📤 FALLBACK: Using global storage with ${conversationData.messages.length} messages, stillCollecting: ${stillCollecting}`);
+      log.debug('Polling falls back to global storage', { messages: conversationData.messages.length, stillCollecting });
     }
     
     if (conversationData && conversationData.messages.length > 0) {
@@ -570,38 +1206,26 @@ app.get('/api/bot-response/:conversationId', async (req, res) => {
         // Find undelivered messages sorted by timestamp
         const undeliveredMessages = conversationData.messages
           .filter(msg => !msg.delivered)
-          .sort((a, b) => a.timestamp - b.timestamp);
+          .sort(compareBotMessages);
         
         if (undeliveredMessages.length > 0) {
-          const deliveryTimestamp = new Date().toISOString();
-          console.log(`📤 Sending ALL ${undeliveredMessages.length} bot messages to frontend at ${deliveryTimestamp}:`);
-          console.log(`📤 Total messages in conversation: ${conversationData.messages.length}, Undelivered: ${undeliveredMessages.length}`);
-          console.log(`📤 N8N finished sending - delivering complete set in timestamp order`);
-          
-          // Log each message being delivered
-          undeliveredMessages.forEach((msg, idx) => {
-            const displayText = msg.text ? msg.text.substring(0, 100) + (msg.text.length > 100 ? '...' : '') : '[IMAGE]';
-            console.log(`   Message ${idx + 1}: "${displayText}" ${msg.image ? '[+IMAGE: ' + msg.image.substring(0, 50) + '...]' : ''} (${msg.receivedAt})`);
+          log.info('Delivering bot messages by polling', {
+            delivered: undeliveredMessages.length,
+            total: conversationData.messages.length,
+            messageIds: undeliveredMessages.map(msg => msg.id)
           });
           
           // Mark messages as delivered
           undeliveredMessages.forEach(msg => {
-            msg.delivered = true;
+            markBotMessageDelivered(conversationId, msg, 'poll');
           });
       
-          // Show final state after delivery
-          console.log(`📊 STATE AFTER DELIVERY:`);
-          console.log(`   Bot messages stored: ${botMessages.size}`);
-          console.log(`   User messages tracked: ${userMessages.size}`);
-          console.log(`🏁 Ready for next message cycle`);
-      
           res.json({ 
             success: true, 
             messages: undeliveredMessages
           });
         } else {
-          console.log(`❌ ALL MESSAGES ALREADY DELIVERED for conversation: ${conversationId}`);
-          console.log(`📊 This conversation has ${conversationData.messages.length} total messages, all already delivered`);
+          log.debug('All bot messages already delivered', { total: conversationData.messages.length });
           res.json({ 
             success: false, 
             message: 'All messages already delivered' 
@@ -609,10 +1233,8 @@ app.get('/api/bot-response/:conversationId', async (req, res) => {
         }
       } else {
         // N8N still sending messages - wait for completion
-        const timeoutExists = global.conversationTimeouts && global.conversationTimeouts[conversationId];
-        console.log(`⏳ N8N still sending messages for conversation: ${conversationId}`);
-        console.log(`📊 Current messages: ${conversationData.messages.length}, timeout active: ${!!timeoutExists}`);
-        console.log(`📊 Expected completion in ~${timeoutExists ? '6' : '0'} seconds...`);
+        const timeoutExists = openTurns(conversationId).some(turn => turn.timeoutId);
+        log.debug('n8n still sending messages', { messages: conversationData.messages.length, timeoutActive: !!timeoutExists });
         res.json({ 
           success: false, 
           message: 'Still collecting messages from n8n',
@@ -621,22 +1243,535 @@ app.get('/api/bot-response/:conversationId', async (req, res) => {
         });
       }
     } else {
-      console.log(`❌ NO BOT MESSAGES FOUND for conversation: ${conversationId}`);
-      console.log(`📊 Current state: ${botMessages.size} conversation(s) with messages`);
+      log.debug('No bot messages available', { botMessageConversations: botMessages.size });
       res.json({ 
         success: false, 
         message: 'No bot messages available' 
       });
     }
   } catch (error) {
-    console.error('❌ Error getting bot messages:', error);
+    log.error('Error getting bot messages', { error });
     res.status(500).json({ error: 'Failed to get bot messages' });
   }
 });
 
-app.get('/api/botpress-webhook', async (req, res) => {
-  res.json({ status: 'healthy', timestamp: Date.now() });
-});
+// Look up a stored conversation and check it belongs to the caller's x-user-key (or `userKey`
+// where the key cannot come as a header). Sends the error response itself and returns null
+// when the caller may not use it.
+function findOwnedConversation(req, res, conversationId, userKey = req.get('x-user-key')) {
+  const conversation = conversationStore.getConversation(conversationId);
+  const denied = checkConversationAccess(conversation, userKey);
+  if (denied) {
+    res.status(denied.status).json({ success: false, error: denied.error });
+    return null;
+  }
+  return conversation;
+}
+
+// Reports are for admins only (see lib/admin-access.js)
+function requireAdmin(req, res, next) {
+  const denied = checkAdminToken(ADMIN_API_TOKEN, req.get('x-admin-token'));
+  if (denied) {
+    return res.status(denied.status).json({ success: false, error: denied.error });
+  }
+  next();
+}
+
+function truncateText(text, length) {
+  return text.length > length ? text.substring(0, length) + '...' : text;
+}
+
+// Sidebar entry: title, last message preview and bot messages since the last read
+function summarizeConversation(conversation) {
+  const { messages } = conversationStore.listMessages(conversation.id);
+  const lastMessage = messages[messages.length - 1];
+  const firstUserMessage = messages.find(msg => msg.role === 'user' && msg.text);
+  const lastReadAt = conversation.lastReadAt ? Date.parse(conversation.lastReadAt) : 0;
+  
+  return {
+    id: conversation.id,
+    title: conversation.title || (firstUserMessage ? truncateText(firstUserMessage.text, 40) : 'New conversation'),
+    archived: !!conversation.archived,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+    lastMessage: lastMessage ? {
+      text: lastMessage.text ? truncateText(lastMessage.text, 80) : (lastMessage.image ? '[Image]' : (lastMessage.payload ? `[${lastMessage.payload.type}]` : '')),
+      isBot: lastMessage.role === 'bot',
+      timestamp: lastMessage.timestamp
+    } : null,
+    unreadCount: messages.filter(msg => msg.role === 'bot' && msg.timestamp > lastReadAt).length
+  };
+}
+
+// Drop everything the webhook keeps in memory for a conversation
+function clearConversationState(conversationId) {
+  const conversationData = botMessages.get(conversationId);
+  if (conversationData && conversationData.deliveryTimeoutId) {
+    clearTimeout(conversationData.deliveryTimeoutId);
+  }
+  for (const turn of (botTurns.get(conversationId) || new Map()).values()) {
+    clearTimeout(turn.timeoutId);
+  }
+  botMessages.delete(conversationId);
+  delete globalMessages[conversationId];
+  userMessages.delete(conversationId);
+  botTurns.delete(conversationId);
+  streamEvents.delete(conversationId);
+}
+
+// List the conversations of the user identified by x-user-key, most recent first
+app.get('/api/conversations', async (req, res) => {
+  const userKey = req.get('x-user-key');
+  if (!userKey) {
+    return res.status(401).json({ success: false, error: 'Missing x-user-key header' });
+  }
+  
+  try {
+    // archived=false (default) hides archived threads, archived=true shows only those, archived=all shows both
+    const archivedFilter = req.query.archived || 'false';
+    const conversations = conversationStore.listConversations({ userKey })
+      .filter(conversation => archivedFilter === 'all' || !!conversation.archived === (archivedFilter === 'true'))
+      .map(summarizeConversation)
+      .sort((a, b) => (b.lastMessage?.timestamp || Date.parse(b.createdAt)) - (a.lastMessage?.timestamp || Date.parse(a.createdAt)));
+    
+    res.json({ success: true, conversations });
+  } catch (error) {
+    log.error('Error listing conversations', { error });
+    res.status(500).json({ success: false, error: 'Failed to list conversations' });
+  }
+});
+
+// Rename and/or (un)archive a conversation
+app.patch('/api/conversations/:id', async (req, res) => {
+  const conversation = findOwnedConversation(req, res, req.params.id);
+  if (!conversation) return;
+  
+  const { title, archived } = req.body;
+  const changes = {};
+  if (title !== undefined) {
+    const trimmedTitle = title === null ? '' : String(title).trim();
+    changes.title = trimmedTitle ? trimmedTitle.substring(0, 100) : null;
+  }
+  if (archived !== undefined) {
+    changes.archived = archived === true || archived === 'true';
+  }
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ success: false, error: 'Nothing to update: send title and/or archived' });
+  }
+  
+  const updated = conversationStore.updateConversation(conversation.id, changes);
+  log.info('Conversation updated', { conversationId: conversation.id, fields: Object.keys(changes) });
+  res.json({ success: true, conversation: summarizeConversation(updated) });
+});
+
+// Everything up to now has been seen; resets the unread count
+app.post('/api/conversations/:id/read', async (req, res) => {
+  const conversation = findOwnedConversation(req, res, req.params.id);
+  if (!conversation) return;
+  
+  const updated = conversationStore.updateConversation(conversation.id, { lastReadAt: new Date().toISOString() });
+  res.json({ success: true, conversation: summarizeConversation(updated) });
+});
+
+app.delete('/api/conversations/:id', async (req, res) => {
+  const conversation = findOwnedConversation(req, res, req.params.id);
+  if (!conversation) return;
+  
+  try {
+    // Best effort: our copy is what the UI shows, so a Botpress failure should not block deletion
+    if (conversation.userKey) {
+      try {
+        await fetch(`${BASE_URL}/conversations/${conversation.id}`, {
+          method: 'DELETE',
+          headers: {
+            'accept': 'application/json',
+            'x-user-key': conversation.userKey
+          }
+        });
+      } catch (error) {
+        log.warn('Could not delete conversation in Botpress', { conversationId: conversation.id, error: error.message });
+      }
+    }
+    
+    clearConversationState(conversation.id);
+    conversationStore.deleteConversation(conversation.id);
+    log.info('Conversation deleted', { conversationId: conversation.id });
+    
+    res.json({ success: true });
+  } catch (error) {
+    log.error('Error deleting conversation', { error });
+    res.status(500).json({ success: false, error: 'Failed to delete conversation' });
+  }
+});
+
+// Conversation transcript (user and bot turns), newest page first via a `before` cursor
+app.get('/api/conversations/:id/messages', async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  
+  try {
+    const conversation = findOwnedConversation(req, res, req.params.id);
+    if (!conversation) return;
+    const conversationId = conversation.id;
+    
+    const page = conversationStore.listMessages(conversationId, { before: req.query.before, limit });
+    
+    res.json({
+      success: true,
+      conversationId,
+      messages: page.messages.map(msg => ({
+        id: msg.id,
+        role: msg.role,
+        isBot: msg.role === 'bot',
+        text: msg.text || null,
+        image: msg.image || null,
+        payload: msg.payload || null,
+        sources: msg.sources || null,
+        feedback: msg.feedback || null,
+        timestamp: msg.timestamp,
+        receivedAt: msg.receivedAt,
+        turnId: msg.turnId || null,
+        sequence: msg.sequence || null,
+        status: msg.status || null
+      })),
+      nextCursor: page.nextCursor,
+      hasMore: !!page.nextCursor
+    });
+  } catch (error) {
+    log.error('Error loading conversation history', { error });
+    res.status(500).json({ success: false, error: 'Failed to load conversation history' });
+  }
+});
+
+// Send a user message: stored and answered with 202 right away, then forwarded to n8n by the backend
+app.post('/api/conversations/:id/messages', async (req, res) => {
+  const { text, value } = req.body;
+  
+  if (typeof text !== 'string' || text.trim() === '') {
+    return res.status(400).json({ success: false, error: 'Message text is required' });
+  }
+  if (value !== undefined && typeof value !== 'string') {
+    return res.status(400).json({ success: false, error: 'value must be a string' });
+  }
+  
+  try {
+    const conversation = findOwnedConversation(req, res, req.params.id);
+    if (!conversation) return;
+    
+    const storedMessage = recordUserMessage(conversation.id, text.trim(), {
+      status: 'pending',
+      ...(value !== undefined && { value })
+    });
+    acceptUserMessage(res, conversation, storedMessage, value);
+  } catch (error) {
+    log.error('Error sending message', { error });
+    res.status(500).json({ success: false, error: 'Failed to send message' });
+  }
+});
+
+// Try a failed message again without storing it a second time
+app.post('/api/conversations/:id/messages/:messageId/retry', async (req, res) => {
+  try {
+    const conversation = findOwnedConversation(req, res, req.params.id);
+    if (!conversation) return;
+    
+    const { messages } = conversationStore.listMessages(conversation.id);
+    const storedMessage = messages.find(msg => msg.id === req.params.messageId && msg.role === 'user');
+    if (!storedMessage) {
+      return res.status(404).json({ success: false, error: 'Message not found' });
+    }
+    if (storedMessage.status !== 'failed') {
+      return res.status(409).json({ success: false, error: `Message is ${storedMessage.status || 'sent'}, not failed` });
+    }
+    
+    // The failed attempt's turn was dropped; wait for replies under the same turn id again
+    startTurn(conversation.id, {
+      turnId: storedMessage.turnId,
+      userMessageId: storedMessage.id,
+      userText: storedMessage.text
+    });
+    const pendingMessage = conversationStore.updateMessage(conversation.id, storedMessage.id, { status: 'pending', error: null });
+    acceptUserMessage(res, conversation, pendingMessage, storedMessage.value);
+  } catch (error) {
+    log.error('Error retrying message', { error });
+    res.status(500).json({ success: false, error: 'Failed to retry message' });
+  }
+});
+
+const FEEDBACK_RATINGS = ['up', 'down'];
+const MAX_FEEDBACK_COMMENT_LENGTH = 1000;
+
+// The user questions of the given conversations: turnId -> text of the turn's user message
+function questionsByTurn(conversationIds) {
+  const questions = new Map();
+  for (const conversationId of new Set(conversationIds)) {
+    for (const msg of conversationStore.listMessages(conversationId).messages) {
+      if (msg.role === 'user' && msg.turnId && !questions.has(msg.turnId)) {
+        questions.set(msg.turnId, msg.text);
+      }
+    }
+  }
+  return questions;
+}
+
+// Feedback as reported and forwarded: the rating plus what was asked (`questions` from
+// questionsByTurn) and answered
+function describeFeedback(message, questions) {
+  return {
+    messageId: message.id,
+    conversationId: message.conversationId,
+    rating: message.feedback.rating,
+    comment: message.feedback.comment,
+    createdAt: message.feedback.createdAt,
+    updatedAt: message.feedback.updatedAt,
+    forwardedAt: message.feedback.forwardedAt || null,
+    question: (message.turnId && questions.get(message.turnId)) || null,
+    answer: message.text || null,
+    sources: message.sources || []
+  };
+}
+
+async function forwardFeedback(message) {
+  if (!N8N_FEEDBACK_WEBHOOK_URL) {
+    return;
+  }
+  try {
+    await postToN8n(N8N_FEEDBACK_WEBHOOK_URL, { event: 'feedback', ...describeFeedback(message, questionsByTurn([message.conversationId])) }, `feedback on ${message.id}`);
+    // Unless the user changed their feedback in the meantime
+    const current = conversationStore.findMessage(message.id);
+    if (current && current.feedback && current.feedback.updatedAt === message.feedback.updatedAt) {
+      conversationStore.updateMessage(message.conversationId, message.id, {
+        feedback: { ...current.feedback, forwardedAt: new Date().toISOString() }
+      });
+    }
+  } catch (error) {
+    // Stays in the report either way; forwardedAt shows it never reached n8n
+  }
+}
+
+// Thumbs up/down with an optional comment on a bot message. Sending it again replaces the
+// earlier feedback. Body: { rating: 'up' | 'down', comment? }
+app.post('/api/messages/:id/feedback', async (req, res) => {
+  const { rating, comment } = req.body || {};
+  if (!FEEDBACK_RATINGS.includes(rating)) {
+    return res.status(400).json({ success: false, error: `rating must be one of ${FEEDBACK_RATINGS.join(', ')}` });
+  }
+  if (comment !== undefined && comment !== null && (typeof comment !== 'string' || comment.length > MAX_FEEDBACK_COMMENT_LENGTH)) {
+    return res.status(400).json({ success: false, error: `comment must be a string of at most ${MAX_FEEDBACK_COMMENT_LENGTH} characters` });
+  }
+
+  try {
+    // Access is checked before anything else. An unknown id is checked like a conversation
+    // nobody owns, so callers get the same 401/403 whether or not a message exists.
+    const message = conversationStore.findMessage(req.params.id);
+    const conversation = message ? conversationStore.getConversation(message.conversationId) : null;
+    const denied = checkConversationAccess(conversation || { id: null }, req.get('x-user-key'));
+    if (denied) {
+      return res.status(denied.status).json({ success: false, error: denied.error });
+    }
+    if (message.role !== 'bot') {
+      return res.status(400).json({ success: false, error: 'Only bot messages can be rated' });
+    }
+
+    const now = new Date().toISOString();
+    const updated = conversationStore.updateMessage(message.conversationId, message.id, {
+      feedback: {
+        rating,
+        comment: comment ? comment.trim() : null,
+        createdAt: message.feedback ? message.feedback.createdAt : now,
+        updatedAt: now
+      }
+    });
+    log.info('Feedback saved', { conversationId: message.conversationId, messageId: message.id, rating, comment: updated.feedback.comment });
+    forwardFeedback(updated);
+    res.json({ success: true, feedback: updated.feedback });
+  } catch (error) {
+    log.error('Error saving feedback', { error });
+    res.status(500).json({ success: false, error: 'Failed to save feedback' });
+  }
+});
+
+// Spreadsheet apps run cells starting with = + - @ as formulas, and some skip a leading tab or
+// carriage return before looking
+function toCsvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const FEEDBACK_CSV_COLUMNS = ['createdAt', 'rating', 'comment', 'question', 'answer', 'sources', 'conversationId', 'messageId'];
+
+// Feedback report, newest first. Query: from, to (dates or ISO timestamps), rating (up|down),
+// format=csv for a spreadsheet download. Admins only.
+app.get('/api/feedback', requireAdmin, (req, res) => {
+  const { from, to, rating, format } = req.query;
+  const fromTime = from ? Date.parse(from) : null;
+  // A bare date as `to` includes that whole day
+  const toTime = to ? Date.parse(to) + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 24 * 60 * 60 * 1000 - 1 : 0) : null;
+  if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+    return res.status(400).json({ success: false, error: 'from and to must be dates (YYYY-MM-DD) or ISO timestamps' });
+  }
+  if (rating !== undefined && !FEEDBACK_RATINGS.includes(rating)) {
+    return res.status(400).json({ success: false, error: `rating must be one of ${FEEDBACK_RATINGS.join(', ')}` });
+  }
+
+  try {
+    const messages = conversationStore.listFeedbackMessages()
+      .filter(message => {
+        const createdAt = Date.parse(message.feedback.createdAt);
+        return (fromTime === null || createdAt >= fromTime)
+          && (toTime === null || createdAt <= toTime)
+          && (!rating || message.feedback.rating === rating);
+      })
+      .reverse();
+    const questions = questionsByTurn(messages.map(message => message.conversationId));
+    const feedback = messages.map(message => describeFeedback(message, questions));
+
+    if (format === 'csv') {
+      const rows = feedback.map(entry => FEEDBACK_CSV_COLUMNS.map(column => toCsvCell(column === 'sources'
+        ? entry.sources.map(source => source.title || source.fileId).join('; ')
+        : entry[column])).join(','));
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="feedback-${new Date().toISOString().slice(0, 10)}.csv"`
+      });
+      return res.send([FEEDBACK_CSV_COLUMNS.join(','), ...rows].join('\r\n'));
+    }
+
+    res.json({
+      success: true,
+      counts: {
+        up: feedback.filter(entry => entry.rating === 'up').length,
+        down: feedback.filter(entry => entry.rating === 'down').length
+      },
+      feedback
+    });
+  } catch (error) {
+    log.error('Error building feedback report', { error });
+    res.status(500).json({ success: false, error: 'Failed to build feedback report' });
+  }
+});
+
+const ANALYTICS_DEFAULT_DAYS = 30;
+const ANALYTICS_MAX_DAYS = 366;
+
+// The chat page gave up waiting for the bot's answer to a turn; counted as a timeout in
+// GET /api/analytics
+app.post('/api/conversations/:id/turns/:turnId/timeout', (req, res) => {
+  const conversation = findOwnedConversation(req, res, req.params.id);
+  if (!conversation) return;
+  const { turnId } = req.params;
+  const asked = conversationStore.listMessages(conversation.id).messages
+    .some(message => message.role === 'user' && message.turnId === turnId);
+  if (!asked) {
+    return res.status(404).json({ success: false, error: 'Turn not found' });
+  }
+  recordAnalyticsEvent('turn_timed_out', { conversationId: conversation.id, turnId });
+  log.info('Chat page timed out waiting for the bot', { conversationId: conversation.id, turnId });
+  res.json({ success: true });
+});
+
+// Dashboard numbers for questions asked between `from` and `to` (dates, both inclusive;
+// default the last 30 days): conversations per day, latency, timeout rate and top questions.
+// Admins only.
+app.get('/api/analytics', requireAdmin, (req, res) => {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+  const { from, to } = req.query;
+  if ((from !== undefined && !isDate(from)) || (to !== undefined && !isDate(to))) {
+    return res.status(400).json({ success: false, error: 'from and to must be dates (YYYY-MM-DD)' });
+  }
+
+  const toTime = to ? Date.parse(to) + dayMs : Math.floor(Date.now() / dayMs) * dayMs + dayMs;
+  const fromTime = from ? Date.parse(from) : toTime - ANALYTICS_DEFAULT_DAYS * dayMs;
+  if (fromTime >= toTime) {
+    return res.status(400).json({ success: false, error: 'from must not be after to' });
+  }
+  if (toTime - fromTime > ANALYTICS_MAX_DAYS * dayMs) {
+    return res.status(400).json({ success: false, error: `At most ${ANALYTICS_MAX_DAYS} days at a time` });
+  }
+
+  try {
+    // Answers and timeouts of questions asked just before `to` may arrive after it
+    const events = analyticsStore.listEvents({ from: fromTime, to: toTime + ANALYTICS_LATE_EVENTS_MS });
+    res.json({
+      success: true,
+      range: {
+        from: new Date(fromTime).toISOString().slice(0, 10),
+        to: new Date(toTime - dayMs).toISOString().slice(0, 10)
+      },
+      questionRetentionDays: ANALYTICS_QUESTION_RETENTION_DAYS,
+      ...summarizeAnalytics(events, { from: fromTime, to: toTime })
+    });
+  } catch (error) {
+    log.error('Error building analytics', { error });
+    res.status(500).json({ success: false, error: 'Failed to build analytics' });
+  }
+});
+
+// Live stream of bot messages for a conversation (replaces polling /api/bot-response)
+app.get('/api/conversations/:id/stream', (req, res) => {
+  // EventSource cannot send headers, so the user key comes as ?userKey=
+  const userKey = typeof req.query.userKey === 'string' ? req.query.userKey : undefined;
+  if (!findOwnedConversation(req, res, req.params.id, userKey)) return;
+  const conversationId = req.params.id;
+  const lastEventId = Number(req.get('Last-Event-ID') || req.query.lastEventId) || null;
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 3000\n\n');
+  
+  // Replay what the client missed: everything after Last-Event-ID on resume,
+  // or everything from the first undelivered message on a fresh connection
+  const events = streamEvents.get(conversationId) || [];
+  let replay = [];
+  if (lastEventId) {
+    replay = events.filter(streamEvent => streamEvent.id > lastEventId);
+  } else {
+    const firstPending = events.findIndex(streamEvent => streamEvent.event === 'message' && !streamEvent.data.delivered);
+    if (firstPending !== -1) {
+      replay = events.slice(firstPending);
+    }
+  }
+  replay.forEach(streamEvent => {
+    writeStreamEvent(res, streamEvent);
+    if (streamEvent.event === 'message') {
+      markBotMessageDelivered(conversationId, streamEvent.data, 'stream');
+    }
+  });
+  
+  if (!streamClients.has(conversationId)) {
+    streamClients.set(conversationId, new Set());
+  }
+  streamClients.get(conversationId).add(res);
+  log.info('Stream opened', { conversationId, lastEventId, replayed: replay.length });
+  
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, STREAM_HEARTBEAT_MS);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const clients = streamClients.get(conversationId);
+    if (clients) {
+      clients.delete(res);
+      if (clients.size === 0) {
+        streamClients.delete(conversationId);
+      }
+    }
+    log.info('Stream closed', { conversationId });
+  });
+});
+
+app.get('/api/botpress-webhook', async (req, res) => {
+  res.json({ status: 'healthy', timestamp: Date.now() });
+});
 
 // Health check endpoint
 app.get('/health', async (req, res) => {
@@ -646,14 +1781,54 @@ app.get('/health', async (req, res) => {
     activeConversations: {
       botMessages: botMessages.size,
       userMessages: userMessages.size,
-      totalBotMessages: Array.from(botMessages.values()).reduce((total, conv) => total + conv.messages.length, 0)
-    }
+      totalBotMessages: Array.from(botMessages.values()).reduce((total, conv) => total + conv.messages.length, 0),
+      openTurns: Array.from(botTurns.keys()).reduce((total, convId) => total + openTurns(convId).length, 0),
+      streams: Array.from(streamClients.values()).reduce((total, clients) => total + clients.size, 0)
+    },
+    store: conversationStore.stats()
   });
 });
 
+// Sizes of the in-memory working sets, read whenever /metrics is scraped
+metrics.gauge({
+  name: 'memory_map_entries',
+  help: 'Entries in the in-memory maps of the backend, by map',
+  collect: () => [
+    { labels: { map: 'botMessages' }, value: botMessages.size },
+    { labels: { map: 'globalMessages' }, value: Object.keys(globalMessages).length },
+    { labels: { map: 'userMessages' }, value: userMessages.size },
+    { labels: { map: 'webhookQueue' }, value: webhookQueue.size },
+    { labels: { map: 'botTurns' }, value: Array.from(botTurns.values()).reduce((total, turns) => total + turns.size, 0) },
+    { labels: { map: 'streamClients' }, value: streamClients.size },
+    { labels: { map: 'streamEvents' }, value: streamEvents.size },
+    { labels: { map: 'seenWebhookRequestIds' }, value: seenWebhookRequestIds.size },
+    { labels: { map: 'uploadJobs' }, value: uploadJobs.list().length }
+  ]
+});
+metrics.gauge({
+  name: 'open_turns',
+  help: 'Turns still waiting for the bot',
+  collect: () => Array.from(botTurns.keys()).reduce((total, convId) => total + openTurns(convId).length, 0)
+});
+metrics.gauge({
+  name: 'stream_connections',
+  help: 'Open Server-Sent Events connections',
+  collect: () => Array.from(streamClients.values()).reduce((total, clients) => total + clients.size, 0)
+});
+metrics.gauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory of the backend process',
+  collect: () => process.memoryUsage().rss
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', metrics.contentType);
+  res.send(metrics.render());
+});
+
 // Debug endpoint to clear all state (for testing)
 app.post('/api/debug/clear-all', async (req, res) => {
-  console.log('🧹 FORCE CLEARING ALL STATE');
   
   const beforeCounts = {
     botMessages: botMessages.size,
@@ -662,11 +1837,18 @@ app.post('/api/debug/clear-all', async (req, res) => {
   };
   
   // Clear all maps
+  for (const turns of botTurns.values()) {
+    for (const turn of turns.values()) {
+      clearTimeout(turn.timeoutId);
+    }
+  }
   botMessages.clear();
+  botTurns.clear();
   userMessages.clear();
   webhookQueue.clear();
+  streamEvents.clear();
   
-  console.log(`✅ Cleared all state. Before: ${JSON.stringify(beforeCounts)}, After: all 0`);
+  log.warn('Cleared all state', { before: beforeCounts });
   
   res.json({ 
     success: true,
@@ -677,65 +1859,219 @@ app.post('/api/debug/clear-all', async (req, res) => {
 });
 
 // File upload endpoint for Botpress knowledge base
-app.post('/api/upload', upload.single('file'), async (req, res) => {
+// Knowledge-base uploads run in the background; the info page follows them via /api/uploads/:jobId
+const uploadJobs = createUploadJobs({
+  onFinish: (job) => {
+    uploadOutcomes.inc({ status: job.status, format: job.format || 'unknown' });
+    if (job.status === 'indexed') {
+      uploadDurationSeconds.observe({}, (Date.parse(job.updatedAt) - Date.parse(job.createdAt)) / 1000);
+    }
+  }
+});
+// How often a status request may ask Botpress about a file, and how long indexing may take at most
+const UPLOAD_STATUS_POLL_MS = Number(process.env.UPLOAD_STATUS_POLL_MS) || 2000;
+const UPLOAD_INDEXING_TIMEOUT_MS = Number(process.env.UPLOAD_INDEXING_TIMEOUT_MS) || 10 * 60 * 1000;
+// Bulk uploads share one queue so a 200-file batch does not fire 200 Botpress pipelines at once
+const KB_UPLOAD_CONCURRENCY = Number(process.env.KB_UPLOAD_CONCURRENCY) || 3;
+const ingestQueue = createTaskQueue({ concurrency: KB_UPLOAD_CONCURRENCY });
+// Status checks per batch report request, so a large batch does not hammer Botpress either
+const BATCH_REFRESH_LIMIT = 10;
+
+// Get or create the knowledge base uploads go into
+async function resolveKnowledgeBaseId() {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+    const kbListResponse = await axios.get('https://api.botpress.cloud/v1/knowledge-bases', {
+      headers: {
+        'Authorization': `Bearer ${BOTPRESS_API_TOKEN}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    if (kbListResponse.data && kbListResponse.data.length > 0) {
+      log.info('Found knowledge base', { knowledgeBaseId: kbListResponse.data[0].id });
+      return kbListResponse.data[0].id;
     }
+    log.warn('No knowledge bases found, trying to create one');
+    const createKbResponse = await axios.post('https://api.botpress.cloud/v1/knowledge-bases', {
+      name: 'Documents',
+      description: 'Knowledge base for uploaded documents'
+    }, {
+      headers: {
+        'Authorization': `Bearer ${BOTPRESS_API_TOKEN}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    log.info('Created new knowledge base', { knowledgeBaseId: createKbResponse.data.id });
+    return createKbResponse.data.id;
+  } catch (error) {
+    log.warn('Failed to get/create knowledge base', { error: error.response?.status || error.message });
+    log.info('Falling back to hardcoded knowledge base', { knowledgeBaseId: 'kb-bfdcb1988f' });
+    return 'kb-bfdcb1988f';
+  }
+}
 
-    console.log(`📁 File upload received: ${req.file.originalname} (${req.file.size} bytes)`);
-    console.log(`📁 File type: ${req.file.mimetype}`);
-    
-    // Step 1: Get or create knowledge base and determine kbId
-    let knowledgeBaseId = null;
-    try {
-      const kbListResponse = await axios.get('https://api.botpress.cloud/v1/knowledge-bases', {
-        headers: {
-          'Authorization': `Bearer ${BOTPRESS_API_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      if (kbListResponse.data && kbListResponse.data.length > 0) {
-        knowledgeBaseId = kbListResponse.data[0].id;
-        console.log(`✅ Found knowledge base: ${knowledgeBaseId}`);
-      } else {
-        console.log(`⚠️ No knowledge bases found, trying to create one...`);
-        const createKbResponse = await axios.post('https://api.botpress.cloud/v1/knowledge-bases', {
-          name: 'Documents',
-          description: 'Knowledge base for uploaded documents'
-        }, {
-          headers: {
-            'Authorization': `Bearer ${BOTPRESS_API_TOKEN}`,
-            'Content-Type': 'application/json'
-          }
-        });
-        knowledgeBaseId = createKbResponse.data.id;
-        console.log(`✅ Created new knowledge base: ${knowledgeBaseId}`);
+function describeBotpressError(error) {
+  if (error.response) {
+    const details = error.response.data && (error.response.data.message || JSON.stringify(error.response.data));
+    return `Botpress responded with ${error.response.status}${details ? `: ${details}` : ''}`;
+  }
+  return error.message;
+}
+
+function deleteBotpressFile(fileId) {
+  return axios.delete(`https://api.botpress.cloud/v1/files/${fileId}`, {
+    headers: {
+      'Authorization': `Bearer ${BOTPRESS_API_TOKEN}`,
+      'x-bot-id': BOT_ID,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+async function getBotpressFile(fileId) {
+  const fileRes = await axios.get(`https://api.botpress.cloud/v1/files/${fileId}`, {
+    headers: {
+      'Authorization': `Bearer ${BOTPRESS_API_TOKEN}`,
+      'x-bot-id': BOT_ID,
+      'Content-Type': 'application/json'
+    }
+  });
+  return fileRes.data.file || fileRes.data;
+}
+
+// Botpress merges the given tags into the file's tags; null removes a tag
+async function updateBotpressFileTags(fileId, tags) {
+  const updateRes = await axios.put(`https://api.botpress.cloud/v1/files/${fileId}`, { tags }, {
+    headers: {
+      'Authorization': `Bearer ${BOTPRESS_API_TOKEN}`,
+      'x-bot-id': BOT_ID,
+      'Content-Type': 'application/json'
+    }
+  });
+  return updateRes.data.file || updateRes.data;
+}
+
+// Add a registered file to a knowledge base; returns the KB document ID (if Botpress gave one)
+async function addToKnowledgeBase(knowledgeBaseId, fileId, name) {
+  const knowledgeBaseResponse = await axios.post(`https://api.botpress.cloud/v3/knowledge-bases/${knowledgeBaseId}/documents`, {
+    name,
+    type: 'file',
+    fileId,
+    workspaceId: WORKSPACE_ID
+  }, {
+    headers: {
+      'Authorization': `Bearer ${BOTPRESS_API_TOKEN}`,
+      'x-bot-id': BOT_ID,
+      'Content-Type': 'application/json'
+    }
+  });
+  return knowledgeBaseResponse.data.id || null;
+}
+
+// Remove a KB document entry; one that is already gone counts as removed
+async function removeFromKnowledgeBase(knowledgeBaseId, kbDocumentId) {
+  try {
+    await axios.delete(`https://api.botpress.cloud/v3/knowledge-bases/${knowledgeBaseId}/documents/${kbDocumentId}`, {
+      headers: {
+        'Authorization': `Bearer ${BOTPRESS_API_TOKEN}`,
+        'x-bot-id': BOT_ID,
+        'Content-Type': 'application/json'
       }
-    } catch (error) {
-      console.log(`❌ Failed to get/create knowledge base:`, error.response?.status || error.message);
-      knowledgeBaseId = 'kb-bfdcb1988f';
-      console.log(`🔄 Falling back to hardcoded knowledge base ID: ${knowledgeBaseId}`);
+    });
+  } catch (error) {
+    if (error.response?.status !== 404) {
+      throw error;
+    }
+  }
+}
+
+// Every page of a Botpress list endpoint; `field` is the array the response carries
+async function listAllPages(url, field, params = {}) {
+  const items = [];
+  let nextToken = null;
+  do {
+    const listRes = await axios.get(url, {
+      headers: {
+        'Authorization': `Bearer ${BOTPRESS_API_TOKEN}`,
+        'x-bot-id': BOT_ID,
+        'Content-Type': 'application/json'
+      },
+      params: { ...params, ...(nextToken ? { nextToken } : {}) }
+    });
+    items.push(...(Array.isArray(listRes.data) ? listRes.data : listRes.data[field] || []));
+    nextToken = listRes.data.meta?.nextToken || null;
+  } while (nextToken);
+  return items;
+}
+
+// Local full-text index of what was uploaded, for GET /api/kb/search
+const kbSearchIndex = createKbSearchIndex({
+  driver: process.env.KB_SEARCH_INDEX || 'file',
+  filePath: process.env.KB_SEARCH_INDEX_PATH || path.join(__dirname, 'data', 'kb-index.json'),
+  onWriteError: error => log.error('Writing the KB search index failed', { error })
+});
+log.info('KB search index loaded', { driver: kbSearchIndex.driver, documents: kbSearchIndex.stats().documents });
+
+// Add a file's text to the search index; a failure here never fails the upload
+function indexDocumentText(fileId, { filePath, format, docId, version, title }) {
+  try {
+    const passages = kbSearchIndex.addDocument({ fileId, docId, version, title, text: extractText(filePath, format) });
+    if (passages > 0) {
+      log.info('Indexed file for search', { fileId, passages });
+    } else {
+      log.warn('No text could be extracted; the file is not searchable locally', { fileId });
     }
+  } catch (error) {
+    log.warn('Could not index file for search', { fileId, error: error.message });
+  }
+}
+
+// Register the file, upload its content and add it to the knowledge base, recording each
+// step on the upload job. Indexing happens afterwards on Botpress' side (see refreshUploadJob).
+// `file.format` is what identifyDocument found; formats Botpress cannot index are converted first.
+// Every file is a version of a logical document: `tags` may carry docId, version, uploadedBy and
+// restoredFrom, otherwise the file starts a new document at version 1.
+async function ingestFile(jobId, file, { title, tags = {} } = {}) {
+  let document = null;
+  let fileId = null;
+  const versionTags = toVersionTags({
+    docId: tags.docId || `doc-${crypto.randomUUID()}`,
+    version: tags.version || 1,
+    uploadedBy: tags.uploadedBy,
+    restoredFrom: tags.restoredFrom
+  });
+  uploadJobs.update(jobId, { docId: versionTags.docId, version: Number(versionTags.version) });
+  try {
+    document = prepareDocument(file.path, file.format);
+    if (document.converted) {
+      if (document.size > KB_MAX_FILE_SIZE) {
+        throw new Error(`Converted document is too large (${document.size} bytes, limit ${KB_MAX_FILE_SIZE})`);
+      }
+      uploadJobs.update(jobId, { converted: true, contentType: document.mimeType });
+      log.info('Converted document to Markdown', { jobId, fileName: file.originalname, format: file.format, size: document.size });
+    }
+
+    const knowledgeBaseId = await resolveKnowledgeBaseId();
 
-    // Step 2: Register file and get uploadUrl with new key and tags
+    // Register file and get uploadUrl with new key and tags
     const timestamp = Date.now();
-    const filename = req.file.originalname;
-    const fileKey = `kb-${knowledgeBaseId}/${timestamp}-${filename}`;
-    const title = req.body.title || filename;
+    const filename = file.originalname;
+    const fileKey = `kb-${knowledgeBaseId}/${timestamp}-${filename}${document.converted ? '.md' : ''}`;
     
     const registerRes = await axios.put('https://api.botpress.cloud/v1/files', {
       key: fileKey,
-      contentType: req.file.mimetype,
-      size: req.file.size,
+      contentType: document.mimeType,
+      size: document.size,
       index: true,
       accessPolicies: ['public_content'],
       tags: {
         source: 'knowledge-base',
         kbId: knowledgeBaseId,
-        title: title,
-        category: 'support',
-        uploadedVia: 'api'
+        title: title || filename,
+        category: DEFAULT_CATEGORY,
+        uploadedVia: 'api',
+        sourceFormat: file.format,
+        ...tags,
+        ...versionTags
       }
     }, {
       headers: {
@@ -748,68 +2084,524 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
     const registerData = registerRes.data;
     const fileObj = registerData.file || registerData;
     const uploadUrl = fileObj.uploadUrl;
-    const fileId = fileObj.id;
+    fileId = fileObj.id;
     if (!uploadUrl || !fileId) {
       throw new Error('No uploadUrl or fileId in Botpress response');
     }
-    console.log(`✅ File metadata registered. File ID: ${fileId}, Upload URL: ${uploadUrl}`);
+    uploadJobs.update(jobId, { fileId, knowledgeBaseId });
+    log.info('File registered in Botpress', { jobId, fileId });
 
-    // Step 3: Upload file content to uploadUrl
-    await axios.put(uploadUrl, fs.readFileSync(req.file.path), {
+    // Upload file content to uploadUrl
+    await axios.put(uploadUrl, fs.readFileSync(document.path), {
       headers: {
-        'Content-Type': req.file.mimetype
+        'Content-Type': document.mimeType
       }
     });
-    console.log(`✅ File content uploaded to storage.`);
+    uploadJobs.update(jobId, { status: 'uploaded' });
+    log.info('File content uploaded', { jobId, fileId });
 
-    // Step 4: Add file to knowledge base
-    const knowledgeBaseResponse = await axios.post(`https://api.botpress.cloud/v3/knowledge-bases/${knowledgeBaseId}/documents`, {
-      name: filename,
-      type: 'file',
-      fileId: fileId,
-      workspaceId: WORKSPACE_ID
-    }, {
-      headers: {
-        'Authorization': `Bearer ${BOTPRESS_API_TOKEN}`,
-        'x-bot-id': BOT_ID,
-        'Content-Type': 'application/json'
-      }
-    });
-    const kbData = knowledgeBaseResponse.data;
-    console.log(`✅ File added to knowledge base successfully! Document ID: ${kbData.id || 'N/A'}`);
+    // Add file to knowledge base
+    const kbDocumentId = await addToKnowledgeBase(knowledgeBaseId, fileId, filename);
+    uploadJobs.update(jobId, { documentId: kbDocumentId, inKnowledgeBase: true });
+    log.info('File added to the knowledge base', { jobId, fileId, kbDocumentId: kbDocumentId || null });
 
-    // Clean up temporary file
-    fs.unlinkSync(req.file.path);
-    console.log(`🧹 Temporary file cleaned up: ${req.file.path}`);
+    // Remembered on the file so the version can be taken out of the knowledge base once replaced
+    if (kbDocumentId) {
+      try {
+        await updateBotpressFileTags(fileId, { kbDocumentId });
+      } catch (error) {
+        log.warn('Could not tag file with its KB document', { jobId, fileId, error: describeBotpressError(error) });
+      }
+    }
 
-    res.json({ 
-      success: true, 
-      message: 'File uploaded to knowledge base successfully',
-      fileId: fileId,
-      documentId: kbData.id,
-      fileName: filename
+    indexDocumentText(fileId, {
+      filePath: document.path,
+      format: document.converted ? 'md' : file.format,
+      docId: versionTags.docId,
+      version: Number(versionTags.version),
+      title: title || filename
     });
   } catch (error) {
-    console.error('❌ File upload error:', error);
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-      console.log(`🧹 Cleaned up temporary file after error: ${req.file.path}`);
+    log.error('Upload job failed', { jobId, error: describeBotpressError(error) });
+    uploadJobs.fail(jobId, describeBotpressError(error));
+    // A half-registered file would otherwise show up as another current version
+    if (fileId) {
+      deleteBotpressFile(fileId).catch(deleteError => {
+        log.warn('Could not remove incomplete file', { jobId, fileId, error: describeBotpressError(deleteError) });
+      });
     }
-    res.status(500).json({ 
-      error: error.message || 'Failed to upload file to knowledge base' 
+  } finally {
+    // Clean up temporary files
+    for (const tempPath of new Set([file.path, document && document.path])) {
+      if (tempPath && fs.existsSync(tempPath)) {
+        fs.unlinkSync(tempPath);
+        log.debug('Temporary file cleaned up', { jobId, path: tempPath });
+      }
+    }
+  }
+}
+
+// Ask Botpress how far indexing got, at most once per UPLOAD_STATUS_POLL_MS per job
+async function refreshUploadJob(job) {
+  if (isFinished(job) || !job.inKnowledgeBase) {
+    return job;
+  }
+  if (job.lastCheckedAt && Date.now() - Date.parse(job.lastCheckedAt) < UPLOAD_STATUS_POLL_MS) {
+    return job;
+  }
+
+  let file;
+  try {
+    const fileRes = await axios.get(`https://api.botpress.cloud/v1/files/${job.fileId}`, {
+      headers: {
+        'Authorization': `Bearer ${BOTPRESS_API_TOKEN}`,
+        'x-bot-id': BOT_ID,
+        'Content-Type': 'application/json'
+      }
+    });
+    file = fileRes.data.file || fileRes.data;
+  } catch (error) {
+    // A failed status check says nothing about the file; try again on the next poll
+    log.warn('Could not check Botpress status of upload job', { jobId: job.id, error: describeBotpressError(error) });
+    return uploadJobs.update(job.id, { lastCheckedAt: new Date().toISOString() });
+  }
+
+  const changes = {
+    botpressStatus: file.status || null,
+    status: BOTPRESS_FILE_STATUSES[file.status] || job.status,
+    lastCheckedAt: new Date().toISOString()
+  };
+  if (changes.status === 'failed') {
+    changes.error = file.failedStatusReason || `Botpress reported ${file.status}`;
+  } else if (changes.status !== 'indexed' && Date.now() - Date.parse(job.createdAt) > UPLOAD_INDEXING_TIMEOUT_MS) {
+    changes.status = 'failed';
+    changes.error = `Botpress did not finish indexing within ${Math.round(UPLOAD_INDEXING_TIMEOUT_MS / 60000)} minutes`;
+  }
+  if (changes.status !== job.status) {
+    log.info('Upload job status changed', { jobId: job.id, from: job.status, to: changes.status, botpressStatus: file.status });
+  }
+  return uploadJobs.update(job.id, changes);
+}
+
+// Start an upload job; the file is ingested in the background
+app.post('/api/upload', keepLogContext(upload.single('file')), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  log.info('File upload received', { fileName: req.file.originalname, size: req.file.size });
+
+  const { metadata, error: metadataError } = validateMetadata(req.body);
+  if (metadataError) {
+    fs.unlinkSync(req.file.path);
+    return res.status(400).json({ error: metadataError });
+  }
+  const { format, error } = identifyDocument(req.file.path, req.file.originalname);
+  if (error) {
+    fs.unlinkSync(req.file.path);
+    log.warn('Upload rejected', { fileName: req.file.originalname, reason: error });
+    return res.status(400).json({ error });
+  }
+  log.debug('Identified upload format', { fileName: req.file.originalname, format, browserType: req.file.mimetype });
+
+  const file = { ...req.file, format, mimetype: DOCUMENT_FORMATS[format].mimeType };
+  const job = uploadJobs.create({
+    fileName: file.originalname,
+    size: file.size,
+    format,
+    contentType: file.mimetype
+  });
+  ingestFile(job.id, file, {
+    title: metadata.title,
+    tags: { ...toBotpressTags(metadata), uploadedBy: req.body.uploadedBy }
+  });
+
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    fileName: job.fileName
+  });
+});
+
+// Queue a file of a bulk upload for ingestion; its job waits as 'queued' until it gets a slot.
+// The returned job's `done` settles once the file went through ingestFile.
+function queueIngestion(batchId, file, { archive = null, title, tags, fileName = file.originalname } = {}) {
+  const job = uploadJobs.create({
+    fileName,
+    size: file.size,
+    format: file.format,
+    contentType: file.mimetype,
+    batchId,
+    archive,
+    status: 'queued'
+  });
+  // The queue may start it from another job; its logs belong to the request that queued it
+  const done = ingestQueue.push(bindLogContext(() => {
+    uploadJobs.update(job.id, { status: 'uploading' });
+    return ingestFile(job.id, file, { title, tags });
+  }));
+  return { ...job, done };
+}
+
+// Record a file a bulk upload did not take, so it still shows up in the batch report
+function skipUpload(batchId, fileName, reason, { archive = null, status = 'skipped' } = {}) {
+  return uploadJobs.create({ fileName, batchId, archive, status, error: reason });
+}
+
+// Bulk uploads whose ZIP archives are still being expanded (see expandArchives)
+const expandingBatches = new Set();
+
+// Crawls (see crawlSource) and archive expansion keep adding jobs to their batch until they are done
+function isGrowingBatch(batchId) {
+  return expandingBatches.has(batchId) || Array.from(crawlingSources.values()).includes(batchId);
+}
+
+function summarizeBatch(batchId, jobs) {
+  const counts = {};
+  for (const job of jobs) {
+    counts[job.status] = (counts[job.status] || 0) + 1;
+  }
+  return {
+    batchId,
+    total: jobs.length,
+    finished: jobs.every(isFinished) && !isGrowingBatch(batchId),
+    counts
+  };
+}
+
+// Expand the ZIP archives of a bulk upload and queue their documents. Runs after the
+// upload was answered: a large archive takes a while, and the batch report shows the
+// entries as they are added.
+async function expandArchives(batchId, archives, tags) {
+  try {
+    for (const file of archives) {
+      try {
+        const { files: entries, skipped } = await expandZipArchive(file.path, uploadDir, {
+          allowedExtensions: DOCUMENT_EXTENSIONS,
+          maxEntrySize: KB_MAX_FILE_SIZE,
+          maxTotalSize: ZIP_MAX_EXPANDED_SIZE,
+          maxEntries: ZIP_MAX_ENTRIES
+        });
+        log.info('Expanded ZIP archive', { batchId, fileName: file.originalname, documents: entries.length, skipped: skipped.length });
+        for (const entry of entries) {
+          const identified = identifyDocument(entry.path, entry.name);
+          if (identified.error) {
+            fs.unlinkSync(entry.path);
+            skipUpload(batchId, entry.name, identified.error, { archive: file.originalname });
+            continue;
+          }
+          queueIngestion(batchId, {
+            path: entry.path,
+            originalname: entry.name,
+            format: identified.format,
+            mimetype: DOCUMENT_FORMATS[identified.format].mimeType,
+            size: entry.size
+          }, { archive: file.originalname, tags });
+        }
+        for (const entry of skipped) {
+          skipUpload(batchId, entry.name, entry.reason, { archive: file.originalname });
+        }
+      } catch (error) {
+        log.error('Could not expand ZIP archive', { batchId, fileName: file.originalname, error: error.message });
+        skipUpload(batchId, file.originalname, `Could not read ZIP archive: ${error.message}`, { status: 'failed' });
+      } finally {
+        fs.unlinkSync(file.path);
+      }
+    }
+  } finally {
+    expandingBatches.delete(batchId);
+  }
+}
+
+// Upload many documents and/or ZIP archives at once. Every file (and every archive entry)
+// becomes an upload job; the response is the per-file report, GET /api/uploads/batches/:batchId
+// keeps it current.
+app.post('/api/upload/bulk', keepLogContext(bulkUpload.array('files', BULK_UPLOAD_MAX_FILES)), async (req, res) => {
+  const files = req.files || [];
+  const rejectedFiles = req.rejectedFiles || [];
+  if (files.length === 0 && rejectedFiles.length === 0) {
+    return res.status(400).json({ error: 'No files uploaded' });
+  }
+  // Category, tags and description apply to every file of the batch; titles come from the file names
+  const { metadata, error: metadataError } = validateMetadata({ ...req.body, title: undefined });
+  if (metadataError) {
+    files.forEach(file => fs.unlinkSync(file.path));
+    return res.status(400).json({ error: metadataError });
+  }
+  const tags = { ...toBotpressTags(metadata), uploadedBy: req.body.uploadedBy };
+
+  const batchId = `batch-${crypto.randomUUID()}`;
+  log.info('Bulk upload received', { batchId, files: files.length, rejected: rejectedFiles.length });
+
+  for (const fileName of rejectedFiles) {
+    skipUpload(batchId, fileName, 'Unsupported file type');
+  }
+
+  const archives = [];
+
+  for (const file of files) {
+    const { format, error } = identifyDocument(file.path, file.originalname, { allowArchives: true });
+    if (error) {
+      fs.unlinkSync(file.path);
+      skipUpload(batchId, file.originalname, error);
+    } else if (format === 'zip') {
+      archives.push(file);
+    } else if (file.size > KB_MAX_FILE_SIZE) {
+      fs.unlinkSync(file.path);
+      skipUpload(batchId, file.originalname, `File too large. Maximum size is ${KB_MAX_FILE_SIZE / (1024 * 1024)}MB.`);
+    } else {
+      queueIngestion(batchId, { ...file, format, mimetype: DOCUMENT_FORMATS[format].mimeType }, { tags });
+    }
+  }
+
+  if (archives.length > 0) {
+    expandingBatches.add(batchId);
+    expandArchives(batchId, archives, tags).catch(error => {
+      log.error('Expanding ZIP archives failed', { batchId, error });
+    });
+  }
+
+  const jobs = uploadJobs.listBatch(batchId);
+  res.status(202).json({
+    success: true,
+    ...summarizeBatch(batchId, jobs),
+    files: jobs
+  });
+});
+
+// Current per-file report of a bulk upload
+app.get('/api/uploads/batches/:batchId', async (req, res) => {
+  try {
+    let jobs = uploadJobs.listBatch(req.params.batchId);
+    if (jobs.length === 0 && !isGrowingBatch(req.params.batchId)) {
+      return res.status(404).json({ success: false, error: 'Upload batch not found' });
+    }
+
+    // Least recently checked first, so every job gets its turn across requests
+    const waitingForBotpress = jobs
+      .filter(job => !isFinished(job) && job.inKnowledgeBase)
+      .sort((a, b) => (a.lastCheckedAt || '').localeCompare(b.lastCheckedAt || ''))
+      .slice(0, BATCH_REFRESH_LIMIT);
+    for (const job of waitingForBotpress) {
+      await refreshUploadJob(job);
+    }
+    jobs = uploadJobs.listBatch(req.params.batchId);
+
+    res.json({
+      success: true,
+      ...summarizeBatch(req.params.batchId, jobs),
+      files: jobs
+    });
+  } catch (error) {
+    log.error('Error reading upload batch', { error });
+    res.status(500).json({ success: false, error: 'Failed to read upload batch' });
+  }
+});
+
+// Where an upload job is: uploading, uploaded, indexing, indexed or failed (with error)
+app.get('/api/uploads/:jobId', async (req, res) => {
+  try {
+    const job = uploadJobs.get(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Upload job not found' });
+    }
+    res.json({ success: true, job: await refreshUploadJob(job) });
+  } catch (error) {
+    log.error('Error reading upload job', { error });
+    res.status(500).json({ success: false, error: 'Failed to read upload job' });
+  }
+});
+
+// Web sources: pages and sitemaps crawled into the knowledge base, re-crawled on a schedule
+const sourceStore = createSourceStore({
+  driver: process.env.SOURCE_STORE || 'file',
+  filePath: process.env.SOURCE_STORE_PATH || path.join(__dirname, 'data', 'sources.json'),
+  onWriteError: error => log.error('Writing the source store failed', { error })
+});
+const CRAWL_MAX_PAGES = Number(process.env.CRAWL_MAX_PAGES) || 50;
+const CRAWL_TIMEOUT_MS = Number(process.env.CRAWL_TIMEOUT_MS) || 15000;
+// Hosts that may be crawled although they are not public, e.g. an intranet wiki (comma-separated)
+const CRAWL_ALLOWED_HOSTS = (process.env.CRAWL_ALLOWED_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean);
+const SOURCE_RECRAWL_INTERVAL_HOURS = Number(process.env.SOURCE_RECRAWL_INTERVAL_HOURS) || 24;
+const SOURCE_RECRAWL_CHECK_MS = Number(process.env.SOURCE_RECRAWL_CHECK_MS) || 5 * 60 * 1000;
+const crawlingSources = new Map(); // sourceId -> batchId of the crawl in progress
+
+// "https://example.com/docs/intro?x=1" -> "example.com-docs-intro-x-1.md"
+function pageFileName(pageUrl) {
+  const url = new URL(pageUrl);
+  const name = `${url.host}${url.pathname}${url.search}`.replace(/[^\w.-]+/g, '-').replace(/-+$/, '');
+  return `${name.slice(0, 150)}.md`;
+}
+
+// Upload one crawled page as a Markdown document. A page crawled before gets a new version of
+// its document (see queueNewVersion); once Botpress has it, the page's record points to it.
+async function ingestPage(sourceId, batchId, page) {
+  const previous = sourceStore.getSource(sourceId).pages[page.url];
+  const tempPath = path.join(uploadDir, `crawl-${crypto.randomUUID()}.md`);
+  fs.mkdirSync(uploadDir, { recursive: true });
+  fs.writeFileSync(tempPath, `# ${page.title}\n\nSource: ${page.url}\n\n${page.content}\n`);
+
+  const file = {
+    path: tempPath,
+    originalname: pageFileName(page.url),
+    format: 'md',
+    mimetype: DOCUMENT_FORMATS.md.mimeType,
+    size: fs.statSync(tempPath).size
+  };
+  const tags = { sourceUrl: page.url, sourceId };
+  // The earlier document may have been deleted in the meantime (or be waiting to be purged);
+  // the page then starts a new one
+  const resolved = previous && previous.fileId
+    ? await resolveDocumentVersions(previous.fileId)
+      .then(found => found && !isDeletedDocument(found) ? found : null)
+      .catch(() => null)
+    : null;
+  const job = resolved
+    ? queueNewVersion(batchId, file, { ...resolved, uploadedBy: 'crawler', metadata: { title: page.title }, tags, fileName: page.url })
+    : queueIngestion(batchId, file, { title: page.title, tags: { ...tags, uploadedBy: 'crawler' }, fileName: page.url });
+  await job.done;
+
+  const result = uploadJobs.get(job.id);
+  if (result.status === 'failed' || !result.fileId) {
+    return;
+  }
+  sourceStore.savePage(sourceId, {
+    url: page.url,
+    title: page.title,
+    contentHash: page.contentHash,
+    fileId: result.fileId,
+    docId: result.docId,
+    version: result.version,
+    crawledAt: new Date().toISOString()
+  });
+  if (resolved) {
+    log.info('Re-crawled page', { url: page.url, docId: result.docId, version: result.version });
+  }
+}
+
+// Fetch a source and (re-)ingest every page whose content hash changed. The pages' upload
+// jobs form one batch, so GET /api/uploads/batches/:batchId reports on the crawl.
+async function crawlSource(sourceId, batchId) {
+  const source = sourceStore.getSource(sourceId);
+  crawlingSources.set(sourceId, batchId);
+  log.info('Crawling source', { sourceId, url: source.url });
+  try {
+    const { type, pages, errors } = await crawl(source.url, { maxPages: CRAWL_MAX_PAGES, timeoutMs: CRAWL_TIMEOUT_MS, allowedHosts: CRAWL_ALLOWED_HOSTS });
+    for (const { url, error } of errors) {
+      skipUpload(batchId, url, error, { status: 'failed' });
+    }
+
+    const changed = pages.filter(page => {
+      const known = source.pages[page.url];
+      return !known || !known.fileId || known.contentHash !== page.contentHash;
+    });
+    for (const page of pages) {
+      if (!changed.includes(page)) {
+        skipUpload(batchId, page.url, 'Unchanged since the last crawl');
+      }
+    }
+    log.info('Crawl finished', { sourceId, url: source.url, pages: pages.length, changed: changed.length, errors: errors.length });
+
+    await Promise.all(changed.map(page => ingestPage(sourceId, batchId, page)));
+    sourceStore.updateSource(sourceId, {
+      type,
+      lastCrawledAt: new Date().toISOString(),
+      lastError: null
     });
+  } catch (error) {
+    log.error('Crawl failed', { sourceId, url: source.url, error: error.message });
+    skipUpload(batchId, source.url, error.message, { status: 'failed' });
+    sourceStore.updateSource(sourceId, { lastCrawledAt: new Date().toISOString(), lastError: error.message });
+  } finally {
+    crawlingSources.delete(sourceId);
   }
+}
+
+function startCrawl(sourceId) {
+  const batchId = `batch-${crypto.randomUUID()}`;
+  crawlSource(sourceId, batchId);
+  return batchId;
+}
+
+function describeSource(source) {
+  return {
+    ...source,
+    pages: Object.values(source.pages),
+    crawling: crawlingSources.has(source.id)
+  };
+}
+
+// Add a web page or sitemap as a knowledge-base source and crawl it right away
+app.post('/api/sources/url', async (req, res) => {
+  try {
+    const { url, recrawlIntervalHours } = req.body || {};
+    if (typeof url !== 'string' || !isHttpUrl(url)) {
+      return res.status(400).json({ success: false, error: 'url must be an http(s) URL' });
+    }
+    if (recrawlIntervalHours !== undefined && !(Number(recrawlIntervalHours) >= 0)) {
+      return res.status(400).json({ success: false, error: 'recrawlIntervalHours must be a number >= 0 (0 disables re-crawling)' });
+    }
+
+    let source = sourceStore.findSourceByUrl(url);
+    if (source && crawlingSources.has(source.id)) {
+      return res.status(409).json({ success: false, error: 'This source is already being crawled', source: describeSource(source) });
+    }
+    if (!source) {
+      source = sourceStore.createSource({
+        url,
+        recrawlIntervalHours: recrawlIntervalHours !== undefined ? Number(recrawlIntervalHours) : SOURCE_RECRAWL_INTERVAL_HOURS
+      });
+    } else if (recrawlIntervalHours !== undefined) {
+      source = sourceStore.updateSource(source.id, { recrawlIntervalHours: Number(recrawlIntervalHours) });
+    }
+
+    const batchId = startCrawl(source.id);
+    res.status(202).json({ success: true, batchId, source: describeSource(sourceStore.getSource(source.id)) });
+  } catch (error) {
+    log.error('Error adding URL source', { error });
+    res.status(500).json({ success: false, error: 'Failed to add URL source' });
+  }
+});
+
+app.get('/api/sources', async (req, res) => {
+  res.json({ success: true, sources: sourceStore.listSources().map(describeSource) });
+});
+
+// Re-crawl a source now instead of waiting for the schedule
+app.post('/api/sources/:id/recrawl', async (req, res) => {
+  const source = sourceStore.getSource(req.params.id);
+  if (!source) {
+    return res.status(404).json({ success: false, error: 'Source not found' });
+  }
+  if (crawlingSources.has(source.id)) {
+    return res.status(409).json({ success: false, error: 'This source is already being crawled' });
+  }
+  const batchId = startCrawl(source.id);
+  res.status(202).json({ success: true, batchId, source: describeSource(sourceStore.getSource(source.id)) });
 });
 
+// Re-crawl every source whose interval has passed
+setInterval(() => {
+  for (const source of sourceStore.listSources()) {
+    const intervalMs = source.recrawlIntervalHours * 60 * 60 * 1000;
+    const due = !source.lastCrawledAt || Date.now() - Date.parse(source.lastCrawledAt) >= intervalMs;
+    if (intervalMs > 0 && due && !crawlingSources.has(source.id)) {
+      log.info('Scheduled re-crawl', { sourceId: source.id, url: source.url });
+      startCrawl(source.id);
+    }
+  }
+}, SOURCE_RECRAWL_CHECK_MS);
+
 // Comprehensive Knowledge Base API diagnostic
 app.get('/api/test-kb-comprehensive', async (req, res) => {
   try {
-    console.log('🔍 Comprehensive Knowledge Base API diagnostic...');
+    log.info('Comprehensive Knowledge Base API diagnostic');
     
     const results = {};
     
     // Test 1: Get bot configuration to see if knowledge base is configured
-    console.log(`🔍 Test 1: Get bot configuration...`);
+    log.info('Test 1: Get bot configuration');
     try {
       const botConfigResponse = await axios.get(`https://api.botpress.cloud/v1/bots/${BOT_ID}`, {
         headers: {
@@ -818,14 +2610,14 @@ app.get('/api/test-kb-comprehensive', async (req, res) => {
         }
       });
       results.botConfig = { status: botConfigResponse.status, data: botConfigResponse.data };
-      console.log(`✅ Bot config:`, botConfigResponse.data);
+      log.debug(`Bot config`, { data: botConfigResponse.data });
     } catch (error) {
       results.botConfig = { error: error.response?.status || error.message };
-      console.log(`❌ Bot config failed:`, error.response?.status || error.message);
+      log.warn('Bot config failed', { error: error.response?.status || error.message });
     }
     
     // Test 2: Try different API versions
-    console.log(`🔍 Test 2: Try different API versions...`);
+    log.info('Test 2: Try different API versions');
     const apiVersions = ['v1', 'v2', 'v3'];
     for (const version of apiVersions) {
       try {
@@ -836,15 +2628,15 @@ app.get('/api/test-kb-comprehensive', async (req, res) => {
           }
         });
         results[`api${version}`] = { status: response.status, data: response.data };
-        console.log(`✅ API ${version} works:`, response.status);
+        log.info(`API ${version} works`, { status: response.status });
       } catch (error) {
         results[`api${version}`] = { error: error.response?.status || error.message };
-        console.log(`❌ API ${version} failed:`, error.response?.status || error.message);
+        log.warn(`API ${version} failed`, { error: error.response?.status || error.message });
       }
     }
     
     // Test 3: Try different endpoint patterns
-    console.log(`🔍 Test 3: Try different endpoint patterns...`);
+    log.info('Test 3: Try different endpoint patterns');
     const patterns = [
       'https://api.botpress.cloud/v1/knowledge-bases',
       'https://api.botpress.cloud/v1/knowledge-base',
@@ -866,7 +2658,7 @@ app.get('/api/test-kb-comprehensive', async (req, res) => {
     
     for (let i = 0; i < patterns.length; i++) {
       const pattern = patterns[i];
-      console.log(`🔍 Test 3.${i + 1}: ${pattern}`);
+      log.info(`Test 3.${i + 1}: ${pattern}`);
       try {
         const response = await axios.get(pattern, {
           headers: {
@@ -875,15 +2667,15 @@ app.get('/api/test-kb-comprehensive', async (req, res) => {
           }
         });
         results[`pattern${i + 1}`] = { status: response.status, data: response.data };
-        console.log(`✅ Pattern ${i + 1} works:`, response.status);
+        log.info(`Pattern ${i + 1} works`, { status: response.status });
       } catch (error) {
         results[`pattern${i + 1}`] = { error: error.response?.status || error.message };
-        console.log(`❌ Pattern ${i + 1} failed:`, error.response?.status || error.message);
+        log.warn(`Pattern ${i + 1} failed`, { error: error.response?.status || error.message });
       }
     }
     
     // Test 4: Try with different headers
-    console.log(`🔍 Test 4: Try with different headers...`);
+    log.info('Test 4: Try with different headers');
     const headerTests = [
       { name: 'with-bot-id', headers: { 'Authorization': `Bearer ${BOTPRESS_API_TOKEN}`, 'x-bot-id': BOT_ID, 'Content-Type': 'application/json' } },
       { name: 'with-workspace-id', headers: { 'Authorization': `Bearer ${BOTPRESS_API_TOKEN}`, 'x-workspace-id': WORKSPACE_ID, 'Content-Type': 'application/json' } },
@@ -893,21 +2685,21 @@ app.get('/api/test-kb-comprehensive', async (req, res) => {
     
     for (let i = 0; i < headerTests.length; i++) {
       const test = headerTests[i];
-      console.log(`🔍 Test 4.${i + 1}: ${test.name}`);
+      log.info(`Test 4.${i + 1}: ${test.name}`);
       try {
         const response = await axios.get('https://api.botpress.cloud/v1/knowledge-bases', {
           headers: test.headers
         });
         results[`headers${i + 1}`] = { status: response.status, data: response.data, headers: test.name };
-        console.log(`✅ Headers ${i + 1} (${test.name}) works:`, response.status);
+        log.info(`Headers ${i + 1} (${test.name}) works`, { status: response.status });
       } catch (error) {
         results[`headers${i + 1}`] = { error: error.response?.status || error.message, headers: test.name };
-        console.log(`❌ Headers ${i + 1} (${test.name}) failed:`, error.response?.status || error.message);
+        log.warn(`Headers ${i + 1} (${test.name}) failed`, { error: error.response?.status || error.message });
       }
     }
     
     // Test 5: Check if knowledge base exists by trying to get specific KB
-    console.log(`🔍 Test 5: Check specific knowledge base...`);
+    log.info('Test 5: Check specific knowledge base');
     const kbIds = ['kb-bfdcb1988f', 'bfdcb1988f', 'kb-bfdcb1988f-documents', 'bfdcb1988f-documents'];
     const apiVersionsForKb = ['v1', 'v3'];
     
@@ -915,7 +2707,7 @@ app.get('/api/test-kb-comprehensive', async (req, res) => {
       for (let i = 0; i < kbIds.length; i++) {
         const kbId = kbIds[i];
         const testKey = `kbId_${version}_${i + 1}`;
-        console.log(`🔍 Test 5.${testKey}: KB ID ${kbId} with API ${version}`);
+        log.info(`Test 5.${testKey}: KB ID ${kbId} with API ${version}`);
         try {
           const response = await axios.get(`https://api.botpress.cloud/${version}/knowledge-bases/${kbId}`, {
             headers: {
@@ -924,10 +2716,10 @@ app.get('/api/test-kb-comprehensive', async (req, res) => {
             }
           });
           results[testKey] = { status: response.status, data: response.data, kbId, version };
-          console.log(`✅ KB ID ${testKey} (${kbId}) with API ${version} works:`, response.status);
+          log.info(`KB ID ${testKey} (${kbId}) with API ${version} works`, { status: response.status });
         } catch (error) {
           results[testKey] = { error: error.response?.status || error.message, kbId, version };
-          console.log(`❌ KB ID ${testKey} (${kbId}) with API ${version} failed:`, error.response?.status || error.message);
+          log.warn(`KB ID ${testKey} (${kbId}) with API ${version} failed`, { error: error.response?.status || error.message });
         }
       }
     }
@@ -954,12 +2746,12 @@ app.get('/api/test-kb-comprehensive', async (req, res) => {
 // Advanced Knowledge Base Discovery
 app.get('/api/discover-kb', async (req, res) => {
   try {
-    console.log('🔍 Advanced Knowledge Base Discovery...');
+    log.info('Advanced Knowledge Base Discovery');
     
     const results = {};
     
     // Test 1: Check if knowledge base is accessed through different paths
-    console.log(`🔍 Test 1: Check alternative knowledge base paths...`);
+    log.info('Test 1: Check alternative knowledge base paths');
     const alternativePaths = [
       `https://api.botpress.cloud/v1/bots/${BOT_ID}/config`,
       `https://api.botpress.cloud/v3/bots/${BOT_ID}/config`,
@@ -973,7 +2765,7 @@ app.get('/api/discover-kb', async (req, res) => {
     
     for (let i = 0; i < alternativePaths.length; i++) {
       const path = alternativePaths[i];
-      console.log(`🔍 Test 1.${i + 1}: ${path}`);
+      log.info(`Test 1.${i + 1}: ${path}`);
       try {
         const response = await axios.get(path, {
           headers: {
@@ -982,15 +2774,15 @@ app.get('/api/discover-kb', async (req, res) => {
           }
         });
         results[`altPath${i + 1}`] = { status: response.status, data: response.data, path };
-        console.log(`✅ Alternative path ${i + 1} works:`, response.status);
+        log.info(`Alternative path ${i + 1} works`, { status: response.status });
       } catch (error) {
         results[`altPath${i + 1}`] = { error: error.response?.status || error.message, path };
-        console.log(`❌ Alternative path ${i + 1} failed:`, error.response?.status || error.message);
+        log.warn(`Alternative path ${i + 1} failed`, { error: error.response?.status || error.message });
       }
     }
     
     // Test 2: Try different knowledge base endpoint structures
-    console.log(`🔍 Test 2: Try different KB endpoint structures...`);
+    log.info('Test 2: Try different KB endpoint structures');
     const kbEndpoints = [
       `https://api.botpress.cloud/v1/knowledge-bases/kb-bfdcb1988f`,
       `https://api.botpress.cloud/v3/knowledge-bases/kb-bfdcb1988f`,
@@ -1004,7 +2796,7 @@ app.get('/api/discover-kb', async (req, res) => {
     
     for (let i = 0; i < kbEndpoints.length; i++) {
       const endpoint = kbEndpoints[i];
-      console.log(`🔍 Test 2.${i + 1}: ${endpoint}`);
+      log.info(`Test 2.${i + 1}: ${endpoint}`);
       try {
         const response = await axios.get(endpoint, {
           headers: {
@@ -1013,15 +2805,15 @@ app.get('/api/discover-kb', async (req, res) => {
           }
         });
         results[`kbEndpoint${i + 1}`] = { status: response.status, data: response.data, endpoint };
-        console.log(`✅ KB endpoint ${i + 1} works:`, response.status);
+        log.info(`KB endpoint ${i + 1} works`, { status: response.status });
       } catch (error) {
         results[`kbEndpoint${i + 1}`] = { error: error.response?.status || error.message, endpoint };
-        console.log(`❌ KB endpoint ${i + 1} failed:`, error.response?.status || error.message);
+        log.warn(`KB endpoint ${i + 1} failed`, { error: error.response?.status || error.message });
       }
     }
     
     // Test 3: Try to find knowledge base through bot's modules or features
-    console.log(`🔍 Test 3: Check bot modules and features...`);
+    log.info('Test 3: Check bot modules and features');
     const moduleEndpoints = [
       `https://api.botpress.cloud/v1/bots/${BOT_ID}/modules`,
       `https://api.botpress.cloud/v3/bots/${BOT_ID}/modules`,
@@ -1033,7 +2825,7 @@ app.get('/api/discover-kb', async (req, res) => {
     
     for (let i = 0; i < moduleEndpoints.length; i++) {
       const endpoint = moduleEndpoints[i];
-      console.log(`🔍 Test 3.${i + 1}: ${endpoint}`);
+      log.info(`Test 3.${i + 1}: ${endpoint}`);
       try {
         const response = await axios.get(endpoint, {
           headers: {
@@ -1042,10 +2834,10 @@ app.get('/api/discover-kb', async (req, res) => {
           }
         });
         results[`moduleEndpoint${i + 1}`] = { status: response.status, data: response.data, endpoint };
-        console.log(`✅ Module endpoint ${i + 1} works:`, response.status);
+        log.info(`Module endpoint ${i + 1} works`, { status: response.status });
       } catch (error) {
         results[`moduleEndpoint${i + 1}`] = { error: error.response?.status || error.message, endpoint };
-        console.log(`❌ Module endpoint ${i + 1} failed:`, error.response?.status || error.message);
+        log.warn(`Module endpoint ${i + 1} failed`, { error: error.response?.status || error.message });
       }
     }
     
@@ -1071,12 +2863,12 @@ app.get('/api/discover-kb', async (req, res) => {
 // Quick Bot Configuration Check
 app.get('/api/check-bot-config', async (req, res) => {
   try {
-    console.log('🔍 Quick Bot Configuration Check...');
+    log.info('Quick Bot Configuration Check');
     
     const results = {};
     
     // Test 1: Get basic bot info
-    console.log(`🔍 Test 1: Get basic bot info...`);
+    log.info('Test 1: Get basic bot info');
     try {
       const botResponse = await axios.get(`https://api.botpress.cloud/v1/bots/${BOT_ID}`, {
         headers: {
@@ -1085,15 +2877,15 @@ app.get('/api/check-bot-config', async (req, res) => {
         }
       });
       results.botInfo = { status: botResponse.status, data: botResponse.data };
-      console.log(`✅ Bot info retrieved:`, botResponse.data);
+      log.debug(`Bot info retrieved`, { data: botResponse.data });
     } catch (error) {
       results.botInfo = { error: error.response?.status || error.message };
-      console.log(`❌ Bot info failed:`, error.response?.status || error.message);
+      log.warn('Bot info failed', { error: error.response?.status || error.message });
     }
     
     // Test 2: Check if knowledge base is mentioned in bot config
     if (results.botInfo && results.botInfo.data) {
-      console.log(`🔍 Test 2: Analyzing bot config for knowledge base...`);
+      log.info('Test 2: Analyzing bot config for knowledge base');
       const botData = results.botInfo.data;
       const kbInfo = {
         hasKnowledgeBase: false,
@@ -1128,11 +2920,11 @@ app.get('/api/check-bot-config', async (req, res) => {
       }
       
       results.knowledgeBaseAnalysis = kbInfo;
-      console.log(`✅ Knowledge base analysis:`, kbInfo);
+      log.debug(`Knowledge base analysis`, { data: kbInfo });
     }
     
     // Test 3: Try to get workspace info
-    console.log(`🔍 Test 3: Get workspace info...`);
+    log.info('Test 3: Get workspace info');
     try {
       const workspaceResponse = await axios.get(`https://api.botpress.cloud/v1/workspaces/${WORKSPACE_ID}`, {
         headers: {
@@ -1141,10 +2933,10 @@ app.get('/api/check-bot-config', async (req, res) => {
         }
       });
       results.workspaceInfo = { status: workspaceResponse.status, data: workspaceResponse.data };
-      console.log(`✅ Workspace info retrieved:`, workspaceResponse.data);
+      log.debug(`Workspace info retrieved`, { data: workspaceResponse.data });
     } catch (error) {
       results.workspaceInfo = { error: error.response?.status || error.message };
-      console.log(`❌ Workspace info failed:`, error.response?.status || error.message);
+      log.warn('Workspace info failed', { error: error.response?.status || error.message });
     }
     
     res.json({ 
@@ -1169,12 +2961,12 @@ app.get('/api/check-bot-config', async (req, res) => {
 // Comprehensive API Discovery
 app.get('/api/discover-apis', async (req, res) => {
   try {
-    console.log('🔍 Comprehensive API Discovery...');
+    log.info('Comprehensive API Discovery');
     
     const results = {};
     
     // Test 1: Check what APIs are available
-    console.log(`🔍 Test 1: Check available APIs...`);
+    log.info('Test 1: Check available APIs');
     const apiEndpoints = [
       // Core APIs
       { name: 'files', url: 'https://api.botpress.cloud/v1/files' },
@@ -1203,7 +2995,7 @@ app.get('/api/discover-apis', async (req, res) => {
     ];
     
     for (const endpoint of apiEndpoints) {
-      console.log(`🔍 Testing: ${endpoint.name} (${endpoint.url})`);
+      log.info(`Testing: ${endpoint.name} (${endpoint.url})`);
       try {
         const config = {
           headers: {
@@ -1225,19 +3017,19 @@ app.get('/api/discover-apis', async (req, res) => {
           data: response.data,
           url: endpoint.url
         };
-        console.log(`✅ ${endpoint.name} works: ${response.status}`);
+        log.info(`${endpoint.name} works: ${response.status}`);
       } catch (error) {
         results[endpoint.name] = { 
           error: error.response?.status || error.message,
           success: false,
           url: endpoint.url
         };
-        console.log(`❌ ${endpoint.name} failed: ${error.response?.status || error.message}`);
+        log.warn(`${endpoint.name} failed: ${error.response?.status || error.message}`);
       }
     }
     
     // Test 2: Check subscription/plan info
-    console.log(`🔍 Test 2: Check subscription info...`);
+    log.info('Test 2: Check subscription info');
     try {
       const subscriptionResponse = await axios.get('https://api.botpress.cloud/v1/subscription', {
         headers: {
@@ -1246,14 +3038,14 @@ app.get('/api/discover-apis', async (req, res) => {
         }
       });
       results.subscription = { status: subscriptionResponse.status, data: subscriptionResponse.data };
-      console.log(`✅ Subscription info:`, subscriptionResponse.data);
+      log.debug(`Subscription info`, { data: subscriptionResponse.data });
     } catch (error) {
       results.subscription = { error: error.response?.status || error.message };
-      console.log(`❌ Subscription info failed:`, error.response?.status || error.message);
+      log.warn('Subscription info failed', { error: error.response?.status || error.message });
     }
     
     // Test 3: Check what features are available
-    console.log(`🔍 Test 3: Check available features...`);
+    log.info('Test 3: Check available features');
     try {
       const featuresResponse = await axios.get('https://api.botpress.cloud/v1/features', {
         headers: {
@@ -1262,10 +3054,10 @@ app.get('/api/discover-apis', async (req, res) => {
         }
       });
       results.features = { status: featuresResponse.status, data: featuresResponse.data };
-      console.log(`✅ Features info:`, featuresResponse.data);
+      log.debug(`Features info`, { data: featuresResponse.data });
     } catch (error) {
       results.features = { error: error.response?.status || error.message };
-      console.log(`❌ Features info failed:`, error.response?.status || error.message);
+      log.warn('Features info failed', { error: error.response?.status || error.message });
     }
     
     res.json({ 
@@ -1296,13 +3088,13 @@ app.get('/api/discover-apis', async (req, res) => {
 app.get('/api/test-specific-token', async (req, res) => {
   try {
     const testToken = req.query.token || BOTPRESS_API_TOKEN;
-    console.log('🔑 Testing specific token...');
-    console.log(`   Token: ${testToken ? testToken.substring(0, 20) + '...' : 'NOT SET'}`);
+    log.info('Testing specific token');
+    log.info('Token under test', { tokenSet: Boolean(testToken) });
     
     const results = {};
     
     // Test 1: Files API
-    console.log(`🔍 Test 1: Files API...`);
+    log.info('Test 1: Files API');
     const filesResponse = await fetch('https://api.botpress.cloud/v1/files', {
       method: 'GET',
       headers: {
@@ -1314,7 +3106,7 @@ app.get('/api/test-specific-token', async (req, res) => {
     results.files = { status: filesResponse.status, ok: filesResponse.ok };
     
     // Test 2: Knowledge Bases
-    console.log(`🔍 Test 2: Knowledge Bases...`);
+    log.info('Test 2: Knowledge Bases');
     const kbResponse = await fetch('https://api.botpress.cloud/v1/knowledge-bases', {
       method: 'GET',
       headers: {
@@ -1325,7 +3117,7 @@ app.get('/api/test-specific-token', async (req, res) => {
     results.knowledgeBases = { status: kbResponse.status, ok: kbResponse.ok, data: kbResponse.ok ? await kbResponse.json() : null };
     
     // Test 3: User info
-    console.log(`🔍 Test 3: User info...`);
+    log.info('Test 3: User info');
     const userResponse = await fetch('https://api.botpress.cloud/v1/users/me', {
       method: 'GET',
       headers: {
@@ -1353,12 +3145,12 @@ app.get('/api/test-specific-token', async (req, res) => {
 // Test token permissions endpoint
 app.get('/api/test-permissions', async (req, res) => {
   try {
-    console.log('🔑 Testing token permissions...');
+    log.info('Testing token permissions');
     
     const results = {};
     
     // Test 1: Files API (we know this works)
-    console.log(`🔍 Test 1: Files API...`);
+    log.info('Test 1: Files API');
     const filesResponse = await fetch('https://api.botpress.cloud/v1/files', {
       method: 'GET',
       headers: {
@@ -1370,7 +3162,7 @@ app.get('/api/test-permissions', async (req, res) => {
     results.files = { status: filesResponse.status, ok: filesResponse.ok };
     
     // Test 2: Try to get user info (to see what permissions the token has)
-    console.log(`🔍 Test 2: User info...`);
+    log.info('Test 2: User info');
     const userResponse = await fetch('https://api.botpress.cloud/v1/users/me', {
       method: 'GET',
       headers: {
@@ -1381,7 +3173,7 @@ app.get('/api/test-permissions', async (req, res) => {
     results.user = { status: userResponse.status, ok: userResponse.ok, data: userResponse.ok ? await userResponse.json() : null };
     
     // Test 3: Try to get workspace info
-    console.log(`🔍 Test 3: Workspace info...`);
+    log.info('Test 3: Workspace info');
     const workspaceResponse = await fetch(`https://api.botpress.cloud/v1/workspaces/${WORKSPACE_ID}`, {
       method: 'GET',
       headers: {
@@ -1392,7 +3184,7 @@ app.get('/api/test-permissions', async (req, res) => {
     results.workspace = { status: workspaceResponse.status, ok: workspaceResponse.ok, data: workspaceResponse.ok ? await workspaceResponse.json() : null };
     
     // Test 4: Try to get bot info
-    console.log(`🔍 Test 4: Bot info...`);
+    log.info('Test 4: Bot info');
     const botResponse = await fetch(`https://api.botpress.cloud/v1/bots/${BOT_ID}`, {
       method: 'GET',
       headers: {
@@ -1403,7 +3195,7 @@ app.get('/api/test-permissions', async (req, res) => {
     results.bot = { status: botResponse.status, ok: botResponse.ok, data: botResponse.ok ? await botResponse.json() : null };
     
     // Test 5: Try different knowledge base endpoint structures
-    console.log(`🔍 Test 5: Testing different KB endpoints...`);
+    log.info('Test 5: Testing different KB endpoints');
     
     // Test 5a: List all knowledge bases
     const kbResponse1 = await fetch(`https://api.botpress.cloud/v1/knowledge-bases`, {
@@ -1483,15 +3275,13 @@ app.get('/api/debug-env', async (req, res) => {
 // Comprehensive API diagnostic endpoint
 app.get('/api/test-token', async (req, res) => {
   try {
-    console.log('🔑 Testing Botpress API token...');
-    console.log(`   Token: ${BOTPRESS_API_TOKEN ? BOTPRESS_API_TOKEN.substring(0, 20) + '...' : 'NOT SET'}`);
-    console.log(`   Bot ID: ${BOT_ID}`);
-    console.log(`   Workspace ID: ${WORKSPACE_ID}`);
+    log.info('Testing Botpress API token');
+    log.info('Token under test', { tokenSet: Boolean(BOTPRESS_API_TOKEN), botId: BOT_ID, workspaceId: WORKSPACE_ID });
     
     const results = {};
     
     // Test 1: Check knowledge base info
-    console.log(`🔍 Test 1: Checking knowledge base info...`);
+    log.info('Test 1: Checking knowledge base info');
     const kbResponse = await fetch(`https://api.botpress.cloud/v1/knowledge-bases/kb-bfdcb1988f`, {
       method: 'GET',
       headers: {
@@ -1508,7 +3298,7 @@ app.get('/api/test-token', async (req, res) => {
     };
     
     // Test 2: Try different API endpoint structures and HTTP methods
-    console.log(`🔍 Test 2: Testing different API endpoints and HTTP methods...`);
+    log.info('Test 2: Testing different API endpoints and HTTP methods');
     
     // Test 2a: GET with x-bot-id
     const test2a = await fetch(`https://api.botpress.cloud/v1/knowledge-bases/kb-bfdcb1988f/documents`, {
@@ -1641,11 +3431,12 @@ app.get('/api/debug/stored-responses', async (req, res) => {
   
   const totalBotMessages = Array.from(botMessages.values()).reduce((total, conv) => total + conv.messages.length, 0);
   
-  console.log('🔍 DEBUG ENDPOINT CALLED - Current storage state:');
-  console.log(`   Bot message conversations: ${botMessages.size} stored`);
-  console.log(`   Total bot messages: ${totalBotMessages}`);
-  console.log(`   User messages: ${userMessages.size} tracked`);
-  console.log(`   Webhook queue: ${webhookQueue.size} processing`);
+  log.info('Debug endpoint called', {
+    botMessageConversations: botMessages.size,
+    totalBotMessages,
+    userMessages: userMessages.size,
+    webhookQueue: webhookQueue.size
+  });
   
   res.json({ 
     totalBotMessageConversations: botMessages.size,
@@ -1659,39 +3450,15 @@ app.get('/api/debug/stored-responses', async (req, res) => {
   });
 });
 
-// Multer error handler
-app.use((err, req, res, next) => {
-  if (err instanceof multer.MulterError) {
-    console.error('❌ MULTER ERROR:', err);
-    if (err.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ error: 'File too large. Maximum size is 10MB.' });
-    }
-    return res.status(400).json({ error: err.message });
-  }
-  next(err);
-});
-
-// Global error handler to prevent bad gateway errors
-app.use((err, req, res, next) => {
-  console.error('❌ GLOBAL ERROR HANDLER:', err);
-  if (!res.headersSent) {
-    res.status(500).json({ 
-      error: 'Server error', 
-      message: err.message,
-      timestamp: new Date().toISOString()
-    });
-  }
-});
-
 // Test Knowledge Base API structure
 app.get('/api/test-kb-structure', async (req, res) => {
   try {
-    console.log('🔍 Testing Knowledge Base API structure...');
+    log.info('Testing Knowledge Base API structure');
     
     const results = {};
     
     // Test 1: Try to list knowledge bases first
-    console.log(`🔍 Test 1: List knowledge bases...`);
+    log.info('Test 1: List knowledge bases');
     try {
       const kbListResponse = await axios.get('https://api.botpress.cloud/v1/knowledge-bases', {
         headers: {
@@ -1701,10 +3468,10 @@ app.get('/api/test-kb-structure', async (req, res) => {
         }
       });
       results.kbList = { status: kbListResponse.status, data: kbListResponse.data };
-      console.log(`✅ Found knowledge bases:`, kbListResponse.data);
+      log.debug(`Found knowledge bases`, { data: kbListResponse.data });
     } catch (error) {
       results.kbList = { error: error.response?.status || error.message };
-      console.log(`❌ Failed to list KBs:`, error.response?.status || error.message);
+      log.warn('Failed to list KBs', { error: error.response?.status || error.message });
     }
     
     // Test 2: Try different endpoint structures
@@ -1718,7 +3485,7 @@ app.get('/api/test-kb-structure', async (req, res) => {
     
     for (let i = 0; i < testEndpoints.length; i++) {
       const endpoint = testEndpoints[i];
-      console.log(`🔍 Test ${i + 2}: ${endpoint}`);
+      log.info(`Test ${i + 2}: ${endpoint}`);
       try {
         const response = await axios.get(endpoint, {
           headers: {
@@ -1728,10 +3495,10 @@ app.get('/api/test-kb-structure', async (req, res) => {
           }
         });
         results[`endpoint${i + 2}`] = { status: response.status, data: response.data };
-        console.log(`✅ Endpoint ${i + 2} works:`, response.status);
+        log.info(`Endpoint ${i + 2} works`, { status: response.status });
       } catch (error) {
         results[`endpoint${i + 2}`] = { error: error.response?.status || error.message };
-        console.log(`❌ Endpoint ${i + 2} failed:`, error.response?.status || error.message);
+        log.warn(`Endpoint ${i + 2} failed`, { error: error.response?.status || error.message });
       }
     }
     
@@ -1759,61 +3526,913 @@ app.get('/health', (req, res) => {
   });
 });
 
-const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/health`);
-  console.log(`🔧 Debug endpoint: http://localhost:${PORT}/api/debug/stored-responses`);
-  console.log(`🔑 Token test: http://localhost:${PORT}/api/test-specific-token`);
-}); 
+// Documents per page of GET /api/documents, and how many Botpress pages one request may scan
+const DOCUMENTS_DEFAULT_LIMIT = 20;
+const DOCUMENTS_MAX_LIMIT = 100;
+const DOCUMENTS_MAX_SCANNED_PAGES = 10;
+
+// Opaque cursor: the Botpress page token to resume from and how many files of it were already seen
+function encodeDocumentsCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
 
-// List documents in the first available knowledge base
+function decodeDocumentsCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return { token: position.token || null, skip: Number(position.skip) || 0 };
+  } catch (error) {
+    return null;
+  }
+}
+
+// List knowledge-base documents.
+// Query: category, tags (comma-separated, all must match), search (title, file name,
+// description, tags), limit (default 20, max 100) and cursor (nextCursor of the previous page).
+// Category and tags are filtered by Botpress; search is applied here while scanning pages.
+// deleted=true lists the recently deleted documents (with purgeAt) instead.
 app.get('/api/documents', async (req, res) => {
+  const limit = Math.max(1, Math.min(Math.floor(Number(req.query.limit)) || DOCUMENTS_DEFAULT_LIMIT, DOCUMENTS_MAX_LIMIT));
+  const search = typeof req.query.search === 'string' ? req.query.search : '';
+  const listDeleted = req.query.deleted === 'true';
+  const position = req.query.cursor ? decodeDocumentsCursor(req.query.cursor) : { token: null, skip: 0 };
+  if (!position) {
+    return res.status(400).json({ success: false, error: 'Invalid cursor' });
+  }
+
   try {
-    // List files with tags for knowledge base documents
-    const filesRes = await axios.get('https://api.botpress.cloud/v1/files', {
-      headers: {
-        'Authorization': `Bearer ${BOTPRESS_API_TOKEN}`,
-        'x-bot-id': BOT_ID,
-        'Content-Type': 'application/json'
-      },
-      params: {
-        'tags[category]': 'support',
-        'tags[source]': 'knowledge-base',
-        limit: 100
+    const params = {
+      'tags[source]': 'knowledge-base',
+      ...toBotpressTagFilters({
+        category: typeof req.query.category === 'string' ? req.query.category : '',
+        tags: req.query.tags ? parseTags(req.query.tags) : []
+      }),
+      ...(listDeleted ? { 'tags[deleted]': 'true' } : {})
+    };
+
+    const documents = [];
+    let nextCursor = null;
+    let { token, skip } = position;
+    for (let scanned = 0; scanned < DOCUMENTS_MAX_SCANNED_PAGES; scanned++) {
+      const filesRes = await axios.get('https://api.botpress.cloud/v1/files', {
+        headers: {
+          'Authorization': `Bearer ${BOTPRESS_API_TOKEN}`,
+          'x-bot-id': BOT_ID,
+          'Content-Type': 'application/json'
+        },
+        params: { ...params, ...(token ? { nextToken: token } : {}) }
+      });
+      const files = filesRes.data.files || filesRes.data;
+      const pageToken = filesRes.data.meta?.nextToken || null;
+
+      let index = skip;
+      for (; index < files.length && documents.length < limit; index++) {
+        const document = describeDocument(files[index]);
+        // Earlier versions are listed per document (GET /api/documents/:fileId/versions)
+        if (document.isCurrent && document.deleted === listDeleted && matchesSearch(document, search)) {
+          documents.push(listDeleted ? { ...document, purgeAt: purgeAt(document) } : document);
+        }
       }
-    });
-    const files = filesRes.data.files || filesRes.data;
-    console.log('Botpress KB files response:', files);
-    res.json({ success: true, files });
+
+      if (index < files.length) {
+        // Page full before this Botpress page was: continue inside it next time
+        nextCursor = encodeDocumentsCursor({ token, skip: index });
+        break;
+      }
+      if (!pageToken) {
+        break;
+      }
+      token = pageToken;
+      skip = 0;
+      if (documents.length >= limit || scanned === DOCUMENTS_MAX_SCANNED_PAGES - 1) {
+        nextCursor = encodeDocumentsCursor({ token, skip: 0 });
+        break;
+      }
+    }
+
+    log.info('Listed documents', { count: documents.length, deleted: listDeleted, query: search || null });
+    res.json({ success: true, files: documents, nextCursor });
   } catch (error) {
     if (error.response) {
-      console.error('Botpress API error:', error.response.status, error.response.data, error.response.headers);
+      log.error('Botpress API error', { status: error.response.status, details: error.response.data });
     } else {
-      console.error('Botpress API error:', error.message);
+      log.error('Botpress API error', { error: error.message });
     }
     res.status(500).json({ success: false, error: error.message, details: error.response?.data });
   }
-}); 
+});
 
-// Delete a file from the knowledge base
-app.delete('/api/documents/:fileId', async (req, res) => {
+// Edit a document's title, category, tags or description (only the fields sent change)
+app.patch('/api/documents/:fileId', async (req, res) => {
   const { fileId } = req.params;
+  const { metadata, error: metadataError } = validateMetadata(req.body || {});
+  if (metadataError) {
+    return res.status(400).json({ success: false, error: metadataError });
+  }
+  if (Object.keys(metadata).length === 0) {
+    return res.status(400).json({ success: false, error: 'Nothing to update: send title, category, tags or description' });
+  }
+
   try {
-    const deleteRes = await axios.delete(`https://api.botpress.cloud/v1/files/${fileId}`, {
-      headers: {
-        'Authorization': `Bearer ${BOTPRESS_API_TOKEN}`,
-        'x-bot-id': BOT_ID,
-        'Content-Type': 'application/json'
+    const file = await getBotpressFile(fileId);
+    if (!file.tags || file.tags.source !== 'knowledge-base') {
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+
+    const updated = await updateBotpressFileTags(fileId, toBotpressTagUpdate(file.tags, metadata));
+    if (metadata.title) {
+      kbSearchIndex.updateTitle(fileId, metadata.title);
+    }
+    log.info('Updated document metadata', { fileId, fields: Object.keys(metadata) });
+    res.json({ success: true, document: describeDocument(updated) });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+    log.error('Error updating document metadata', { error: describeBotpressError(error) });
+    res.status(502).json({ success: false, error: describeBotpressError(error) });
+  }
+});
+
+// All versions of the document `fileId` belongs to, newest first, or null when it is not a
+// knowledge-base file. Files from before versioning are their own single version.
+async function resolveDocumentVersions(fileId) {
+  let file;
+  try {
+    file = await getBotpressFile(fileId);
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+  if (!file.tags || file.tags.source !== 'knowledge-base') {
+    return null;
+  }
+  if (!file.tags.docId) {
+    return { docId: file.id, versions: [describeDocument(file)] };
+  }
+
+  const versions = (await listAllPages('https://api.botpress.cloud/v1/files', 'files', { 'tags[docId]': file.tags.docId }))
+    .map(describeDocument);
+
+  // The document the ID was given for also counts when it is the legacy version 1
+  const legacy = file.tags.docId === file.id && !versions.some(version => version.id === file.id);
+  if (legacy) {
+    versions.push(describeDocument(file));
+  }
+  return { docId: file.tags.docId, versions: versions.sort((a, b) => b.version - a.version) };
+}
+
+// Soft-deleted documents keep their files until purged, but cannot be changed until restored
+function isDeletedDocument({ versions }) {
+  return versions.some(version => version.deleted);
+}
+
+// Take a replaced version out of the knowledge base; the file itself stays as history
+async function retireVersion(version) {
+  await updateBotpressFileTags(version.id, {
+    docId: version.docId,
+    version: String(version.version),
+    isCurrent: 'false'
+  });
+  kbSearchIndex.removeDocument(version.id);
+  const { kbDocumentId, kbId } = version.botpressTags;
+  if (kbDocumentId && kbId) {
+    try {
+      await removeFromKnowledgeBase(kbId, kbDocumentId);
+      await updateBotpressFileTags(version.id, { kbDocumentId: null });
+    } catch (error) {
+      log.warn('Could not remove version from the knowledge base', { fileId: version.id, docId: version.docId, version: version.version, error: describeBotpressError(error) });
+    }
+  }
+  log.info('Retired version', { fileId: version.id, docId: version.docId, version: version.version });
+}
+
+const VERSION_RETIRE_ATTEMPTS = 3;
+
+// Version changes of a document run one at a time, in the order they were queued
+const versionChains = new Map();    // docId -> promise that settles once the last queued change ran
+// Numbers handed out to versions that Botpress may not have yet: a second version queued
+// before the first is uploaded would otherwise get the same number
+const reservedVersions = new Map(); // docId -> highest version number handed out
+
+function runForDocument(docId, task) {
+  const run = (versionChains.get(docId) || Promise.resolve()).then(task);
+  const settled = run.catch(() => {});
+  versionChains.set(docId, settled);
+  settled.then(() => {
+    if (versionChains.get(docId) === settled) {
+      versionChains.delete(docId);
+      reservedVersions.delete(docId);
+    }
+  });
+  return run;
+}
+
+async function retireWithRetries(version) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await retireVersion(version);
+    } catch (error) {
+      if (attempt >= VERSION_RETIRE_ATTEMPTS) {
+        throw error;
       }
+      log.warn('Retiring version failed, retrying', { fileId: version.id, docId: version.docId, version: version.version, attempt, error: describeBotpressError(error) });
+      await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt));
+    }
+  }
+}
+
+// Retire the current versions a new version replaces, read fresh from Botpress so versions
+// finished in the meantime count. Newer versions are left alone: they may still be on their
+// way and retire this one once they are in. A version that cannot be retired stays current
+// next to the new one until the reconciliation (see reconcileKnowledgeBase) fixes it.
+async function retireReplacedVersions(fileId, version) {
+  const resolved = await resolveDocumentVersions(fileId);
+  if (!resolved) {
+    return;
+  }
+  for (const previous of resolved.versions.filter(v => v.isCurrent && v.version < version)) {
+    try {
+      await retireWithRetries(previous);
+    } catch (error) {
+      log.error('Could not retire previous version; it stays current next to the new one', {
+        docId: resolved.docId,
+        version: previous.version,
+        currentVersion: version,
+        error: describeBotpressError(error)
+      });
+    }
+  }
+}
+
+// Queue `file` as the next version of a document. Once it is in the knowledge base, the
+// versions that were current until then are retired. Returns the upload job.
+function queueNewVersion(batchId, file, { docId, versions, uploadedBy, restoredFrom, metadata = {}, tags = {}, fileName }) {
+  const current = versions.find(version => version.isCurrent) || versions[0];
+  const version = Math.max(reservedVersions.get(docId) || 0, ...versions.map(v => v.version)) + 1;
+  reservedVersions.set(docId, version);
+  const job = queueIngestion(batchId, file, {
+    fileName,
+    title: metadata.title || current.title,
+    tags: {
+      ...inheritedTags(current.botpressTags),
+      ...toBotpressTags(metadata),
+      ...tags,
+      docId,
+      version,
+      uploadedBy,
+      restoredFrom
+    }
+  });
+
+  // Uploads run side by side; retiring waits for the versions queued before this one
+  runForDocument(docId, async () => {
+    await job.done;
+    const result = uploadJobs.get(job.id);
+    if (result.status === 'failed' || !result.fileId) {
+      log.warn('New version failed; the current version stays', { docId, version, currentVersion: current.version });
+      return;
+    }
+    await retireReplacedVersions(result.fileId, version);
+  }).catch(error => {
+    log.error('Could not retire previous versions', { docId, version, error: describeBotpressError(error) });
+  });
+  return { ...job, docId, version };
+}
+
+// Upload a new version of a document. The logical document ID stays the same; title, category,
+// tags and description carry over unless the request sets them.
+app.post('/api/documents/:fileId/replace', keepLogContext(upload.single('file')), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'No file uploaded' });
+  }
+  const { metadata, error: metadataError } = validateMetadata(req.body);
+  const { format, error } = metadataError ? {} : identifyDocument(req.file.path, req.file.originalname);
+  if (metadataError || error) {
+    fs.unlinkSync(req.file.path);
+    return res.status(400).json({ success: false, error: metadataError || error });
+  }
+
+  try {
+    const resolved = await resolveDocumentVersions(req.params.fileId);
+    if (!resolved) {
+      fs.unlinkSync(req.file.path);
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+    if (isDeletedDocument(resolved)) {
+      fs.unlinkSync(req.file.path);
+      return res.status(409).json({ success: false, error: 'Document is deleted; restore it first' });
+    }
+
+    const batchId = `batch-${crypto.randomUUID()}`;
+    const job = queueNewVersion(batchId, { ...req.file, format, mimetype: DOCUMENT_FORMATS[format].mimeType }, {
+      ...resolved,
+      uploadedBy: req.body.uploadedBy,
+      metadata
     });
-    res.json({ success: true, result: deleteRes.data });
+    log.info('Replacing document', { docId: resolved.docId, fileName: req.file.originalname, version: job.version, jobId: job.id });
+    res.status(202).json({ success: true, batchId, jobId: job.id, docId: job.docId, version: job.version });
   } catch (error) {
-    if (error.response) {
-      console.error('Botpress API delete error:', error.response.status, error.response.data, error.response.headers);
-    } else {
-      console.error('Botpress API delete error:', error.message);
+    if (fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
     }
-    res.status(500).json({ success: false, error: error.message, details: error.response?.data });
+    log.error('Error replacing document', { error: describeBotpressError(error) });
+    res.status(502).json({ success: false, error: describeBotpressError(error) });
+  }
+});
+
+// Version history of a document: when each version was uploaded, by whom, and which is current
+app.get('/api/documents/:fileId/versions', async (req, res) => {
+  try {
+    const resolved = await resolveDocumentVersions(req.params.fileId);
+    if (!resolved) {
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+    res.json({
+      success: true,
+      docId: resolved.docId,
+      versions: resolved.versions.map(version => ({
+        id: version.id,
+        key: version.key,
+        title: version.title,
+        version: version.version,
+        isCurrent: version.isCurrent,
+        uploadedBy: version.uploadedBy,
+        restoredFrom: version.restoredFrom,
+        size: version.size,
+        createdAt: version.createdAt
+      }))
+    });
+  } catch (error) {
+    log.error('Error listing document versions', { error: describeBotpressError(error) });
+    res.status(502).json({ success: false, error: describeBotpressError(error) });
+  }
+});
+
+// The stored file of a document (any version) as the bot has it: the original upload, or the
+// Markdown it was converted to. Shown inline unless ?download=true.
+app.get('/api/documents/:fileId/content', async (req, res) => {
+  try {
+    const stored = await getBotpressFile(req.params.fileId);
+    if (!stored.tags || stored.tags.source !== 'knowledge-base') {
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+    if (!stored.url) {
+      return res.status(502).json({ success: false, error: 'Botpress did not return a download URL for this document' });
+    }
+
+    const document = describeDocument(stored);
+    const contentRes = await axios.get(stored.url, { responseType: 'stream', timeout: 30000 });
+    const contentType = stored.contentType || contentRes.headers['content-type'] || 'application/octet-stream';
+    const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(document.fileName)}`,
+      'X-Content-Type-Options': 'nosniff'
+    });
+    // Stored HTML is shown as a document, never run as a page of this origin. PDFs are exempt:
+    // browsers refuse to open their PDF viewer in a sandboxed document.
+    if (!contentType.startsWith('application/pdf')) {
+      res.set('Content-Security-Policy', 'sandbox');
+    }
+    if (contentRes.headers['content-length']) {
+      res.set('Content-Length', contentRes.headers['content-length']);
+    }
+    contentRes.data.on('error', error => {
+      log.error('Streaming document content failed', { fileId: req.params.fileId, error: error.message });
+      res.destroy(error);
+    });
+    contentRes.data.pipe(res);
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+    log.error('Error fetching document content', { error: describeBotpressError(error) });
+    res.status(502).json({ success: false, error: describeBotpressError(error) });
+  }
+});
+
+// Roll back to an earlier version. Its content is published again as a new version, so
+// history only ever grows and records who rolled back when.
+app.post('/api/documents/:fileId/rollback', async (req, res) => {
+  const { version, uploadedBy } = req.body || {};
+  if (!Number.isInteger(Number(version))) {
+    return res.status(400).json({ success: false, error: 'version must be a version number' });
+  }
+
+  let tempPath = null;
+  try {
+    const resolved = await resolveDocumentVersions(req.params.fileId);
+    if (!resolved) {
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+    if (isDeletedDocument(resolved)) {
+      return res.status(409).json({ success: false, error: 'Document is deleted; restore it first' });
+    }
+    const target = resolved.versions.find(v => v.version === Number(version));
+    if (!target) {
+      return res.status(404).json({ success: false, error: `Version ${version} not found` });
+    }
+    if (target.isCurrent) {
+      return res.status(409).json({ success: false, error: `Version ${version} is already the current version` });
+    }
+
+    // The stored content: the original upload, or the Markdown it was converted to
+    const stored = await getBotpressFile(target.id);
+    if (!stored.url) {
+      return res.status(502).json({ success: false, error: 'Botpress did not return a download URL for this version' });
+    }
+    const contentRes = await axios.get(stored.url, { responseType: 'arraybuffer', timeout: 30000 });
+    const fileName = target.fileName;
+    tempPath = path.join(uploadDir, `rollback-${crypto.randomUUID()}${path.extname(fileName)}`);
+    fs.mkdirSync(uploadDir, { recursive: true });
+    fs.writeFileSync(tempPath, Buffer.from(contentRes.data));
+
+    const { format, error } = identifyDocument(tempPath, fileName);
+    if (error) {
+      fs.unlinkSync(tempPath);
+      return res.status(422).json({ success: false, error: `Stored version cannot be restored: ${error}` });
+    }
+    const batchId = `batch-${crypto.randomUUID()}`;
+    const job = queueNewVersion(batchId, {
+      path: tempPath,
+      originalname: fileName,
+      format,
+      mimetype: DOCUMENT_FORMATS[format].mimeType,
+      size: fs.statSync(tempPath).size
+    }, { ...resolved, uploadedBy, restoredFrom: target.version });
+    log.info('Rolling back document', { docId: resolved.docId, toVersion: target.version, version: job.version, jobId: job.id });
+    res.status(202).json({ success: true, batchId, jobId: job.id, docId: job.docId, version: job.version });
+  } catch (error) {
+    if (tempPath && fs.existsSync(tempPath)) {
+      fs.unlinkSync(tempPath);
+    }
+    log.error('Error rolling back document', { error: describeBotpressError(error) });
+    res.status(502).json({ success: false, error: describeBotpressError(error) });
+  }
+});
+
+// Deleted documents can be restored for this long before their files are purged (0 = right away)
+const DOCUMENT_DELETE_GRACE_MS = Number(process.env.DOCUMENT_DELETE_GRACE_MS || 10 * 60 * 1000);
+if (!Number.isFinite(DOCUMENT_DELETE_GRACE_MS) || DOCUMENT_DELETE_GRACE_MS < 0) {
+  throw new Error('DOCUMENT_DELETE_GRACE_MS must be a number of milliseconds (0 deletes right away)');
+}
+const DOCUMENT_PURGE_CHECK_MS = Number(process.env.DOCUMENT_PURGE_CHECK_MS) || 60 * 1000;
+const BULK_DELETE_MAX_DOCUMENTS = 100;
+
+function purgeAt(document) {
+  return document.deletedAt ? new Date(Date.parse(document.deletedAt) + DOCUMENT_DELETE_GRACE_MS).toISOString() : null;
+}
+
+// Remove one file for good: its KB document entry first, then the file itself
+async function purgeFile(document) {
+  kbSearchIndex.removeDocument(document.id);
+  const { kbDocumentId, kbId } = document.botpressTags;
+  if (kbDocumentId && kbId) {
+    await removeFromKnowledgeBase(kbId, kbDocumentId);
+  }
+  try {
+    await deleteBotpressFile(document.id);
+  } catch (error) {
+    if (error.response?.status !== 404) {
+      throw error;
+    }
+  }
+}
+
+// Hide a document: every version is tagged deleted and the current one leaves the knowledge
+// base, so the bot stops answering from it right away
+async function softDeleteDocument({ docId, versions }) {
+  const deletedAt = new Date().toISOString();
+  for (const version of versions) {
+    await updateBotpressFileTags(version.id, { deleted: 'true', deletedAt });
+    kbSearchIndex.removeDocument(version.id);
+    const { kbDocumentId, kbId } = version.botpressTags;
+    if (kbDocumentId && kbId) {
+      await removeFromKnowledgeBase(kbId, kbDocumentId);
+      await updateBotpressFileTags(version.id, { kbDocumentId: null });
+    }
+  }
+  log.info('Soft-deleted document', { docId, versions: versions.length, graceMs: DOCUMENT_DELETE_GRACE_MS });
+  return deletedAt;
+}
+
+// Undo a soft delete: clear the tags and put the current version back into the knowledge base
+async function restoreDocument({ docId, versions }) {
+  for (const version of versions) {
+    await updateBotpressFileTags(version.id, { deleted: null, deletedAt: null });
   }
-});
\ No newline at end of file
+  const current = versions.find(version => version.isCurrent);
+  if (current) {
+    const knowledgeBaseId = current.botpressTags.kbId || await resolveKnowledgeBaseId();
+    const kbDocumentId = await addToKnowledgeBase(knowledgeBaseId, current.id, current.title);
+    if (kbDocumentId) {
+      await updateBotpressFileTags(current.id, { kbDocumentId });
+    }
+    await indexStoredFile(current).catch(error => {
+      log.warn('Could not index restored document for search', { docId, fileId: current.id, error: describeBotpressError(error) });
+    });
+  }
+  log.info('Restored document', { docId });
+}
+
+// Delete one document (soft, or for good when `permanent` or there is no grace period)
+async function deleteDocument(fileId, { permanent = false } = {}) {
+  const resolved = await resolveDocumentVersions(fileId);
+  if (!resolved) {
+    return null;
+  }
+  const deletedIds = resolved.versions.map(version => version.id);
+  if (permanent || DOCUMENT_DELETE_GRACE_MS <= 0) {
+    for (const version of resolved.versions) {
+      await purgeFile(version);
+    }
+    log.info('Deleted document', { docId: resolved.docId, versions: deletedIds.length });
+    return { docId: resolved.docId, deleted: deletedIds, purged: true, purgeAt: null };
+  }
+  const deletedAt = await softDeleteDocument(resolved);
+  return { docId: resolved.docId, deleted: deletedIds, purged: false, purgeAt: purgeAt({ deletedAt }) };
+}
+
+// Delete a document from the knowledge base, with all its versions. Within the grace period it
+// can be restored (POST /api/documents/:fileId/restore); ?permanent=true skips the grace period.
+app.delete('/api/documents/:fileId', async (req, res) => {
+  try {
+    const result = await deleteDocument(req.params.fileId, { permanent: req.query.permanent === 'true' });
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    log.error('Error deleting document', { error: describeBotpressError(error) });
+    res.status(502).json({ success: false, error: describeBotpressError(error) });
+  }
+});
+
+// Delete several documents at once; the response reports on each of them
+app.post('/api/documents/bulk-delete', async (req, res) => {
+  const { fileIds, permanent } = req.body || {};
+  if (!Array.isArray(fileIds) || fileIds.length === 0 || !fileIds.every(id => typeof id === 'string')) {
+    return res.status(400).json({ success: false, error: 'fileIds must be a non-empty array of file IDs' });
+  }
+  if (fileIds.length > BULK_DELETE_MAX_DOCUMENTS) {
+    return res.status(400).json({ success: false, error: `At most ${BULK_DELETE_MAX_DOCUMENTS} documents per request` });
+  }
+
+  const results = [];
+  for (const fileId of new Set(fileIds)) {
+    try {
+      const result = await deleteDocument(fileId, { permanent: permanent === true });
+      results.push(result
+        ? { fileId, success: true, ...result }
+        : { fileId, success: false, error: 'Document not found' });
+    } catch (error) {
+      results.push({ fileId, success: false, error: describeBotpressError(error) });
+    }
+  }
+  const failed = results.filter(result => !result.success).length;
+  log.info('Bulk delete finished', { deleted: results.length - failed, failed });
+  res.status(failed === results.length ? 502 : 200).json({ success: failed === 0, results });
+});
+
+// Undo a deletion that is still within its grace period
+app.post('/api/documents/:fileId/restore', async (req, res) => {
+  try {
+    const resolved = await resolveDocumentVersions(req.params.fileId);
+    if (!resolved) {
+      return res.status(404).json({ success: false, error: 'Document not found (it may have been purged already)' });
+    }
+    if (!resolved.versions.some(version => version.deleted)) {
+      return res.status(409).json({ success: false, error: 'Document is not deleted' });
+    }
+    await restoreDocument(resolved);
+    res.json({ success: true, docId: resolved.docId });
+  } catch (error) {
+    log.error('Error restoring document', { error: describeBotpressError(error) });
+    res.status(502).json({ success: false, error: describeBotpressError(error) });
+  }
+});
+
+// Soft-deleted files whose grace period is over
+async function findExpiredDeletions() {
+  const deletedFiles = await listAllPages('https://api.botpress.cloud/v1/files', 'files', {
+    'tags[source]': 'knowledge-base',
+    'tags[deleted]': 'true'
+  });
+  return deletedFiles
+    .map(describeDocument)
+    .filter(document => Date.parse(purgeAt(document) || 0) <= Date.now());
+}
+
+async function purgeExpiredDeletions() {
+  const expired = await findExpiredDeletions();
+  for (const document of expired) {
+    try {
+      await purgeFile(document);
+      log.info('Purged deleted file', { fileId: document.id, docId: document.docId, version: document.version });
+    } catch (error) {
+      log.warn('Could not purge deleted file', { fileId: document.id, error: describeBotpressError(error) });
+    }
+  }
+  return expired.length;
+}
+
+// Why a KB entry's file is not one of the knowledge-base files
+async function describeUnmanagedFile(fileId) {
+  if (!fileId) {
+    return 'no file';
+  }
+  try {
+    await getBotpressFile(fileId);
+    return 'file not managed by this backend';
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return 'file missing';
+    }
+    throw error;
+  }
+}
+
+/**
+ * Compares the knowledge base(s) with the files and reports what does not add up:
+ *   - extraCurrentVersions: older versions still current next to a newer one (retiring failed)
+ *   - orphanedKbDocuments: KB entries this backend created whose file is deleted or an outdated version
+ *   - unmanagedKbDocuments: KB entries for files this backend does not manage, e.g. added in
+ *                           Botpress itself, or whose file is missing. Only reported, never removed.
+ *   - filesMissingFromKb:  current, non-deleted files without a KB entry
+ *   - expiredDeletions:    deleted files whose grace period is over but that were not purged
+ * With `fix`, extra current versions are retired, orphaned entries removed, missing files
+ * re-added and expired deletions purged. A KB entry counts as this backend's when its file is
+ * one of the knowledge-base files, or one of them is tagged with the entry's ID.
+ */
+async function reconcileKnowledgeBase({ fix = false } = {}) {
+  const files = (await listAllPages('https://api.botpress.cloud/v1/files', 'files', { 'tags[source]': 'knowledge-base' }))
+    .map(describeDocument);
+  const filesById = new Map(files.map(file => [file.id, file]));
+  const knowledgeBaseIds = new Set(files.map(file => file.botpressTags.kbId).filter(Boolean));
+  knowledgeBaseIds.add(await resolveKnowledgeBaseId());
+
+  const filesByKbDocumentId = new Map(files.filter(file => file.botpressTags.kbDocumentId).map(file => [file.botpressTags.kbDocumentId, file]));
+  const report = {
+    checkedFiles: files.length,
+    checkedKbDocuments: 0,
+    extraCurrentVersions: [],
+    orphanedKbDocuments: [],
+    unmanagedKbDocuments: [],
+    filesMissingFromKb: [],
+    expiredDeletions: [],
+    fixed: fix
+  };
+  const filesInKb = new Set();
+
+  // Only the newest current version of a document belongs in the knowledge base
+  const newestCurrent = new Map(); // docId -> highest current version
+  for (const file of files.filter(file => file.isCurrent && !file.deleted)) {
+    newestCurrent.set(file.docId, Math.max(newestCurrent.get(file.docId) || 0, file.version));
+  }
+  for (const file of files.filter(file => file.isCurrent && !file.deleted && file.version < newestCurrent.get(file.docId))) {
+    report.extraCurrentVersions.push({ fileId: file.id, docId: file.docId, version: file.version, currentVersion: newestCurrent.get(file.docId) });
+    if (fix) {
+      await retireVersion(file);
+      file.isCurrent = false;
+    }
+  }
+
+  for (const knowledgeBaseId of knowledgeBaseIds) {
+    const kbDocuments = await listAllPages(`https://api.botpress.cloud/v3/knowledge-bases/${knowledgeBaseId}/documents`, 'documents');
+    report.checkedKbDocuments += kbDocuments.length;
+    for (const kbDocument of kbDocuments) {
+      const file = filesById.get(kbDocument.fileId) || filesByKbDocumentId.get(kbDocument.id);
+      const entry = { knowledgeBaseId, kbDocumentId: kbDocument.id, fileId: kbDocument.fileId || null };
+      if (!file) {
+        report.unmanagedKbDocuments.push({ ...entry, reason: await describeUnmanagedFile(kbDocument.fileId) });
+        continue;
+      }
+      const reason = file.id !== kbDocument.fileId ? 'file missing' : file.deleted ? 'file deleted' : !file.isCurrent ? 'file replaced' : null;
+      if (!reason) {
+        filesInKb.add(file.id);
+        continue;
+      }
+      report.orphanedKbDocuments.push({ ...entry, reason });
+      if (fix) {
+        await removeFromKnowledgeBase(knowledgeBaseId, kbDocument.id);
+      }
+    }
+  }
+
+  // Files registered in the last few minutes may still be on their way into the knowledge base
+  const settledBefore = Date.now() - 5 * 60 * 1000;
+  for (const file of files) {
+    if (file.isCurrent && !file.deleted && !filesInKb.has(file.id) && Date.parse(file.createdAt || 0) < settledBefore) {
+      report.filesMissingFromKb.push({ fileId: file.id, docId: file.docId, title: file.title });
+      if (fix) {
+        const knowledgeBaseId = file.botpressTags.kbId || await resolveKnowledgeBaseId();
+        const kbDocumentId = await addToKnowledgeBase(knowledgeBaseId, file.id, file.title);
+        await updateBotpressFileTags(file.id, { kbDocumentId });
+      }
+    }
+  }
+
+  for (const file of files.filter(file => file.deleted && Date.parse(purgeAt(file)) <= Date.now())) {
+    report.expiredDeletions.push({ fileId: file.id, docId: file.docId, deletedAt: file.deletedAt });
+    if (fix) {
+      await purgeFile(file);
+    }
+  }
+
+  log.info('KB reconciliation', { fix, extraCurrentVersions: report.extraCurrentVersions.length, orphanedKbDocuments: report.orphanedKbDocuments.length, unmanagedKbDocuments: report.unmanagedKbDocuments.length, filesMissingFromKb: report.filesMissingFromKb.length, expiredDeletions: report.expiredDeletions.length });
+  return report;
+}
+
+// Report inconsistencies between files and KB documents without changing anything
+app.get('/api/documents/reconcile', async (req, res) => {
+  try {
+    res.json({ success: true, report: await reconcileKnowledgeBase() });
+  } catch (error) {
+    log.error('KB reconciliation failed', { error: describeBotpressError(error) });
+    res.status(502).json({ success: false, error: describeBotpressError(error) });
+  }
+});
+
+// Report and fix them
+app.post('/api/documents/reconcile', async (req, res) => {
+  try {
+    res.json({ success: true, report: await reconcileKnowledgeBase({ fix: true }) });
+  } catch (error) {
+    log.error('KB reconciliation failed', { error: describeBotpressError(error) });
+    res.status(502).json({ success: false, error: describeBotpressError(error) });
+  }
+});
+
+// One document (any version), e.g. the one a citation in the chat points to. Registered after
+// the /api/documents/<name> routes above so their paths are never taken for a file ID.
+app.get('/api/documents/:fileId', async (req, res) => {
+  try {
+    const file = await getBotpressFile(req.params.fileId);
+    if (!file.tags || file.tags.source !== 'knowledge-base') {
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+    const document = describeDocument(file);
+    res.json({ success: true, document: document.deleted ? { ...document, purgeAt: purgeAt(document) } : document });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+    log.error('Error loading document', { error: describeBotpressError(error) });
+    res.status(502).json({ success: false, error: describeBotpressError(error) });
+  }
+});
+
+if (DOCUMENT_DELETE_GRACE_MS > 0) {
+  setInterval(() => {
+    purgeExpiredDeletions().catch(error => {
+      log.warn('Purging deleted documents failed', { error: describeBotpressError(error) });
+    });
+  }, DOCUMENT_PURGE_CHECK_MS);
+}
+
+// Download a stored file and (re-)index its text, for files the index has not seen through an upload
+async function indexStoredFile(document) {
+  const stored = await getBotpressFile(document.id);
+  const format = formatForExtension(path.extname(document.fileName));
+  if (!stored.url || !format) {
+    return false;
+  }
+  const contentRes = await axios.get(stored.url, { responseType: 'arraybuffer', timeout: 30000 });
+  const tempPath = path.join(uploadDir, `index-${crypto.randomUUID()}${path.extname(document.fileName)}`);
+  fs.mkdirSync(uploadDir, { recursive: true });
+  try {
+    fs.writeFileSync(tempPath, Buffer.from(contentRes.data));
+    indexDocumentText(document.id, {
+      filePath: tempPath,
+      format,
+      docId: document.docId,
+      version: document.version,
+      title: document.title
+    });
+    return true;
+  } finally {
+    fs.unlinkSync(tempPath);
+  }
+}
+
+const KB_SEARCH_DEFAULT_LIMIT = 10;
+const KB_SEARCH_MAX_LIMIT = 50;
+
+// What the local index finds for a question: ranked passages with their document and file IDs.
+// Query: q (required), limit (default 10, max 50).
+app.get('/api/kb/search', (req, res) => {
+  const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!query) {
+    return res.status(400).json({ success: false, error: 'q is required' });
+  }
+  const limit = Math.max(1, Math.min(Math.floor(Number(req.query.limit)) || KB_SEARCH_DEFAULT_LIMIT, KB_SEARCH_MAX_LIMIT));
+
+  const results = kbSearchIndex.search(query, { limit });
+  log.info('KB search', { query, results: results.length });
+  res.json({ success: true, query, results, index: kbSearchIndex.stats() });
+});
+
+// Index the current documents the search index is missing (uploaded before it existed, or while
+// it was unavailable); ?all=true re-indexes every one of them
+app.post('/api/kb/search/reindex', async (req, res) => {
+  const all = req.query.all === 'true';
+  try {
+    const files = (await listAllPages('https://api.botpress.cloud/v1/files', 'files', { 'tags[source]': 'knowledge-base' }))
+      .map(describeDocument)
+      .filter(file => file.isCurrent && !file.deleted);
+
+    const report = { checked: files.length, indexed: 0, skipped: 0, failed: [] };
+    for (const file of files) {
+      if (!all && kbSearchIndex.hasDocument(file.id)) {
+        report.skipped++;
+        continue;
+      }
+      try {
+        if (await indexStoredFile(file)) {
+          report.indexed++;
+        } else {
+          report.skipped++;
+        }
+      } catch (error) {
+        report.failed.push({ fileId: file.id, error: describeBotpressError(error) });
+      }
+    }
+    log.info('Re-indexed documents for search', { indexed: report.indexed, checked: report.checked, failed: report.failed.length });
+    res.json({ success: true, ...report, index: kbSearchIndex.stats() });
+  } catch (error) {
+    log.error('Re-indexing for search failed', { error: describeBotpressError(error) });
+    res.status(502).json({ success: false, error: describeBotpressError(error) });
+  }
+});
+
+// Multer error handler. The error handlers and app.listen stay below every route: Express
+// only hands a route's errors to handlers registered after it.
+app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    log.warn('Upload rejected by multer', { error: err });
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      const maxSize = req.path === '/api/upload/bulk' ? BULK_UPLOAD_MAX_ARCHIVE_SIZE : KB_MAX_FILE_SIZE;
+      return res.status(400).json({ error: `File too large. Maximum size is ${maxSize / (1024 * 1024)}MB.` });
+    }
+    return res.status(400).json({ error: err.message });
+  }
+  // Rejected by the upload fileFilter
+  if (err.message && err.message.startsWith('Invalid file type')) {
+    return res.status(400).json({ error: err.message });
+  }
+  next(err);
+});
+
+// Global error handler to prevent bad gateway errors
+app.use((err, req, res, next) => {
+  log.error('Unhandled error', { error: err });
+  if (!res.headersSent) {
+    res.status(500).json({ 
+      error: 'Server error', 
+      message: err.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Delete conversations nobody touched within the retention period
+function pruneConversations() {
+  if (CONVERSATION_RETENTION_DAYS === 0) {
+    return;
+  }
+  const removed = conversationStore.pruneConversations(Date.now() - CONVERSATION_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  removed.forEach(clearConversationState);
+  if (removed.length > 0) {
+    log.info('Pruned old conversations', { conversations: removed.length, retentionDays: CONVERSATION_RETENTION_DAYS });
+  }
+}
+
+const PORT = process.env.PORT || 3001;
+pruneConversations();
+setInterval(pruneConversations, 60 * 60 * 1000).unref();
+restorePendingBotMessages();
+
+// Store writes are debounced; write what is pending before the process goes away
+const flushStores = () => {
+  conversationStore.flush();
+  sourceStore.flush();
+  kbSearchIndex.flush();
+  analyticsStore.flush();
+};
+process.on('exit', flushStores);
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    log.info('Shutting down', { signal });
+    process.exit(0);
+  });
+}
+app.listen(PORT, () => {
+  log.info('Server running', {
+    port: PORT,
+    health: `http://localhost:${PORT}/health`,
+    metrics: `http://localhost:${PORT}/metrics`,
+    debug: `http://localhost:${PORT}/api/debug/stored-responses`
+  });
+});
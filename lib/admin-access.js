@@ -0,0 +1,33 @@
+/**
+ * lib/admin-access.js
+ * Who may read the reports (feedback, analytics): callers that send the
+ * ADMIN_API_TOKEN in an x-admin-token header.
+ *
+ * Without a configured token the reports stay closed; they carry what users
+ * asked, so they are never open by default.
+ */
+
+const crypto = require('crypto');
+
+// Compared as digests so neither the length nor the content leaks through timing
+const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+
+/**
+ * Returns null when `receivedToken` matches `adminToken`, otherwise the response
+ * to send: { status, error } with 503 (no token configured), 401 (no token sent)
+ * or 403 (wrong token).
+ */
+function checkAdminToken(adminToken, receivedToken) {
+  if (!adminToken) {
+    return { status: 503, error: 'Reports are disabled: ADMIN_API_TOKEN is not set' };
+  }
+  if (!receivedToken) {
+    return { status: 401, error: 'Missing x-admin-token header' };
+  }
+  if (!crypto.timingSafeEqual(digest(adminToken), digest(receivedToken))) {
+    return { status: 403, error: 'Invalid admin token' };
+  }
+  return null;
+}
+
+module.exports = { checkAdminToken };
@@ -0,0 +1,200 @@
+/**
+ * lib/analytics.js
+ * Per-turn chat events and the numbers the analytics dashboard shows.
+ *
+ * The backend records these events for every turn (one user message and the
+ * bot's replies to it):
+ *   - user_message:      the user asked something ({ text })
+ *   - first_bot_message: the first reply arrived ({ latencyMs })
+ *   - turn_completed:    the turn was closed ({ reason, messageCount, durationMs })
+ *   - turn_timed_out:    the chat page gave up waiting for the bot
+ * summarizeAnalytics() aggregates them; nothing is pre-computed.
+ *
+ * Same drivers as lib/conversation-store.js:
+ *   - memory: plain objects, lost on restart
+ *   - file:   persisted to a JSON file (lib/json-file-store.js)
+ * Events older than the retention period are dropped as new ones come in. The
+ * question text goes sooner: after `questionRetentionDays` the user_message
+ * events only count, they no longer say what was asked.
+ */
+
+const { openJsonFile } = require('./json-file-store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EVENT_TYPES = ['user_message', 'first_bot_message', 'turn_completed', 'turn_timed_out'];
+
+function emptyState() {
+  return {
+    events: [] // [{ type, conversationId, turnId, timestamp, ...details }], oldest first
+  };
+}
+
+// Shared store logic; `persist` is called after every mutation, `flush` on shutdown
+function createStore(driver, state, persist, flush, { retentionDays, questionRetentionDays }) {
+  // Events before this index already had their question text removed
+  let scrubbed = 0;
+
+  // Drop expired events and the question text of older ones; true when anything changed
+  const expire = () => {
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+    const kept = state.events.findIndex(stored => stored.timestamp >= cutoff);
+    const removed = kept === -1 ? state.events.length : kept;
+    if (removed > 0) {
+      state.events.splice(0, removed);
+      scrubbed = Math.max(0, scrubbed - removed);
+    }
+    const questionCutoff = Date.now() - questionRetentionDays * DAY_MS;
+    let changed = removed > 0;
+    for (; scrubbed < state.events.length && state.events[scrubbed].timestamp < questionCutoff; scrubbed++) {
+      if (state.events[scrubbed].text !== undefined) {
+        delete state.events[scrubbed].text;
+        changed = true;
+      }
+    }
+    return changed;
+  };
+  if (expire()) {
+    persist();
+  }
+
+  return {
+    driver,
+
+    record(type, details) {
+      if (!EVENT_TYPES.includes(type)) {
+        throw new Error(`Unknown analytics event: ${type}`);
+      }
+      const event = { type, timestamp: Date.now(), ...details };
+      if (questionRetentionDays === 0) {
+        delete event.text;
+      }
+      state.events.push(event);
+      expire();
+      persist();
+      return { ...event };
+    },
+
+    // Events with from <= timestamp < to (epoch milliseconds)
+    listEvents({ from = 0, to = Infinity } = {}) {
+      return state.events
+        .filter(event => event.timestamp >= from && event.timestamp < to)
+        .map(event => ({ ...event }));
+    },
+
+    flush
+  };
+}
+
+function createMemoryStore(options) {
+  return createStore('memory', emptyState(), () => {}, () => {}, options);
+}
+
+function createFileStore(filePath, { onWriteError, ...options }) {
+  const file = openJsonFile(filePath, emptyState(), { onWriteError });
+  return createStore('file', file.state, file.persist, file.flush, options);
+}
+
+// `questionRetentionDays` (0 = never keep the text) should not exceed `retentionDays`;
+// `onWriteError` is called when the file driver fails to write the store
+function createAnalyticsStore({ driver = 'file', filePath, retentionDays = 90, questionRetentionDays = 30, onWriteError } = {}) {
+  switch (driver) {
+    case 'memory':
+      return createMemoryStore({ retentionDays, questionRetentionDays });
+    case 'file':
+      if (!filePath) {
+        throw new Error('The file analytics store needs a filePath');
+      }
+      return createFileStore(filePath, { retentionDays, questionRetentionDays, onWriteError });
+    default:
+      throw new Error(`Unknown analytics store driver: ${driver}`);
+  }
+}
+
+// Nearest-rank percentile of sorted numbers
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  return sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+// "How do I reset my password??" and "how do i reset my password" count as the same question
+function normalizeQuestion(text) {
+  return String(text).toLowerCase().replace(/\s+/g, ' ').replace(/[\s?!.,;:]+$/, '').trim();
+}
+
+/**
+ * Dashboard numbers for the questions asked in [from, to). `events` should reach a little
+ * past `to` so answers and timeouts of questions asked right before `to` are seen.
+ *   - conversations: how many conversations asked something
+ *   - perDay: [{ date, conversations, questions }] for every UTC day in [from, to)
+ *   - latency: { count, p50Ms, p95Ms } from user message to first bot message
+ *   - turns: { total, answered, timedOut, errors, timeoutRate }; a turn timed out when the
+ *     chat page reported that it gave up waiting
+ *   - topQuestions: [{ question, count, lastAskedAt }], from questions whose text is still kept
+ */
+function summarizeAnalytics(events, { from, to, topLimit = 10 }) {
+  const turns = new Map(); // turnId -> { askedAt, latencyMs, reason, timedOut }
+  const perDay = new Map();
+  for (let day = Math.floor(from / DAY_MS) * DAY_MS; day < to; day += DAY_MS) {
+    perDay.set(new Date(day).toISOString().slice(0, 10), { conversations: new Set(), questions: 0 });
+  }
+  const conversations = new Set();
+  const questions = new Map();
+
+  for (const event of events) {
+    // `events` may run past `to` so late answers still count for questions asked in range
+    if (event.type === 'user_message' && (event.timestamp < from || event.timestamp >= to)) {
+      continue;
+    }
+    const turn = turns.get(event.turnId) || {};
+    turns.set(event.turnId, turn);
+
+    if (event.type === 'user_message') {
+      turn.askedAt = event.timestamp;
+      conversations.add(event.conversationId);
+      const day = perDay.get(new Date(event.timestamp).toISOString().slice(0, 10));
+      if (day) {
+        day.conversations.add(event.conversationId);
+        day.questions++;
+      }
+      if (event.text) {
+        const key = normalizeQuestion(event.text);
+        const entry = questions.get(key) || { question: event.text.trim(), count: 0, lastAskedAt: null };
+        entry.count++;
+        entry.lastAskedAt = new Date(event.timestamp).toISOString();
+        questions.set(key, entry);
+      }
+    } else if (event.type === 'first_bot_message') {
+      turn.latencyMs = event.latencyMs;
+    } else if (event.type === 'turn_completed') {
+      turn.reason = event.reason;
+    } else if (event.type === 'turn_timed_out') {
+      turn.timedOut = true;
+    }
+  }
+
+  // Only turns whose question falls in the range; their answers may come from just after it
+  const asked = Array.from(turns.values()).filter(turn => turn.askedAt !== undefined);
+  const answered = asked.filter(turn => turn.latencyMs !== undefined);
+  const timedOut = asked.filter(turn => turn.timedOut);
+  const latencies = answered.map(turn => turn.latencyMs).sort((a, b) => a - b);
+
+  return {
+    conversations: conversations.size,
+    perDay: Array.from(perDay, ([date, day]) => ({ date, conversations: day.conversations.size, questions: day.questions })),
+    latency: { count: latencies.length, p50Ms: percentile(latencies, 50), p95Ms: percentile(latencies, 95) },
+    turns: {
+      total: asked.length,
+      answered: answered.length,
+      timedOut: timedOut.length,
+      errors: asked.filter(turn => turn.reason === 'error').length,
+      timeoutRate: asked.length > 0 ? Math.round(timedOut.length / asked.length * 1000) / 1000 : null
+    },
+    topQuestions: Array.from(questions.values())
+      .sort((a, b) => b.count - a.count || Date.parse(b.lastAskedAt) - Date.parse(a.lastAskedAt))
+      .slice(0, topLimit)
+  };
+}
+
+module.exports = { createAnalyticsStore, summarizeAnalytics };
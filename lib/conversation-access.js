@@ -0,0 +1,26 @@
+/**
+ * lib/conversation-access.js
+ * Who may use a stored conversation: only the user whose x-user-key created it.
+ *
+ * The key is required. A conversation without an owner (e.g. one only the
+ * webhook has seen) belongs to nobody and cannot be opened through the API.
+ */
+
+/**
+ * Returns null when `userKey` may use `conversation`, otherwise the response to
+ * send: { status, error } with 401 (no key), 404 (no conversation) or 403 (not the owner).
+ */
+function checkConversationAccess(conversation, userKey) {
+  if (!userKey) {
+    return { status: 401, error: 'Missing x-user-key header' };
+  }
+  if (!conversation) {
+    return { status: 404, error: 'Conversation not found' };
+  }
+  if (conversation.userKey !== userKey) {
+    return { status: 403, error: 'Conversation belongs to another user' };
+  }
+  return null;
+}
+
+module.exports = { checkConversationAccess };
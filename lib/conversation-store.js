@@ -0,0 +1,220 @@
+/**
+ * lib/conversation-store.js
+ * Storage for chat users, conversations and every user/bot message.
+ *
+ * Two drivers share the same interface:
+ *   - memory: plain objects, lost on restart
+ *   - file:   the same objects persisted to a JSON file (lib/json-file-store.js)
+ * Nothing expires by itself; the backend prunes old conversations.
+ */
+
+const { openJsonFile } = require('./json-file-store');
+
+function emptyState() {
+  return {
+    users: {},         // userId -> { id, userKey, createdAt }
+    conversations: {}, // conversationId -> { id, userKey, title, archived, lastReadAt, createdAt, updatedAt }
+    messages: {}       // conversationId -> [{ id, conversationId, role, text, image, feedback, timestamp, ... }]
+  };
+}
+
+function byTimestamp(a, b) {
+  return a.timestamp - b.timestamp;
+}
+
+// Shared store logic; `persist` is called after every mutation, `flush` on shutdown
+function createStore(driver, state, persist, flush) {
+  const touchConversation = (conversationId, timestamp) => {
+    const now = new Date(timestamp || Date.now()).toISOString();
+    if (!state.conversations[conversationId]) {
+      state.conversations[conversationId] = { id: conversationId, createdAt: now };
+    }
+    state.conversations[conversationId].updatedAt = now;
+  };
+
+  return {
+    driver,
+
+    saveUser(user) {
+      state.users[user.id] = {
+        createdAt: new Date().toISOString(),
+        ...state.users[user.id],
+        ...user
+      };
+      persist();
+      return { ...state.users[user.id] };
+    },
+
+    getUser(userId) {
+      const user = state.users[userId];
+      return user ? { ...user } : null;
+    },
+
+    saveConversation(conversation) {
+      const now = new Date().toISOString();
+      state.conversations[conversation.id] = {
+        createdAt: now,
+        ...state.conversations[conversation.id],
+        ...conversation,
+        updatedAt: now
+      };
+      persist();
+      return { ...state.conversations[conversation.id] };
+    },
+
+    // Like saveConversation, but without bumping updatedAt (read markers, flags)
+    updateConversation(conversationId, changes) {
+      const conversation = state.conversations[conversationId];
+      if (!conversation) {
+        return null;
+      }
+      Object.assign(conversation, changes);
+      persist();
+      return { ...conversation };
+    },
+
+    getConversation(conversationId) {
+      const conversation = state.conversations[conversationId];
+      return conversation ? { ...conversation } : null;
+    },
+
+    listConversations(filter = {}) {
+      return Object.values(state.conversations)
+        .filter(conversation => !filter.userKey || conversation.userKey === filter.userKey)
+        .map(conversation => ({ ...conversation }));
+    },
+
+    deleteConversation(conversationId) {
+      const existed = !!state.conversations[conversationId];
+      delete state.conversations[conversationId];
+      delete state.messages[conversationId];
+      persist();
+      return existed;
+    },
+
+    addMessage(conversationId, message) {
+      if (!state.messages[conversationId]) {
+        state.messages[conversationId] = [];
+      }
+      const stored = { ...message, conversationId };
+      state.messages[conversationId].push(stored);
+      touchConversation(conversationId, stored.timestamp);
+      persist();
+      return { ...stored };
+    },
+
+    updateMessage(conversationId, messageId, changes) {
+      const message = (state.messages[conversationId] || []).find(msg => msg.id === messageId);
+      if (!message) {
+        return null;
+      }
+      Object.assign(message, changes);
+      persist();
+      return { ...message };
+    },
+
+    // Message ids are unique across conversations
+    findMessage(messageId) {
+      for (const messages of Object.values(state.messages)) {
+        const message = messages.find(msg => msg.id === messageId);
+        if (message) {
+          return { ...message };
+        }
+      }
+      return null;
+    },
+
+    // Oldest first. With a `limit`, returns the newest page before the `before`
+    // message id, plus the cursor for the page preceding it (null when exhausted)
+    listMessages(conversationId, { before, limit } = {}) {
+      let messages = (state.messages[conversationId] || [])
+        .map(message => ({ ...message }))
+        .sort(byTimestamp);
+
+      if (before) {
+        const cursorIndex = messages.findIndex(message => message.id === before);
+        messages = cursorIndex === -1 ? [] : messages.slice(0, cursorIndex);
+      }
+      if (!limit) {
+        return { messages, nextCursor: null };
+      }
+
+      const page = messages.slice(-limit);
+      const hasMore = messages.length > page.length;
+      return { messages: page, nextCursor: hasMore ? page[0].id : null };
+    },
+
+    // Drops conversations (and their messages) last updated before `cutoff` (epoch ms);
+    // returns the ids of the removed conversations
+    pruneConversations(cutoff) {
+      const removed = Object.values(state.conversations)
+        .filter(conversation => Date.parse(conversation.updatedAt || conversation.createdAt) < cutoff)
+        .map(conversation => conversation.id);
+      for (const conversationId of removed) {
+        delete state.conversations[conversationId];
+        delete state.messages[conversationId];
+      }
+      if (removed.length > 0) {
+        persist();
+      }
+      return removed;
+    },
+
+    // Bot messages that were stored but never handed to a client (e.g. before a restart),
+    // received at or after `since` (epoch ms)
+    listPendingBotMessages({ since = 0 } = {}) {
+      return Object.values(state.messages)
+        .flat()
+        .filter(message => message.role === 'bot' && !message.delivered && message.timestamp >= since)
+        .map(message => ({ ...message }))
+        .sort(byTimestamp);
+    },
+
+    // Bot messages users rated, oldest feedback first
+    listFeedbackMessages() {
+      return Object.values(state.messages)
+        .flat()
+        .filter(message => message.role === 'bot' && message.feedback)
+        .map(message => ({ ...message }))
+        .sort((a, b) => Date.parse(a.feedback.createdAt) - Date.parse(b.feedback.createdAt));
+    },
+
+    // Writes pending changes right away (file driver); for shutdown
+    flush,
+
+    stats() {
+      return {
+        driver,
+        users: Object.keys(state.users).length,
+        conversations: Object.keys(state.conversations).length,
+        messages: Object.values(state.messages).reduce((total, messages) => total + messages.length, 0)
+      };
+    }
+  };
+}
+
+function createMemoryStore() {
+  return createStore('memory', emptyState(), () => {}, () => {});
+}
+
+function createFileStore(filePath, options) {
+  const file = openJsonFile(filePath, emptyState(), options);
+  return createStore('file', file.state, file.persist, file.flush);
+}
+
+// `onWriteError` is called when the file driver fails to write the store
+function createConversationStore({ driver = 'file', filePath, onWriteError } = {}) {
+  switch (driver) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      if (!filePath) {
+        throw new Error('The file conversation store needs a filePath');
+      }
+      return createFileStore(filePath, { onWriteError });
+    default:
+      throw new Error(`Unknown conversation store driver: ${driver}`);
+  }
+}
+
+module.exports = { createConversationStore };
@@ -0,0 +1,483 @@
+/**
+ * lib/document-formats.js
+ * Document formats the knowledge base accepts, how to recognise them from their
+ * content, and how to turn the ones Botpress cannot index into Markdown.
+ *
+ * The browser-supplied MIME type is never trusted: a file is identified by its
+ * signature (magic bytes, or the parts inside a ZIP container) and must agree
+ * with its extension.
+ *
+ * extractText() gives the plain text of any accepted format for the local search
+ * index (lib/kb-search.js). PDF extraction is best effort: text in content streams
+ * is read, scanned pages and exotic font encodings are not.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { isUtf8 } = require('buffer');
+const AdmZip = require('adm-zip');
+
+// Largest part of an Office/EPUB container we inflate while converting
+const MAX_CONTAINER_ENTRY_SIZE = 50 * 1024 * 1024;
+const SNIFF_BYTES = 8192;
+
+// `indexable` formats go to Botpress as they are; the others are converted to Markdown first
+const DOCUMENT_FORMATS = {
+  pdf: { label: 'PDF', extensions: ['.pdf'], mimeType: 'application/pdf', indexable: true },
+  doc: { label: 'DOC', extensions: ['.doc'], mimeType: 'application/msword', indexable: true },
+  docx: { label: 'DOCX', extensions: ['.docx'], mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', indexable: true },
+  txt: { label: 'TXT', extensions: ['.txt'], mimeType: 'text/plain', indexable: true },
+  md: { label: 'Markdown', extensions: ['.md', '.markdown'], mimeType: 'text/markdown', indexable: true },
+  html: { label: 'HTML', extensions: ['.html', '.htm'], mimeType: 'text/html', indexable: true },
+  csv: { label: 'CSV', extensions: ['.csv'], mimeType: 'text/csv', indexable: false },
+  pptx: { label: 'PPTX', extensions: ['.pptx'], mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', indexable: false },
+  xlsx: { label: 'XLSX', extensions: ['.xlsx'], mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', indexable: false },
+  epub: { label: 'EPUB', extensions: ['.epub'], mimeType: 'application/epub+zip', indexable: false }
+};
+
+const DOCUMENT_EXTENSIONS = Object.values(DOCUMENT_FORMATS).flatMap(format => format.extensions);
+const TEXT_FORMATS = ['txt', 'md', 'html', 'csv'];
+
+function formatForExtension(extension) {
+  const ext = (extension || '').toLowerCase();
+  return Object.keys(DOCUMENT_FORMATS).find(key => DOCUMENT_FORMATS[key].extensions.includes(ext)) || null;
+}
+
+function readHead(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const bytesRead = fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// A multi-byte character may be cut off at the end of the sniffed bytes
+function looksLikeText(head, complete) {
+  if (head.includes(0)) {
+    return false;
+  }
+  if (complete) {
+    return isUtf8(head);
+  }
+  for (let trim = 0; trim <= 3 && trim < head.length; trim++) {
+    if (isUtf8(head.subarray(0, head.length - trim))) {
+      return true;
+    }
+  }
+  return head.length === 0;
+}
+
+// What is inside a ZIP container: an Office document, an EPUB, or a plain archive
+function detectZipContainer(filePath) {
+  const zip = new AdmZip(filePath);
+  const names = new Set(zip.getEntries().map(entry => entry.entryName));
+  const mimetype = zip.getEntry('mimetype');
+  if (mimetype && zip.readAsText(mimetype).trim() === 'application/epub+zip') {
+    return 'epub';
+  }
+  if (names.has('[Content_Types].xml')) {
+    if (names.has('word/document.xml')) return 'docx';
+    if (names.has('ppt/presentation.xml')) return 'pptx';
+    if (names.has('xl/workbook.xml')) return 'xlsx';
+  }
+  return 'zip';
+}
+
+/**
+ * Identifies a file from its content. Returns a DOCUMENT_FORMATS key, 'zip' for
+ * a plain archive, 'text' for UTF-8 text (txt, md, html and csv look alike), or
+ * null when the content is none of these.
+ */
+function detectFormat(filePath) {
+  const head = readHead(filePath);
+  if (head.subarray(0, 5).toString('latin1') === '%PDF-') {
+    return 'pdf';
+  }
+  if (head.subarray(0, 8).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]))) {
+    return 'doc';
+  }
+  if (head.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]))) {
+    try {
+      return detectZipContainer(filePath);
+    } catch (error) {
+      return null;
+    }
+  }
+  return looksLikeText(head, head.length < SNIFF_BYTES) ? 'text' : null;
+}
+
+/**
+ * Checks that a file's content matches its extension.
+ * Returns { format } with a DOCUMENT_FORMATS key (or 'zip' when `allowArchives`),
+ * or { error } explaining why the file was not accepted.
+ */
+function identifyDocument(filePath, fileName, { allowArchives = false } = {}) {
+  const extension = path.extname(fileName).toLowerCase();
+  const claimed = allowArchives && extension === '.zip' ? 'zip' : formatForExtension(extension);
+  if (!claimed) {
+    return { error: `Unsupported file type${extension ? ` (${extension})` : ''}` };
+  }
+
+  const detected = detectFormat(filePath);
+  if (detected === claimed || (detected === 'text' && TEXT_FORMATS.includes(claimed))) {
+    return { format: claimed };
+  }
+  const described = detected === 'text' ? 'plain text'
+    : detected === 'zip' ? 'a ZIP archive'
+    : detected ? DOCUMENT_FORMATS[detected].label
+    : 'an unrecognised format';
+  return { error: `File content does not match its extension: ${extension} file was detected as ${described}` };
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function xmlAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeXmlEntities(match[1]) : null;
+}
+
+function collapseBlankLines(text) {
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Good enough for book chapters and web pages: headings, paragraphs and list items survive, markup does not
+function htmlToMarkdown(html) {
+  const text = html
+    .replace(/<(script|style|head)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (m, level, inner) => `\n\n${'#'.repeat(Number(level))} ${inner.replace(/\s+/g, ' ').trim()}\n\n`)
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|section|article|blockquote|tr|ul|ol|table)>/gi, '\n\n')
+    .replace(/<\/t[dh]>/gi, ' | ')
+    .replace(/<[^>]+>/g, '');
+  return collapseBlankLines(decodeXmlEntities(text).replace(/[ \t]+/g, ' '));
+}
+
+function escapeTableCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>').trim();
+}
+
+// Rows of cells as a Markdown table, first row as the header
+function toMarkdownTable(rows) {
+  const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+  const padded = rows.map(row => Array.from({ length: width }, (v, i) => escapeTableCell(row[i] ?? '')));
+  const [header, ...body] = padded;
+  return [
+    `| ${header.join(' | ')} |`,
+    `| ${header.map(() => '---').join(' | ')} |`,
+    ...body.map(row => `| ${row.join(' | ')} |`)
+  ].join('\n');
+}
+
+// RFC 4180: quoted fields may contain commas, doubled quotes and line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+function csvToMarkdown(filePath) {
+  const rows = parseCsv(fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, ''));
+  return rows.length > 0 ? toMarkdownTable(rows) : '';
+}
+
+function readContainerEntry(zip, entryName) {
+  const entry = zip.getEntry(entryName);
+  if (!entry) {
+    return null;
+  }
+  if (entry.header.size > MAX_CONTAINER_ENTRY_SIZE) {
+    throw new Error(`${entryName} is too large to convert`);
+  }
+  const data = entry.getData();
+  if (data.length > MAX_CONTAINER_ENTRY_SIZE) {
+    throw new Error(`${entryName} is too large to convert`);
+  }
+  return data.toString('utf8');
+}
+
+// Relationship id -> target path, resolved against the folder of the part that owns the rels
+function readRelationships(zip, relsPath, baseDir) {
+  const relationships = {};
+  const xml = readContainerEntry(zip, relsPath) || '';
+  for (const tag of xml.match(/<Relationship\b[^>]*>/g) || []) {
+    const target = xmlAttribute(tag, 'Target');
+    if (!target || xmlAttribute(tag, 'TargetMode') === 'External') {
+      continue;
+    }
+    relationships[xmlAttribute(tag, 'Id')] = target.startsWith('/')
+      ? target.slice(1)
+      : path.posix.normalize(path.posix.join(baseDir, target));
+  }
+  return relationships;
+}
+
+// Text of a DrawingML body, one line per paragraph
+function drawingParagraphs(xml) {
+  return (xml.match(/<a:p\b[\s\S]*?<\/a:p>/g) || [])
+    .map(paragraph => (paragraph.match(/<a:t>([^<]*)<\/a:t>/g) || [])
+      .map(run => decodeXmlEntities(run.replace(/<\/?a:t>/g, '')))
+      .join('')
+      .trim())
+    .filter(Boolean);
+}
+
+function pptxToMarkdown(filePath) {
+  const zip = new AdmZip(filePath);
+  const presentation = readContainerEntry(zip, 'ppt/presentation.xml');
+  const relationships = readRelationships(zip, 'ppt/_rels/presentation.xml.rels', 'ppt');
+  const slidePaths = (presentation.match(/<p:sldId\b[^>]*>/g) || [])
+    .map(tag => relationships[xmlAttribute(tag, 'r:id')])
+    .filter(Boolean);
+
+  return slidePaths.map((slidePath, index) => {
+    const lines = drawingParagraphs(readContainerEntry(zip, slidePath) || '');
+    // Speaker notes often carry the actual explanation
+    const slideRels = readRelationships(zip, slidePath.replace(/([^/]+)$/, '_rels/$1.rels'), path.posix.dirname(slidePath));
+    const notesPath = Object.values(slideRels).find(target => target.includes('notesSlide'));
+    const notes = notesPath ? drawingParagraphs(readContainerEntry(zip, notesPath) || '') : [];
+    return [
+      `## Slide ${index + 1}${lines.length > 0 ? `: ${lines[0]}` : ''}`,
+      ...lines.slice(1),
+      ...(notes.length > 0 ? ['**Notes:**', ...notes] : [])
+    ].join('\n\n');
+  }).join('\n\n');
+}
+
+// "BC12" -> 54 (zero-based column index)
+function columnIndex(cellRef) {
+  const letters = cellRef.replace(/\d+$/, '');
+  return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function xlsxToMarkdown(filePath) {
+  const zip = new AdmZip(filePath);
+  const sharedStrings = (readContainerEntry(zip, 'xl/sharedStrings.xml') || '')
+    .match(/<si>[\s\S]*?<\/si>/g) || [];
+  const strings = sharedStrings.map(item => (item.match(/<t\b[^>]*>[^<]*<\/t>/g) || [])
+    .map(text => decodeXmlEntities(text.replace(/<\/?t\b[^>]*>/g, '')))
+    .join(''));
+  const workbook = readContainerEntry(zip, 'xl/workbook.xml');
+  const relationships = readRelationships(zip, 'xl/_rels/workbook.xml.rels', 'xl');
+
+  const sections = [];
+  for (const tag of workbook.match(/<sheet\b[^>]*>/g) || []) {
+    const sheetXml = readContainerEntry(zip, relationships[xmlAttribute(tag, 'r:id')]) || '';
+    const rows = (sheetXml.match(/<row\b[\s\S]*?<\/row>/g) || []).map(rowXml => {
+      const row = [];
+      for (const cell of rowXml.match(/<c\b[^>]*?(?:\/>|>[\s\S]*?<\/c>)/g) || []) {
+        const ref = xmlAttribute(cell, 'r');
+        const type = xmlAttribute(cell, 't');
+        const value = (cell.match(/<v>([^<]*)<\/v>/) || [])[1];
+        let text = '';
+        if (type === 's') {
+          text = strings[Number(value)] || '';
+        } else if (type === 'inlineStr') {
+          text = (cell.match(/<t\b[^>]*>[^<]*<\/t>/g) || []).map(t => t.replace(/<\/?t\b[^>]*>/g, '')).join('');
+        } else if (value !== undefined) {
+          text = value;
+        }
+        row[ref ? columnIndex(ref) : row.length] = decodeXmlEntities(text);
+      }
+      return Array.from(row, cell => cell ?? '');
+    }).filter(row => row.some(cell => cell.trim() !== ''));
+
+    if (rows.length > 0) {
+      sections.push(`## ${xmlAttribute(tag, 'name')}\n\n${toMarkdownTable(rows)}`);
+    }
+  }
+  return sections.join('\n\n');
+}
+
+function epubToMarkdown(filePath) {
+  const zip = new AdmZip(filePath);
+  const container = readContainerEntry(zip, 'META-INF/container.xml') || '';
+  const rootfileTag = (container.match(/<rootfile\b[^>]*>/) || [])[0];
+  const opfPath = rootfileTag && xmlAttribute(rootfileTag, 'full-path');
+  if (!opfPath) {
+    throw new Error('EPUB has no package document');
+  }
+  const opf = readContainerEntry(zip, opfPath);
+  const opfDir = path.posix.dirname(opfPath);
+
+  const manifest = {};
+  for (const tag of opf.match(/<item\b[^>]*>/g) || []) {
+    manifest[xmlAttribute(tag, 'id')] = path.posix.normalize(path.posix.join(opfDir, decodeURIComponent(xmlAttribute(tag, 'href'))));
+  }
+  const title = (opf.match(/<dc:title\b[^>]*>([^<]*)<\/dc:title>/) || [])[1];
+  const chapters = (opf.match(/<itemref\b[^>]*>/g) || [])
+    .map(tag => manifest[xmlAttribute(tag, 'idref')])
+    .filter(Boolean)
+    .map(chapterPath => htmlToMarkdown(readContainerEntry(zip, chapterPath) || ''))
+    .filter(Boolean);
+
+  return [title ? `# ${decodeXmlEntities(title).trim()}` : '', ...chapters].filter(Boolean).join('\n\n');
+}
+
+// Paragraphs of a Word document's body
+function docxToText(filePath) {
+  const xml = readContainerEntry(new AdmZip(filePath), 'word/document.xml') || '';
+  return (xml.match(/<w:p\b[\s\S]*?<\/w:p>/g) || [])
+    .map(paragraph => (paragraph.match(/<w:t\b[^>]*>[^<]*<\/w:t>|<w:tab\/>|<w:br\/>/g) || [])
+      .map(run => run === '<w:tab/>' ? '\t' : run === '<w:br/>' ? '\n' : decodeXmlEntities(run.replace(/<[^>]+>/g, '')))
+      .join('')
+      .trim())
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+// A PDF string literal, e.g. "(Hello \(world\)\n)", without its parentheses and escapes
+function decodePdfString(literal) {
+  return literal.slice(1, -1).replace(/\\([nrtbf()\\]|[0-7]{1,3}|\r?\n)/g, (m, escape) => {
+    if (/^[0-7]/.test(escape)) return String.fromCharCode(parseInt(escape, 8));
+    return { n: '\n', r: '', t: '\t', b: '', f: '' }[escape] ?? (escape.trim() ? escape : '');
+  });
+}
+
+// Text shown by the Tj, TJ, ' and " operators of a page content stream
+function contentStreamText(content) {
+  const lines = [];
+  for (const block of content.match(/BT\b[\s\S]*?\bET\b/g) || []) {
+    const line = (block.match(/\((?:\\.|[^\\)])*\)|\bT[dD*]\b|\bTJ\b|\bTj\b/g) || [])
+      .map(token => token.startsWith('(') ? decodePdfString(token) : /^T[dD*]$/.test(token) ? ' ' : '')
+      .join('')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (line) lines.push(line);
+  }
+  return lines.join('\n');
+}
+
+function pdfToText(filePath) {
+  const pdf = fs.readFileSync(filePath).toString('latin1');
+  const texts = [];
+  for (const match of pdf.matchAll(/stream\r?\n([\s\S]*?)\r?\nendstream/g)) {
+    let content = match[1];
+    const dictionary = pdf.slice(Math.max(0, match.index - 300), match.index);
+    if (/\/FlateDecode/.test(dictionary.slice(dictionary.lastIndexOf('<<')))) {
+      try {
+        content = zlib.inflateSync(Buffer.from(content, 'latin1')).toString('latin1');
+      } catch (error) {
+        continue;
+      }
+    }
+    const text = contentStreamText(content);
+    if (text) texts.push(text);
+  }
+  return texts.join('\n\n');
+}
+
+const CONVERTERS = {
+  csv: csvToMarkdown,
+  pptx: pptxToMarkdown,
+  xlsx: xlsxToMarkdown,
+  epub: epubToMarkdown
+};
+
+/**
+ * Makes an identified document ready for Botpress. Indexable formats are returned
+ * as they are; the others are converted to Markdown next to the original
+ * (`<path>.md`, which the caller cleans up like the original).
+ * Returns { path, mimeType, size, converted }.
+ */
+function prepareDocument(filePath, format) {
+  const { mimeType, indexable } = DOCUMENT_FORMATS[format];
+  if (indexable) {
+    return { path: filePath, mimeType, size: fs.statSync(filePath).size, converted: false };
+  }
+
+  const markdown = CONVERTERS[format](filePath);
+  if (!markdown.trim()) {
+    throw new Error(`No text found in ${DOCUMENT_FORMATS[format].label} file`);
+  }
+  const convertedPath = `${filePath}.md`;
+  fs.writeFileSync(convertedPath, `${markdown}\n`);
+  return { path: convertedPath, mimeType: 'text/markdown', size: fs.statSync(convertedPath).size, converted: true };
+}
+
+const TEXT_EXTRACTORS = {
+  ...CONVERTERS,
+  txt: filePath => fs.readFileSync(filePath, 'utf8'),
+  md: filePath => fs.readFileSync(filePath, 'utf8'),
+  html: filePath => htmlToMarkdown(fs.readFileSync(filePath, 'utf8')),
+  docx: docxToText,
+  pdf: pdfToText
+};
+
+/**
+ * Plain text of an identified document, or '' when none can be read (legacy .doc
+ * files, scanned PDFs). Never throws: a document without text is still a valid upload.
+ */
+function extractText(filePath, format) {
+  const extractor = TEXT_EXTRACTORS[format];
+  if (!extractor) {
+    return '';
+  }
+  try {
+    return collapseBlankLines(extractor(filePath).replace(/^\uFEFF/, ''));
+  } catch (error) {
+    return '';
+  }
+}
+
+module.exports = {
+  DOCUMENT_FORMATS,
+  DOCUMENT_EXTENSIONS,
+  formatForExtension,
+  detectFormat,
+  identifyDocument,
+  prepareDocument,
+  extractText,
+  htmlToMarkdown
+};
@@ -0,0 +1,206 @@
+/**
+ * lib/document-metadata.js
+ * Editable metadata of knowledge-base documents (title, category, tags and
+ * description) and how it maps onto Botpress file tags.
+ *
+ * Botpress tags are flat string pairs, so each custom tag is stored as its own
+ * `tag-<name>: 'true'` pair; that keeps every tag filterable through the Files API.
+ *
+ * Versions of one logical document share a `docId` tag and are numbered by
+ * `version`; only the one tagged `isCurrent: 'true'` is in the knowledge base.
+ * Files uploaded before versioning have no such tags and count as version 1 of
+ * a document whose docId is their own file id.
+ *
+ * Deleted documents keep their files for a grace period, tagged `deleted: 'true'`
+ * with a `deletedAt` timestamp, so the deletion can be undone.
+ */
+
+const { BOTPRESS_FILE_STATUSES } = require('./upload-jobs');
+
+const CUSTOM_TAG_PREFIX = 'tag-';
+const DEFAULT_CATEGORY = 'support';
+const MAX_TITLE_LENGTH = 200;
+const MAX_CATEGORY_LENGTH = 50;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_UPLOADER_LENGTH = 100;
+
+// "Billing FAQ " -> "billing-faq"
+function normalizeName(value) {
+  return String(value).trim().toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9_-]/g, '');
+}
+
+// Tags arrive as an array (JSON) or a comma-separated string (form fields)
+function parseTags(value) {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return Array.from(new Set(list.map(normalizeName).filter(Boolean)));
+}
+
+/**
+ * Checks metadata from a request. Only fields present in `input` end up in the
+ * result, so the same function serves uploads and partial edits.
+ * Returns { metadata } or { error }.
+ */
+function validateMetadata(input = {}) {
+  const metadata = {};
+
+  if (input.title !== undefined && input.title !== '') {
+    if (typeof input.title !== 'string' || input.title.trim().length > MAX_TITLE_LENGTH) {
+      return { error: `title must be a string of at most ${MAX_TITLE_LENGTH} characters` };
+    }
+    metadata.title = input.title.trim();
+  }
+
+  if (input.category !== undefined && input.category !== '') {
+    const category = typeof input.category === 'string' ? normalizeName(input.category) : '';
+    if (!category || category.length > MAX_CATEGORY_LENGTH) {
+      return { error: `category must be a name of at most ${MAX_CATEGORY_LENGTH} letters, digits, - or _` };
+    }
+    metadata.category = category;
+  }
+
+  if (input.tags !== undefined) {
+    if (typeof input.tags !== 'string' && !Array.isArray(input.tags)) {
+      return { error: 'tags must be an array or a comma-separated string' };
+    }
+    const tags = parseTags(input.tags);
+    if (tags.length > MAX_TAGS || tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+      return { error: `At most ${MAX_TAGS} tags of at most ${MAX_TAG_LENGTH} characters each` };
+    }
+    metadata.tags = tags;
+  }
+
+  if (input.description !== undefined) {
+    if (typeof input.description !== 'string' || input.description.length > MAX_DESCRIPTION_LENGTH) {
+      return { error: `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+    metadata.description = input.description.trim();
+  }
+
+  return { metadata };
+}
+
+// Who uploaded a version; free text from the info page, anonymous when not given
+function normalizeUploader(value) {
+  const uploader = typeof value === 'string' ? value.trim().slice(0, MAX_UPLOADER_LENGTH) : '';
+  return uploader || 'anonymous';
+}
+
+// Version tags of a new file; `restoredFrom` marks a version that is a copy of an older one
+function toVersionTags({ docId, version, uploadedBy, restoredFrom }) {
+  const tags = {
+    docId,
+    version: String(version),
+    isCurrent: 'true',
+    uploadedBy: normalizeUploader(uploadedBy)
+  };
+  if (restoredFrom) tags.restoredFrom = String(restoredFrom);
+  return tags;
+}
+
+// Botpress tags for a new document
+function toBotpressTags(metadata) {
+  const tags = {};
+  if (metadata.title) tags.title = metadata.title;
+  if (metadata.category) tags.category = metadata.category;
+  if (metadata.description) tags.description = metadata.description;
+  for (const tag of metadata.tags || []) {
+    tags[`${CUSTOM_TAG_PREFIX}${tag}`] = 'true';
+  }
+  return tags;
+}
+
+// Tag changes for an existing document; Botpress removes tags that are set to null
+function toBotpressTagUpdate(currentTags, metadata) {
+  const update = toBotpressTags(metadata);
+  if (metadata.description === '') {
+    update.description = null;
+  }
+  if (metadata.tags) {
+    for (const key of Object.keys(currentTags || {})) {
+      if (key.startsWith(CUSTOM_TAG_PREFIX) && !(key in update)) {
+        update[key] = null;
+      }
+    }
+  }
+  return update;
+}
+
+// Metadata tags a new version takes over from the version it replaces
+function inheritedTags(botpressTags = {}) {
+  const tags = {};
+  for (const [key, value] of Object.entries(botpressTags)) {
+    if (['title', 'category', 'description'].includes(key) || key.startsWith(CUSTOM_TAG_PREFIX)) {
+      tags[key] = value;
+    }
+  }
+  return tags;
+}
+
+// Name of the stored file, without the `kb-<kbId>/<timestamp>-` prefix of its key
+function storedFileName(file) {
+  return (file.key || '').replace(/^kb-[^/]+\/\d+-/, '');
+}
+
+// A Botpress file as the KB manager sees it: the file (with Botpress' `tags` object as is)
+// plus its metadata read from the tags
+function describeDocument(file) {
+  const tags = file.tags || {};
+  const fileName = storedFileName(file);
+  return {
+    ...file,
+    fileName: fileName || file.id,
+    // Same statuses as upload jobs: uploading, uploaded, indexing, indexed or failed
+    indexingStatus: BOTPRESS_FILE_STATUSES[file.status] || null,
+    sourceFormat: tags.sourceFormat || null,
+    title: tags.title || fileName || file.id,
+    category: tags.category || DEFAULT_CATEGORY,
+    description: tags.description || '',
+    customTags: Object.keys(tags)
+      .filter(key => key.startsWith(CUSTOM_TAG_PREFIX) && tags[key] === 'true')
+      .map(key => key.slice(CUSTOM_TAG_PREFIX.length))
+      .sort(),
+    docId: tags.docId || file.id,
+    version: Number(tags.version) || 1,
+    isCurrent: tags.isCurrent !== 'false',
+    uploadedBy: tags.uploadedBy || null,
+    restoredFrom: tags.restoredFrom ? Number(tags.restoredFrom) : null,
+    deleted: tags.deleted === 'true',
+    deletedAt: tags.deleted === 'true' ? tags.deletedAt || null : null,
+    botpressTags: tags
+  };
+}
+
+function matchesSearch(document, search) {
+  const needle = search.trim().toLowerCase();
+  if (!needle) {
+    return true;
+  }
+  return [document.title, document.key, document.description, document.category, ...document.customTags]
+    .some(value => value && String(value).toLowerCase().includes(needle));
+}
+
+// Botpress list filters for a category and custom tags
+function toBotpressTagFilters({ category, tags = [] }) {
+  const filters = {};
+  if (category) filters['tags[category]'] = normalizeName(category);
+  for (const tag of tags) {
+    filters[`tags[${CUSTOM_TAG_PREFIX}${tag}]`] = 'true';
+  }
+  return filters;
+}
+
+module.exports = {
+  DEFAULT_CATEGORY,
+  parseTags,
+  validateMetadata,
+  normalizeUploader,
+  toVersionTags,
+  toBotpressTags,
+  toBotpressTagUpdate,
+  toBotpressTagFilters,
+  inheritedTags,
+  describeDocument,
+  matchesSearch
+};
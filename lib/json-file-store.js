@@ -0,0 +1,81 @@
+/**
+ * lib/json-file-store.js
+ * File driver shared by the JSON-backed stores: the whole state is read from a
+ * JSON file once and written back after changes.
+ *
+ * Writes are asynchronous and debounced, so a burst of changes costs a single
+ * write and never blocks a request. Every write goes to a temp file that is then
+ * renamed over the store, so a crash mid-write never leaves a truncated file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_WRITE_DELAY_MS = 200;
+
+/**
+ * openJsonFile(filePath, emptyState, { writeDelayMs, onWriteError })
+ * Returns { state, persist, flush }:
+ *   - state:   the stored state, with the keys of `emptyState` filled in
+ *   - persist: schedules a write of `state`; call it after every change
+ *   - flush:   writes pending changes synchronously, for shutdown
+ */
+function openJsonFile(filePath, emptyState, {
+  writeDelayMs = DEFAULT_WRITE_DELAY_MS,
+  onWriteError = error => process.emitWarning(`Could not write ${filePath}: ${error.message}`)
+} = {}) {
+  let state = emptyState;
+  if (fs.existsSync(filePath)) {
+    state = { ...emptyState, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  let timer = null;
+  let writing = false; // an asynchronous write is in progress
+  let dirty = false;   // changes that no write has picked up yet
+
+  const write = () => {
+    timer = null;
+    writing = true;
+    dirty = false;
+    const tempPath = `${filePath}.tmp`;
+    fs.promises.writeFile(tempPath, JSON.stringify(state))
+      .then(() => fs.promises.rename(tempPath, filePath))
+      .catch(onWriteError)
+      .finally(() => {
+        writing = false;
+        // Changes made during the write need one more
+        if (dirty) schedule();
+      });
+  };
+
+  const schedule = () => {
+    if (!timer && !writing) {
+      timer = setTimeout(write, writeDelayMs);
+      timer.unref();
+    }
+  };
+
+  const persist = () => {
+    dirty = true;
+    schedule();
+  };
+
+  // Its own temp file: a write that is still running must not rename ours away
+  const flush = () => {
+    if (!dirty && !writing) {
+      return;
+    }
+    clearTimeout(timer);
+    timer = null;
+    const tempPath = `${filePath}.flush.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(state));
+    fs.renameSync(tempPath, filePath);
+    dirty = false;
+  };
+
+  return { state, persist, flush };
+}
+
+module.exports = { openJsonFile };
@@ -0,0 +1,240 @@
+/**
+ * lib/kb-search.js
+ * Local full-text index of the knowledge base: the extracted text of every
+ * uploaded file, split into passages and ranked with BM25.
+ *
+ * It does not replace Botpress' own retrieval; it lets content owners check
+ * which passages a question matches without going through the n8n flow.
+ *
+ * Same drivers as lib/conversation-store.js:
+ *   - memory: plain objects, lost on restart
+ *   - file:   persisted to a JSON file (lib/json-file-store.js)
+ * Only the passages are stored; term statistics are built on load and then
+ * updated for each document that is added or removed.
+ */
+
+const { openJsonFile } = require('./json-file-store');
+
+// Passages are built from whole paragraphs up to about this many characters
+const PASSAGE_TARGET_CHARS = 800;
+// BM25 parameters (the usual defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'for', 'from', 'how', 'i', 'if', 'in',
+  'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their',
+  'then', 'there', 'these', 'this', 'to', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'why',
+  'will', 'with', 'you', 'your'
+]);
+
+function tokenize(text) {
+  return (String(text).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(token => !STOP_WORDS.has(token));
+}
+
+// Paragraphs grouped into passages; a paragraph longer than a passage is cut at sentence ends
+function splitPassages(text) {
+  const pieces = [];
+  for (const paragraph of String(text).split(/\n\s*\n/).map(p => p.trim()).filter(Boolean)) {
+    if (paragraph.length <= PASSAGE_TARGET_CHARS) {
+      pieces.push(paragraph);
+      continue;
+    }
+    let current = '';
+    for (const sentence of paragraph.match(/[^.!?\n]+[.!?]*\s*/g) || [paragraph]) {
+      if (current && current.length + sentence.length > PASSAGE_TARGET_CHARS) {
+        pieces.push(current.trim());
+        current = '';
+      }
+      current += sentence;
+    }
+    if (current.trim()) pieces.push(current.trim());
+  }
+
+  const passages = [];
+  let current = '';
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 2 > PASSAGE_TARGET_CHARS) {
+      passages.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${piece}` : piece;
+  }
+  if (current) passages.push(current);
+  return passages;
+}
+
+function emptyState() {
+  return {
+    documents: {} // fileId -> { fileId, docId, version, title, indexedAt, passages: [text] }
+  };
+}
+
+// Shared index logic; `persist` is called after every change, `flush` on shutdown
+function createIndex(driver, state, persist, flush) {
+  // Derived from state.documents and kept up to date one document at a time
+  const passagesByFile = new Map(); // fileId -> [{ document, index, text, terms, length }]
+  const documentFrequency = new Map(); // term -> number of passages containing it
+  let passageCount = 0;
+  let totalLength = 0;
+
+  // The title counts as part of the first passage
+  const indexDocument = (document) => {
+    const entries = document.passages.map((text, index) => {
+      const terms = new Map();
+      const tokens = tokenize(`${index === 0 ? document.title : ''}\n${text}`);
+      for (const token of tokens) {
+        terms.set(token, (terms.get(token) || 0) + 1);
+      }
+      for (const token of terms.keys()) {
+        documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+      }
+      passageCount++;
+      totalLength += tokens.length;
+      return { document, index, text, terms, length: tokens.length };
+    });
+    passagesByFile.set(document.fileId, entries);
+  };
+
+  const unindexDocument = (fileId) => {
+    for (const passage of passagesByFile.get(fileId) || []) {
+      for (const token of passage.terms.keys()) {
+        const count = documentFrequency.get(token) - 1;
+        if (count > 0) {
+          documentFrequency.set(token, count);
+        } else {
+          documentFrequency.delete(token);
+        }
+      }
+      passageCount--;
+      totalLength -= passage.length;
+    }
+    passagesByFile.delete(fileId);
+  };
+
+  Object.values(state.documents).forEach(indexDocument);
+
+  return {
+    driver,
+
+    // Index (or re-index) a file's text; returns how many passages it was split into
+    addDocument({ fileId, docId, version, title, text }) {
+      const documentPassages = splitPassages(text);
+      unindexDocument(fileId);
+      if (documentPassages.length === 0) {
+        delete state.documents[fileId];
+      } else {
+        state.documents[fileId] = {
+          fileId,
+          docId: docId || fileId,
+          version: version || 1,
+          title: title || fileId,
+          indexedAt: new Date().toISOString(),
+          passages: documentPassages
+        };
+        indexDocument(state.documents[fileId]);
+      }
+      persist();
+      return documentPassages.length;
+    },
+
+    // Keep search results in step with a title changed after upload
+    updateTitle(fileId, title) {
+      const document = state.documents[fileId];
+      if (!document || !title || document.title === title) {
+        return false;
+      }
+      unindexDocument(fileId);
+      document.title = title;
+      indexDocument(document);
+      persist();
+      return true;
+    },
+
+    removeDocument(fileId) {
+      if (!state.documents[fileId]) {
+        return false;
+      }
+      unindexDocument(fileId);
+      delete state.documents[fileId];
+      persist();
+      return true;
+    },
+
+    hasDocument(fileId) {
+      return Boolean(state.documents[fileId]);
+    },
+
+    /**
+     * Passages ranked by BM25 against `query`, best first:
+     * [{ fileId, docId, version, title, passageIndex, score, text }]
+     */
+    search(query, { limit = 10 } = {}) {
+      const queryTerms = Array.from(new Set(tokenize(query)));
+      if (queryTerms.length === 0) {
+        return [];
+      }
+      const averageLength = totalLength / (passageCount || 1);
+      const results = [];
+      for (const passage of Array.from(passagesByFile.values()).flat()) {
+        let score = 0;
+        for (const term of queryTerms) {
+          const frequency = passage.terms.get(term);
+          if (!frequency) continue;
+          const df = documentFrequency.get(term);
+          const idf = Math.log(1 + (passageCount - df + 0.5) / (df + 0.5));
+          score += idf * (frequency * (BM25_K1 + 1))
+            / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * passage.length / averageLength));
+        }
+        if (score > 0) {
+          results.push({ passage, score });
+        }
+      }
+      return results
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ passage, score }) => ({
+          fileId: passage.document.fileId,
+          docId: passage.document.docId,
+          version: passage.document.version,
+          title: passage.document.title,
+          passageIndex: passage.index,
+          score: Math.round(score * 1000) / 1000,
+          text: passage.text
+        }));
+    },
+
+    stats() {
+      return { documents: Object.keys(state.documents).length, passages: passageCount };
+    },
+
+    flush
+  };
+}
+
+function createMemoryIndex() {
+  return createIndex('memory', emptyState(), () => {}, () => {});
+}
+
+function createFileIndex(filePath, options) {
+  const file = openJsonFile(filePath, emptyState(), options);
+  return createIndex('file', file.state, file.persist, file.flush);
+}
+
+// `onWriteError` is called when the file driver fails to write the index
+function createKbSearchIndex({ driver = 'file', filePath, onWriteError } = {}) {
+  switch (driver) {
+    case 'memory':
+      return createMemoryIndex();
+    case 'file':
+      if (!filePath) {
+        throw new Error('The file search index needs a filePath');
+      }
+      return createFileIndex(filePath, { onWriteError });
+    default:
+      throw new Error(`Unknown search index driver: ${driver}`);
+  }
+}
+
+module.exports = { createKbSearchIndex };
@@ -0,0 +1,146 @@
+/**
+ * lib/logger.js
+ * Leveled logger that writes one JSON object per line (or a readable line with
+ * LOG_FORMAT=pretty for local development).
+ *
+ * Every line carries the fields of the current log context: the backend opens
+ * one per HTTP request (requestId) and adds the conversationId once it is known.
+ * The context follows the request through awaits and timers it schedules, so
+ * work a webhook call triggers later is still tagged with that call's requestId.
+ *
+ * Fields are redacted before they are written:
+ *   - credentials (tokens, authorization headers, secrets, signatures) always
+ *   - message content (text, comments, bodies, payloads, ...) unless redactContent is off
+ * Log messages themselves should never contain either; pass them as fields.
+ */
+
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Field names are compared in lower case without - and _
+const SECRET_FIELDS = new Set(['token', 'accesstoken', 'authorization', 'apikey', 'secret', 'password', 'signature', 'cookie', 'xuserkey', 'userkey']);
+const CONTENT_FIELDS = new Set(['text', 'usertext', 'question', 'answer', 'comment', 'body', 'payload', 'image', 'query', 'snippet']);
+// Credentials that can show up inside strings, e.g. in error messages that echo a request
+const SECRET_PATTERNS = [/Bearer\s+[\w.~+/=-]+/gi, /\bbp_(?:pat|bak)_[\w-]+/g];
+const MAX_DEPTH = 5;
+
+const contextStorage = new AsyncLocalStorage();
+
+// Run `fn` with its own log context; nested calls start from the outer context's fields
+function runWithLogContext(fields, fn) {
+  return contextStorage.run({ ...(contextStorage.getStore() || {}), ...fields }, fn);
+}
+
+// Add fields to the current log context (no-op outside one)
+function addLogContext(fields) {
+  const store = contextStorage.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+}
+
+// `fn` bound to the current log context, for callbacks that run from somewhere else
+// (stream events, task queues) and would otherwise log without it
+function bindLogContext(fn) {
+  return AsyncResource.bind(fn);
+}
+
+function fieldKind(key) {
+  const name = key.toLowerCase().replace(/[-_]/g, '');
+  if (SECRET_FIELDS.has(name)) return 'secret';
+  if (CONTENT_FIELDS.has(name)) return 'content';
+  return null;
+}
+
+function redactString(value) {
+  return SECRET_PATTERNS.reduce((text, pattern) => text.replace(pattern, '[redacted]'), value);
+}
+
+function redact(value, { redactContent }, depth = 0) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    const error = { name: value.name, message: redactString(value.message) };
+    if (value.code) error.code = value.code;
+    if (value.response && value.response.status) error.status = value.response.status;
+    if (value.stack) error.stack = redactString(value.stack);
+    return error;
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[truncated]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, { redactContent }, depth + 1));
+  }
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    const kind = fieldKind(key);
+    if (item === null || item === undefined || item === '') {
+      result[key] = item;
+    } else if (kind === 'secret') {
+      result[key] = '[redacted]';
+    } else if (kind === 'content' && redactContent) {
+      // The size still helps when debugging, the content itself stays out of the logs
+      result[key] = typeof item === 'string' ? `[redacted ${item.length} chars]` : '[redacted]';
+    } else {
+      result[key] = redact(item, { redactContent }, depth + 1);
+    }
+  }
+  return result;
+}
+
+function formatPretty(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const details = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${details ? ` ${details}` : ''}`;
+}
+
+/**
+ * createLogger({ level, format, redactContent, bindings })
+ *   level:         lowest level written: debug, info, warn or error (default info)
+ *   format:        json (default) or pretty
+ *   redactContent: hide message content in fields (default true)
+ *   bindings:      fields added to every line of this logger
+ * Returns { debug, info, warn, error, child }; each log method takes (msg, fields).
+ */
+function createLogger({ level = 'info', format = 'json', redactContent = true, bindings = {} } = {}) {
+  if (!(level in LEVELS)) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+  if (!['json', 'pretty'].includes(format)) {
+    throw new Error(`Unknown log format: ${format}`);
+  }
+  const threshold = LEVELS[level];
+
+  const write = (entryLevel, msg, fields = {}) => {
+    if (LEVELS[entryLevel] < threshold) {
+      return;
+    }
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg: redactString(String(msg)),
+      ...redact({ ...bindings, ...(contextStorage.getStore() || {}), ...fields }, { redactContent })
+    };
+    const line = format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+    (LEVELS[entryLevel] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+  };
+
+  return {
+    level,
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    child: (childBindings) => createLogger({ level, format, redactContent, bindings: { ...bindings, ...childBindings } })
+  };
+}
+
+module.exports = { createLogger, runWithLogContext, addLogContext, bindLogContext };
@@ -0,0 +1,137 @@
+/**
+ * lib/metrics.js
+ * Counters, gauges and histograms rendered in the Prometheus text format for
+ * GET /metrics.
+ *
+ * Everything lives in memory and starts from zero when the process restarts,
+ * which Prometheus handles for counters. Gauges are read when the endpoint is
+ * scraped, from a function given when they are registered.
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Every series of a metric is keyed by its label values, in the declared label order
+function labelKey(labelNames, labels = {}) {
+  for (const name of Object.keys(labels)) {
+    if (!labelNames.includes(name)) {
+      throw new Error(`Unknown label: ${name}`);
+    }
+  }
+  return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function labelsFromKey(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+}
+
+function createRegistry({ prefix = '' } = {}) {
+  const metrics = [];
+
+  const register = (metric) => {
+    if (metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    metrics.push(metric);
+    return metric;
+  };
+
+  return {
+    counter({ name, help, labelNames = [] }) {
+      const series = new Map();
+      register({
+        name: `${prefix}${name}`,
+        help,
+        type: 'counter',
+        lines: (fullName) => Array.from(series, ([key, value]) => `${fullName}${formatLabels(labelsFromKey(labelNames, key))} ${value}`)
+      });
+      return {
+        inc(labels, amount = 1) {
+          const key = labelKey(labelNames, labels);
+          series.set(key, (series.get(key) || 0) + amount);
+        }
+      };
+    },
+
+    // `collect` returns a number, or [{ labels, value }] for a gauge with labels
+    gauge({ name, help, collect }) {
+      register({
+        name: `${prefix}${name}`,
+        help,
+        type: 'gauge',
+        lines: (fullName) => {
+          const value = collect();
+          const samples = Array.isArray(value) ? value : [{ labels: {}, value }];
+          return samples.map(sample => `${fullName}${formatLabels(sample.labels || {})} ${sample.value}`);
+        }
+      });
+    },
+
+    histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+      const sortedBuckets = [...buckets].sort((a, b) => a - b);
+      const series = new Map(); // key -> { counts per bucket, sum, count }
+      register({
+        name: `${prefix}${name}`,
+        help,
+        type: 'histogram',
+        lines: (fullName) => {
+          const lines = [];
+          for (const [key, data] of series) {
+            const labels = labelsFromKey(labelNames, key);
+            sortedBuckets.forEach((bound, index) => {
+              lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: bound })} ${data.counts[index]}`);
+            });
+            lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${data.count}`);
+            lines.push(`${fullName}_sum${formatLabels(labels)} ${data.sum}`);
+            lines.push(`${fullName}_count${formatLabels(labels)} ${data.count}`);
+          }
+          return lines;
+        }
+      });
+      return {
+        observe(labels, value) {
+          const key = labelKey(labelNames, labels);
+          if (!series.has(key)) {
+            series.set(key, { counts: sortedBuckets.map(() => 0), sum: 0, count: 0 });
+          }
+          const data = series.get(key);
+          sortedBuckets.forEach((bound, index) => {
+            if (value <= bound) data.counts[index]++;
+          });
+          data.sum += value;
+          data.count++;
+        },
+        // Observes the seconds between this call and calling the returned function
+        startTimer(labels) {
+          const started = process.hrtime.bigint();
+          return (endLabels = {}) => {
+            this.observe({ ...labels, ...endLabels }, Number(process.hrtime.bigint() - started) / 1e9);
+          };
+        }
+      };
+    },
+
+    contentType: 'text/plain; version=0.0.4; charset=utf-8',
+
+    // Text exposition format, one HELP/TYPE block per metric
+    render() {
+      const blocks = metrics.map(metric => [
+        `# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.lines(metric.name)
+      ].join('\n'));
+      return `${blocks.join('\n')}\n`;
+    }
+  };
+}
+
+module.exports = { createRegistry };
@@ -0,0 +1,105 @@
+/**
+ * lib/source-store.js
+ * Storage for web sources of the knowledge base (single pages and sitemaps) and
+ * the Botpress document each crawled page became.
+ *
+ * Same drivers as lib/conversation-store.js:
+ *   - memory: plain objects, lost on restart
+ *   - file:   persisted to a JSON file (lib/json-file-store.js)
+ */
+
+const crypto = require('crypto');
+const { openJsonFile } = require('./json-file-store');
+
+function emptyState() {
+  return {
+    sources: {} // sourceId -> { id, url, type, recrawlIntervalHours, createdAt, lastCrawledAt, lastError, pages }
+  };
+}
+
+// Shared store logic; `persist` is called after every mutation, `flush` on shutdown
+function createStore(driver, state, persist, flush) {
+  const copy = source => ({ ...source, pages: { ...source.pages } });
+
+  return {
+    driver,
+
+    createSource(fields) {
+      const source = {
+        id: `source-${crypto.randomUUID()}`,
+        type: null,
+        lastCrawledAt: null,
+        lastError: null,
+        ...fields,
+        pages: {}, // page URL -> { url, title, contentHash, fileId, docId, version, crawledAt }
+        createdAt: new Date().toISOString()
+      };
+      state.sources[source.id] = source;
+      persist();
+      return copy(source);
+    },
+
+    getSource(sourceId) {
+      const source = state.sources[sourceId];
+      return source ? copy(source) : null;
+    },
+
+    findSourceByUrl(url) {
+      const source = Object.values(state.sources).find(candidate => candidate.url === url);
+      return source ? copy(source) : null;
+    },
+
+    updateSource(sourceId, changes) {
+      const source = state.sources[sourceId];
+      if (!source) {
+        return null;
+      }
+      Object.assign(source, changes);
+      persist();
+      return copy(source);
+    },
+
+    savePage(sourceId, page) {
+      const source = state.sources[sourceId];
+      if (!source) {
+        return null;
+      }
+      source.pages[page.url] = { ...source.pages[page.url], ...page };
+      persist();
+      return { ...source.pages[page.url] };
+    },
+
+    listSources() {
+      return Object.values(state.sources).map(copy);
+    },
+
+    // Writes pending changes right away (file driver); for shutdown
+    flush
+  };
+}
+
+function createMemoryStore() {
+  return createStore('memory', emptyState(), () => {}, () => {});
+}
+
+function createFileStore(filePath, options) {
+  const file = openJsonFile(filePath, emptyState(), options);
+  return createStore('file', file.state, file.persist, file.flush);
+}
+
+// `onWriteError` is called when the file driver fails to write the store
+function createSourceStore({ driver = 'file', filePath, onWriteError } = {}) {
+  switch (driver) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      if (!filePath) {
+        throw new Error('The file source store needs a filePath');
+      }
+      return createFileStore(filePath, { onWriteError });
+    default:
+      throw new Error(`Unknown source store driver: ${driver}`);
+  }
+}
+
+module.exports = { createSourceStore };
@@ -0,0 +1,39 @@
+/**
+ * lib/task-queue.js
+ * Runs async tasks with at most `concurrency` of them in flight at once.
+ */
+
+function createTaskQueue({ concurrency = 3 } = {}) {
+  const waiting = [];
+  let running = 0;
+
+  const next = () => {
+    while (running < concurrency && waiting.length > 0) {
+      const { task, resolve, reject } = waiting.shift();
+      running++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          running--;
+          next();
+        });
+    }
+  };
+
+  return {
+    // Resolves or rejects with the task's own outcome once it got a slot and ran
+    push(task) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ task, resolve, reject });
+        next();
+      });
+    },
+
+    stats() {
+      return { running, waiting: waiting.length, concurrency };
+    }
+  };
+}
+
+module.exports = { createTaskQueue };
@@ -0,0 +1,104 @@
+/**
+ * lib/upload-jobs.js
+ * In-memory tracking of knowledge-base uploads, from the first byte to Botpress
+ * having indexed the file.
+ *
+ * A job moves through (queued ->) uploading -> uploaded -> indexing -> indexed,
+ * or ends in failed with an error message. Files a bulk upload could not take
+ * (e.g. unsupported entries in a ZIP) are recorded as skipped. Jobs are kept for
+ * a while after they finish so the info page can still read the outcome.
+ * `onFinish(job)` is called once for every job, when it reaches its final status.
+ */
+
+const crypto = require('crypto');
+
+const UPLOAD_JOB_STATUSES = ['queued', 'uploading', 'uploaded', 'indexing', 'indexed', 'failed', 'skipped'];
+const FINISHED_STATUSES = ['indexed', 'failed', 'skipped'];
+
+// Botpress file status -> job status
+const BOTPRESS_FILE_STATUSES = {
+  upload_pending: 'uploading',
+  upload_failed: 'failed',
+  upload_completed: 'uploaded',
+  indexing_pending: 'indexing',
+  indexing_failed: 'failed',
+  indexing_completed: 'indexed'
+};
+
+function isFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+function createUploadJobs({ retentionMs = 60 * 60 * 1000, onFinish = () => {} } = {}) {
+  const jobs = new Map(); // jobId -> job
+
+  const prune = () => {
+    const cutoff = Date.now() - retentionMs;
+    for (const [jobId, job] of jobs) {
+      if (isFinished(job) && Date.parse(job.updatedAt) < cutoff) {
+        jobs.delete(jobId);
+      }
+    }
+  };
+
+  return {
+    create(fields) {
+      prune();
+      const now = new Date().toISOString();
+      const job = {
+        id: `upload-${crypto.randomUUID()}`,
+        status: 'uploading',
+        botpressStatus: null,
+        fileId: null,
+        documentId: null,
+        error: null,
+        ...fields,
+        createdAt: now,
+        updatedAt: now
+      };
+      jobs.set(job.id, job);
+      if (isFinished(job)) {
+        onFinish({ ...job });
+      }
+      return { ...job };
+    },
+
+    get(jobId) {
+      const job = jobs.get(jobId);
+      return job ? { ...job } : null;
+    },
+
+    // Finished jobs never change again, so a late update cannot undo a failure
+    update(jobId, changes) {
+      const job = jobs.get(jobId);
+      if (!job || isFinished(job)) {
+        return job ? { ...job } : null;
+      }
+      if (changes.status && !UPLOAD_JOB_STATUSES.includes(changes.status)) {
+        throw new Error(`Unknown upload job status: ${changes.status}`);
+      }
+      Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+      if (isFinished(job)) {
+        onFinish({ ...job });
+      }
+      return { ...job };
+    },
+
+    fail(jobId, error) {
+      return this.update(jobId, { status: 'failed', error });
+    },
+
+    list() {
+      return Array.from(jobs.values()).map(job => ({ ...job }));
+    },
+
+    // Jobs of one bulk upload, in the order they were created
+    listBatch(batchId) {
+      return Array.from(jobs.values())
+        .filter(job => job.batchId === batchId)
+        .map(job => ({ ...job }));
+    }
+  };
+}
+
+module.exports = { createUploadJobs, isFinished, BOTPRESS_FILE_STATUSES, UPLOAD_JOB_STATUSES };
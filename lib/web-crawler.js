@@ -0,0 +1,231 @@
+/**
+ * lib/web-crawler.js
+ * Fetches web pages (a single URL, or every page listed in a sitemap) and
+ * extracts their readable content as Markdown for the knowledge base.
+ *
+ * Sitemaps are followed only to pages on the sitemap's own host, and nested
+ * sitemap indexes only a few levels deep.
+ *
+ * The URLs come from users, so the crawler never connects to loopback, private,
+ * link-local (cloud metadata) or other non-public addresses unless their host is
+ * explicitly allowed. Host names are checked on the address actually connected
+ * to, and redirects are followed one hop at a time so every hop is checked.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { htmlToMarkdown } = require('./document-formats');
+
+const MAX_SITEMAP_DEPTH = 3;
+const MAX_REDIRECTS = 5;
+const USER_AGENT = 'chatbot-kb-crawler/1.0';
+
+// Addresses that are not on the public internet
+const NON_PUBLIC_NETWORKS = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  NON_PUBLIC_NETWORKS.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  NON_PUBLIC_NETWORKS.addSubnet(address, prefix, 'ipv6');
+}
+
+// IPv4-mapped IPv6 addresses are checked against the IPv4 networks
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && !NON_PUBLIC_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup for sockets that refuses host names resolving to a non-public address
+function publicOnlyLookup(allowedHosts) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(error);
+      }
+      const blocked = allowedHosts.has(hostname) ? null : addresses.find(entry => !isPublicAddress(entry.address));
+      if (blocked) {
+        return callback(new Error(`Refusing to fetch ${hostname}: it resolves to the non-public address ${blocked.address}`));
+      }
+      if (options.all) {
+        return callback(null, addresses);
+      }
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+// IP literals never go through the lookup, so they are checked before connecting
+function checkHost(url, allowedHosts) {
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && !isPublicAddress(hostname) && !allowedHosts.has(hostname)) {
+    throw new Error(`Refusing to fetch ${url.href}: ${hostname} is not a public address`);
+  }
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+function hashContent(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// `agents` come from createAgents, so every connection (redirects included) is checked
+async function fetchUrl(url, { timeoutMs, maxBytes, allowedHosts, agents }) {
+  let current = url;
+  for (let redirects = 0; ; redirects++) {
+    checkHost(new URL(current), allowedHosts);
+    const response = await axios.get(current, {
+      responseType: 'text',
+      timeout: timeoutMs,
+      maxContentLength: maxBytes,
+      maxRedirects: 0,
+      validateStatus: status => status >= 200 && status < 400,
+      httpAgent: agents.http,
+      httpsAgent: agents.https,
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,text/xml;q=0.9'
+      },
+      // Keep the raw body; axios would otherwise try to JSON.parse it
+      transformResponse: [data => data]
+    });
+
+    if (response.status < 300) {
+      return {
+        url: current,
+        contentType: String(response.headers['content-type'] || '').toLowerCase(),
+        body: typeof response.data === 'string' ? response.data : String(response.data)
+      };
+    }
+    const location = response.headers.location;
+    if (!location) {
+      throw new Error(`Redirect without a location (status ${response.status})`);
+    }
+    if (redirects >= MAX_REDIRECTS) {
+      throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+    }
+    current = new URL(location, current).href;
+    if (!isHttpUrl(current)) {
+      throw new Error(`Redirect to a non-http(s) URL: ${current}`);
+    }
+  }
+}
+
+function createAgents(allowedHosts) {
+  const lookup = publicOnlyLookup(allowedHosts);
+  return { http: new http.Agent({ lookup }), https: new https.Agent({ lookup }) };
+}
+
+function isSitemap({ contentType, body }) {
+  const looksXml = contentType.includes('xml') || body.trimStart().startsWith('<?xml');
+  return looksXml && /<(urlset|sitemapindex)\b/.test(body);
+}
+
+// <loc> entries of a sitemap; an index lists further sitemaps instead of pages
+function parseSitemap(xml) {
+  const locs = (xml.match(/<loc>\s*([\s\S]*?)\s*<\/loc>/g) || [])
+    .map(loc => loc.replace(/<\/?loc>/g, '').replace(/<!\[CDATA\[|\]\]>/g, '').replace(/&amp;/g, '&').trim())
+    .filter(isHttpUrl);
+  return /<sitemapindex\b/.test(xml) ? { pages: [], sitemaps: locs } : { pages: locs, sitemaps: [] };
+}
+
+// Page chrome (menus, headers, footers, forms) is dropped; <main> or <article> wins when present
+function extractReadableContent(html) {
+  const titleMatch = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i) || html.match(/<h1\b[^>]*>([\s\S]*?)<\/h1>/i);
+  const title = titleMatch ? htmlToMarkdown(titleMatch[1]).replace(/\s+/g, ' ').trim() : '';
+
+  const withoutChrome = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|svg|iframe|nav|header|footer|aside|form)\b[\s\S]*?<\/\1>/gi, '');
+  const main = withoutChrome.match(/<main\b[^>]*>([\s\S]*)<\/main>/i)
+    || withoutChrome.match(/<article\b[^>]*>([\s\S]*)<\/article>/i)
+    || withoutChrome.match(/<body\b[^>]*>([\s\S]*)<\/body>/i);
+
+  return { title, content: htmlToMarkdown(main ? main[1] : withoutChrome) };
+}
+
+/**
+ * Crawls `url`: a sitemap (or sitemap index) yields all its pages, anything else
+ * is fetched as a single page. `allowedHosts` lists host names or addresses that
+ * may be fetched even though they are not public (an intranet site, tests). Returns
+ * { type: 'sitemap' | 'page', pages: [{ url, title, content, contentHash }], errors: [{ url, error }] }.
+ */
+async function crawl(url, { maxPages = 50, timeoutMs = 15000, maxBytes = 5 * 1024 * 1024, allowedHosts = [] } = {}) {
+  const pages = [];
+  const errors = [];
+  const allowed = new Set(allowedHosts);
+  const agents = createAgents(allowed);
+  const options = { timeoutMs, maxBytes, allowedHosts: allowed, agents };
+
+  const addPage = (pageUrl, html) => {
+    const { title, content } = extractReadableContent(html);
+    if (!content) {
+      errors.push({ url: pageUrl, error: 'No readable content found' });
+      return;
+    }
+    pages.push({ url: pageUrl, title: title || pageUrl, content, contentHash: hashContent(content) });
+  };
+
+  const first = await fetchUrl(url, options);
+  if (!isSitemap(first)) {
+    if (!first.contentType.includes('html')) {
+      throw new Error(`Unsupported content type: ${first.contentType || 'unknown'}`);
+    }
+    addPage(first.url, first.body);
+    return { type: 'page', pages, errors };
+  }
+
+  // Collect page URLs through nested sitemaps, staying on the sitemap's host
+  const host = new URL(first.url).host;
+  const pageUrls = new Set();
+  const visited = new Set([url]);
+  const walk = async (sitemap, depth) => {
+    const { pages: urls, sitemaps } = parseSitemap(sitemap.body);
+    for (const pageUrl of urls) {
+      if (new URL(pageUrl).host === host && pageUrls.size < maxPages) {
+        pageUrls.add(pageUrl);
+      }
+    }
+    for (const sitemapUrl of sitemaps) {
+      if (depth >= MAX_SITEMAP_DEPTH || pageUrls.size >= maxPages || visited.has(sitemapUrl) || new URL(sitemapUrl).host !== host) {
+        continue;
+      }
+      visited.add(sitemapUrl);
+      try {
+        await walk(await fetchUrl(sitemapUrl, options), depth + 1);
+      } catch (error) {
+        errors.push({ url: sitemapUrl, error: error.message });
+      }
+    }
+  };
+  await walk(first, 0);
+
+  for (const pageUrl of pageUrls) {
+    try {
+      const page = await fetchUrl(pageUrl, options);
+      if (!page.contentType.includes('html')) {
+        errors.push({ url: pageUrl, error: `Unsupported content type: ${page.contentType || 'unknown'}` });
+        continue;
+      }
+      addPage(pageUrl, page.body);
+    } catch (error) {
+      errors.push({ url: pageUrl, error: error.message });
+    }
+  }
+  return { type: 'sitemap', pages, errors };
+}
+
+module.exports = { crawl, isHttpUrl, extractReadableContent, parseSitemap };
@@ -0,0 +1,377 @@
+/**
+ * lib/webhook-payloads.js
+ * Declared shapes of the payloads n8n posts to /api/botpress-webhook.
+ *
+ * Every schema describes where the message lives in the request body and which
+ * fields it may carry. Whatever shape came in, normalizeWebhookPayload returns
+ * the same internal message (see normalizeMessage) or a list of field errors.
+ * Supporting a new format means adding a schema to WEBHOOK_PAYLOAD_SCHEMAS.
+ */
+
+const INVALID = Symbol('invalid');
+
+// Coercions are deliberately lenient where n8n expressions tend to produce strings
+const FIELD_TYPES = {
+  string: {
+    describe: 'a string',
+    coerce: value => (typeof value === 'string' ? value : INVALID)
+  },
+  id: {
+    describe: 'a string or number',
+    coerce: value => (typeof value === 'string' || typeof value === 'number' ? String(value) : INVALID)
+  },
+  boolean: {
+    describe: 'true or false',
+    coerce: value => {
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      return INVALID;
+    }
+  },
+  integer: {
+    describe: 'an integer',
+    coerce: value => {
+      const number = Number(value);
+      return typeof value !== 'boolean' && Number.isInteger(number) ? number : INVALID;
+    }
+  },
+  object: {
+    describe: 'an object',
+    coerce: value => (value && typeof value === 'object' && !Array.isArray(value) ? value : INVALID)
+  },
+  array: {
+    describe: 'an array',
+    coerce: value => (Array.isArray(value) ? value : INVALID)
+  },
+  // Links the browser will open or download; never javascript: or other schemes
+  url: {
+    describe: 'an http(s) URL',
+    coerce: value => (typeof value === 'string' && /^https?:\/\//i.test(value) ? value : INVALID)
+  }
+};
+
+// What a webhook call reports: a bot message, or live status while the workflow runs
+const EVENT_TYPES = ['message', 'typing', 'progress', 'error'];
+
+// Botpress-style rich content carried in `payload`
+const RICH_PAYLOAD_TYPES = ['text', 'image', 'choice', 'dropdown', 'card', 'carousel', 'file'];
+
+const ACTION_FIELDS = {
+  action: { type: 'string', values: ['postback', 'say', 'url'] },
+  label: { type: 'string', required: true },
+  value: { type: 'string' }
+};
+
+const OPTION_FIELDS = {
+  label: { type: 'string', required: true },
+  value: { type: 'string' }
+};
+
+const CARD_FIELDS = {
+  title: { type: 'string', required: true },
+  subtitle: { type: 'string' },
+  imageUrl: { type: 'string' },
+  actions: { type: 'array', items: ACTION_FIELDS }
+};
+
+// Knowledge-base document an answer was drawn from, shown as a citation chip
+const SOURCE_FIELDS = {
+  fileId: { type: 'id', required: true },
+  title: { type: 'string' },
+  page: { type: 'integer', min: 1 },
+  snippet: { type: 'string' }
+};
+
+const MAX_SOURCES = 20;
+
+// Fields shared by every message-carrying schema
+const MESSAGE_FIELDS = {
+  conversationId: { type: 'id', required: true },
+  type: { type: 'string', values: EVENT_TYPES },
+  // progress: what the workflow is doing ("Searching knowledge base…"); error: what went wrong
+  label: { type: 'string' },
+  error: { type: 'string' },
+  isBot: { type: 'boolean' },
+  text: { type: 'string' },
+  image: { type: 'string' },
+  imageUrl: { type: 'string' },
+  sources: { type: 'array', items: SOURCE_FIELDS },
+  payload: {
+    type: 'object',
+    fields: {
+      type: { type: 'string', values: RICH_PAYLOAD_TYPES },
+      text: { type: 'string' },
+      image: { type: 'string' },
+      imageUrl: { type: 'string' },
+      // choice = quick-reply chips, dropdown = list of buttons
+      options: { type: 'array', items: OPTION_FIELDS },
+      // card (imageUrl above), file (title only)
+      title: { type: 'string' },
+      subtitle: { type: 'string' },
+      actions: { type: 'array', items: ACTION_FIELDS },
+      // carousel
+      items: { type: 'array', items: CARD_FIELDS },
+      // file
+      fileUrl: { type: 'url' }
+    }
+  },
+  // End-of-turn metadata; sequence is the 1-based position within the turn
+  turnId: { type: 'id' },
+  sequence: { type: 'integer', min: 1 },
+  final: { type: 'boolean' }
+};
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function joinPath(base, name) {
+  return base ? `${base}.${name}` : name;
+}
+
+// Returns the coerced known fields; problems are pushed onto `errors`
+function validateFields(value, fields, basePath, errors) {
+  const result = {};
+  for (const [name, rule] of Object.entries(fields)) {
+    const fieldPath = joinPath(basePath, name);
+    const fieldValue = value[name];
+
+    if (fieldValue === undefined || fieldValue === null || fieldValue === '') {
+      if (rule.required) {
+        errors.push({ path: fieldPath, message: 'is required' });
+      }
+      continue;
+    }
+
+    const fieldType = FIELD_TYPES[rule.type];
+    const coerced = fieldType.coerce(fieldValue);
+    if (coerced === INVALID) {
+      errors.push({ path: fieldPath, message: `must be ${fieldType.describe}`, received: fieldValue });
+      continue;
+    }
+    if (rule.min !== undefined && coerced < rule.min) {
+      errors.push({ path: fieldPath, message: `must be at least ${rule.min}`, received: fieldValue });
+      continue;
+    }
+    if (rule.values && !rule.values.includes(coerced)) {
+      errors.push({ path: fieldPath, message: `must be one of ${rule.values.join(', ')}`, received: fieldValue });
+      continue;
+    }
+
+    if (rule.items) {
+      result[name] = coerced
+        .map((item, index) => validateItem(item, rule.items, `${fieldPath}[${index}]`, errors))
+        .filter(Boolean);
+    } else {
+      result[name] = rule.fields ? validateFields(coerced, rule.fields, fieldPath, errors) : coerced;
+    }
+  }
+  return result;
+}
+
+// Array entries are objects; entries with errors are dropped from the result
+function validateItem(item, fields, itemPath, errors) {
+  if (FIELD_TYPES.object.coerce(item) === INVALID) {
+    errors.push({ path: itemPath, message: `must be ${FIELD_TYPES.object.describe}`, received: item });
+    return null;
+  }
+  const errorCount = errors.length;
+  const result = validateFields(item, fields, itemPath, errors);
+  return errors.length === errorCount ? result : null;
+}
+
+// Buttons without an explicit action send their label back as the user's reply
+function normalizeActions(actions) {
+  return (actions || []).map(action => ({
+    action: action.action || 'postback',
+    label: action.label,
+    value: action.value || action.label
+  }));
+}
+
+function normalizeCard(card) {
+  return {
+    title: card.title,
+    subtitle: card.subtitle || null,
+    imageUrl: card.imageUrl || null,
+    actions: normalizeActions(card.actions)
+  };
+}
+
+// Only the rich types need a payload of their own; text and images live on the message
+function normalizeRichPayload(payload) {
+  switch (payload.type) {
+    case 'choice':
+    case 'dropdown':
+      return {
+        type: payload.type,
+        options: (payload.options || []).map(option => ({ label: option.label, value: option.value || option.label }))
+      };
+    case 'card':
+      return { type: 'card', ...normalizeCard(payload) };
+    case 'carousel':
+      return { type: 'carousel', items: (payload.items || []).map(normalizeCard) };
+    case 'file':
+      return { type: 'file', fileUrl: payload.fileUrl || null, title: payload.title || null };
+    default:
+      return null;
+  }
+}
+
+// The same document may be cited once per page; duplicates are dropped
+function normalizeSources(sources) {
+  const seen = new Set();
+  const normalized = [];
+  for (const source of sources || []) {
+    const key = `${source.fileId}#${source.page || ''}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    normalized.push({
+      fileId: source.fileId,
+      title: source.title || null,
+      page: source.page || null,
+      snippet: source.snippet || null
+    });
+  }
+  return normalized.length > 0 ? normalized : null;
+}
+
+// The one message shape the rest of the backend works with
+function normalizeMessage(data) {
+  const payload = data.payload || {};
+  return {
+    type: data.type || 'message',
+    label: data.label || null,
+    error: data.error || null,
+    conversationId: data.conversationId || null,
+    isBot: data.isBot === undefined ? null : data.isBot,
+    text: payload.text || data.text || null,
+    image: (payload.type !== 'card' && (payload.image || payload.imageUrl)) || data.image || data.imageUrl || null,
+    payload: normalizeRichPayload(payload),
+    sources: normalizeSources(data.sources),
+    turnId: data.turnId || null,
+    sequence: data.sequence || null,
+    final: data.final === true
+  };
+}
+
+// Checks that need more than one field
+function checkMessage(message, basePath, errors) {
+  if (message.type === 'progress' && !message.label) {
+    errors.push({ path: joinPath(basePath, 'label'), message: 'is required for a progress event' });
+  }
+  if (message.type !== 'message') {
+    return;
+  }
+
+  if (!message.text && !message.image && !message.payload && !message.final) {
+    errors.push({ path: basePath || '(root)', message: 'needs text, an image or a rich payload (or final: true to close the turn)' });
+  }
+
+  if (message.sources && message.sources.length > MAX_SOURCES) {
+    errors.push({ path: joinPath(basePath, 'sources'), message: `may cite at most ${MAX_SOURCES} sources` });
+  }
+
+  if (message.text && /\{\{\s*\$json/.test(message.text)) {
+    errors.push({ path: joinPath(basePath, 'text'), message: 'contains an unrendered n8n expression', received: message.text });
+  }
+}
+
+// Checks of the rich payload; run before checkMessage, which only sees payloads that passed
+function checkRichPayload(message, basePath, errors) {
+  const payloadPath = joinPath(basePath, 'payload');
+  const rich = message.payload;
+  if (message.type !== 'message') {
+    return;
+  }
+  if (rich && (rich.type === 'choice' || rich.type === 'dropdown') && rich.options.length === 0) {
+    errors.push({ path: joinPath(payloadPath, 'options'), message: `needs at least one option for a ${rich.type}` });
+  }
+  if (rich && rich.type === 'card' && !rich.title) {
+    errors.push({ path: joinPath(payloadPath, 'title'), message: 'is required for a card' });
+  }
+  if (rich && rich.type === 'carousel' && rich.items.length === 0) {
+    errors.push({ path: joinPath(payloadPath, 'items'), message: 'needs at least one card for a carousel' });
+  }
+  if (rich && rich.type === 'file' && !rich.fileUrl) {
+    errors.push({ path: joinPath(payloadPath, 'fileUrl'), message: 'is required for a file' });
+  }
+  if (rich) {
+    const actions = rich.type === 'carousel' ? rich.items.flatMap(item => item.actions) : (rich.actions || []);
+    if (actions.some(action => action.action === 'url' && !/^https?:\/\//i.test(action.value))) {
+      errors.push({ path: payloadPath, message: 'url actions need an http(s) URL as their value' });
+    }
+  }
+}
+
+const WEBHOOK_PAYLOAD_SCHEMAS = [
+  {
+    name: 'n8n-envelope',
+    description: '{ body: { data: { conversationId, payload: { text, image }, sources, isBot } } }',
+    path: 'body.data',
+    matches: body => isObject(body.body) && isObject(body.body.data),
+    select: body => body.body.data,
+    fields: MESSAGE_FIELDS
+  },
+  {
+    name: 'direct',
+    description: '{ conversationId, payload: { text, image }, sources, isBot }',
+    path: '',
+    matches: body => body.conversationId !== undefined,
+    select: body => body,
+    fields: MESSAGE_FIELDS
+  },
+  {
+    // Never had anywhere to go without a conversationId; kept so the error says so
+    name: 'bare',
+    description: '{ text, image, isBot }',
+    path: '',
+    matches: body => body.text !== undefined || body.image !== undefined || body.imageUrl !== undefined,
+    select: body => body,
+    fields: MESSAGE_FIELDS
+  }
+];
+
+/**
+ * Match a webhook body against the declared schemas.
+ * Returns { valid, schema, message, errors }: `message` is normalized from the
+ * fields that passed validation, `errors` lists [{ path, message, received }].
+ */
+function normalizeWebhookPayload(body) {
+  if (!isObject(body)) {
+    return {
+      valid: false,
+      schema: null,
+      message: null,
+      errors: [{ path: '(root)', message: 'must be a JSON object' }]
+    };
+  }
+
+  const schema = WEBHOOK_PAYLOAD_SCHEMAS.find(candidate => candidate.matches(body));
+  if (!schema) {
+    return {
+      valid: false,
+      schema: null,
+      message: null,
+      errors: [{
+        path: '(root)',
+        message: `does not match any known payload shape: ${WEBHOOK_PAYLOAD_SCHEMAS.map(candidate => candidate.description).join(' | ')}`
+      }]
+    };
+  }
+
+  const errors = [];
+  const data = validateFields(schema.select(body), schema.fields, schema.path, errors);
+  const message = normalizeMessage(data);
+  checkRichPayload(message, schema.path, errors);
+  // Half-built rich content cannot be rendered, even outside strict mode; text and image stay
+  const payloadPath = joinPath(schema.path, 'payload');
+  if (errors.some(error => error.path === payloadPath || error.path.startsWith(`${payloadPath}.`))) {
+    message.payload = null;
+  }
+  checkMessage(message, schema.path, errors);
+
+  return { valid: errors.length === 0, schema: schema.name, message, errors };
+}
+
+module.exports = { normalizeWebhookPayload, WEBHOOK_PAYLOAD_SCHEMAS };
@@ -0,0 +1,121 @@
+/**
+ * lib/zip-archives.js
+ * Expands ZIP archives uploaded to the knowledge base into individual documents.
+ *
+ * The sizes in an archive's headers are only claims, so entries are inflated
+ * here with a cap on the output instead of trusting them: an entry stops
+ * inflating as soon as it would pass the per-file limit or the archive's
+ * remaining budget. Inflating and writing happen off the event loop.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const AdmZip = require('adm-zip');
+const { crc32 } = require('adm-zip/util');
+
+const inflateRaw = promisify(zlib.inflateRaw);
+
+// Compression methods of ZIP entries
+const STORED = 0;
+const DEFLATED = 8;
+
+// Folders and files archivers add that are never documents
+function isArchiveNoise(entryName) {
+  const parts = entryName.split('/');
+  return parts.includes('__MACOSX') || parts.some(part => part.startsWith('.'));
+}
+
+/**
+ * The entry's content as { data }; { tooLarge: true } when it would be larger than `limit`
+ * bytes (inflation stops there, so nothing bigger is ever held in memory) and { error }
+ * when it cannot be read.
+ */
+async function readEntry(entry, limit) {
+  if (entry.header.encrypted) {
+    return { error: 'Encrypted files are not supported' };
+  }
+  const compressed = entry.getCompressedData();
+  let data;
+  if (entry.header.method === STORED) {
+    data = compressed;
+  } else if (entry.header.method === DEFLATED) {
+    try {
+      data = await inflateRaw(compressed, { maxOutputLength: Math.max(limit, 1) });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        return { tooLarge: true };
+      }
+      return { error: `Damaged file (${error.message})` };
+    }
+  } else {
+    return { error: `Unsupported compression method ${entry.header.method}` };
+  }
+  if (data.length > limit) {
+    return { tooLarge: true };
+  }
+  if (crc32(data) !== entry.header.crc) {
+    return { error: 'Damaged file (checksum mismatch)' };
+  }
+  return { data };
+}
+
+/**
+ * Extracts the documents in an archive into `targetDir`, one entry at a time.
+ * Resolves to { files: [{ name, extension, path, size }], skipped: [{ name, reason }] }.
+ * Only entries whose extension is in `allowedExtensions` are extracted; `name`
+ * keeps the folder path inside the archive so same-named files stay apart.
+ */
+async function expandZipArchive(filePath, targetDir, { allowedExtensions, maxEntrySize, maxTotalSize, maxEntries }) {
+  const zip = new AdmZip(await fs.promises.readFile(filePath));
+  const files = [];
+  const skipped = [];
+  let totalSize = 0;
+
+  for (const entry of zip.getEntries()) {
+    if (entry.isDirectory || isArchiveNoise(entry.entryName)) {
+      continue;
+    }
+
+    const name = entry.entryName;
+    const extension = path.extname(name).toLowerCase();
+    const size = entry.header.size;
+
+    if (!allowedExtensions.includes(extension)) {
+      skipped.push({ name, reason: `Unsupported file type${extension ? ` (${extension})` : ''}` });
+    } else if (size > maxEntrySize) {
+      skipped.push({ name, reason: `File too large (${size} bytes, limit ${maxEntrySize})` });
+    } else if (files.length >= maxEntries) {
+      skipped.push({ name, reason: `Archive has more than ${maxEntries} documents` });
+    } else if (totalSize + size > maxTotalSize) {
+      skipped.push({ name, reason: `Archive expands to more than ${maxTotalSize} bytes` });
+    } else {
+      // Whichever runs out first: the per-file limit or what is left of the archive's budget
+      const entryLimit = Math.min(maxEntrySize, maxTotalSize - totalSize);
+      const { data, tooLarge, error } = await readEntry(entry, entryLimit);
+      if (tooLarge) {
+        skipped.push({
+          name,
+          reason: entryLimit < maxEntrySize
+            ? `Archive expands to more than ${maxTotalSize} bytes`
+            : `File too large (limit ${maxEntrySize} bytes)`
+        });
+        continue;
+      }
+      if (error) {
+        skipped.push({ name, reason: error });
+        continue;
+      }
+      totalSize += data.length;
+      const extractedPath = path.join(targetDir, `zip-${crypto.randomUUID()}${extension}`);
+      await fs.promises.writeFile(extractedPath, data);
+      files.push({ name, extension, path: extractedPath, size: data.length });
+    }
+  }
+
+  return { files, skipped };
+}
+
+module.exports = { expandZipArchive };
@@ -0,0 +1,210 @@
+'use client';
+import { useRouter } from 'next/navigation';
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+const BACKEND_URL = process.env.NEXT_PUBLIC_BACKEND_URL || 'http://localhost:3001';
+const DEFAULT_RANGE_DAYS = 30;
+// Kept for the browser tab only: the token opens every report
+const ADMIN_TOKEN_STORAGE_KEY = 'kb-admin-token';
+
+interface AnalyticsDay {
+  date: string;
+  conversations: number;
+  questions: number;
+}
+
+interface TopQuestion {
+  question: string;
+  count: number;
+  lastAskedAt: string;
+}
+
+interface Analytics {
+  range: { from: string; to: string };
+  questionRetentionDays: number;
+  conversations: number;
+  perDay: AnalyticsDay[];
+  latency: { count: number; p50Ms: number | null; p95Ms: number | null };
+  turns: { total: number; answered: number; timedOut: number; errors: number; timeoutRate: number | null };
+  topQuestions: TopQuestion[];
+}
+
+// YYYY-MM-DD of a day `daysAgo` days before today (UTC, like the backend)
+const dateDaysAgo = (daysAgo: number) => new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const formatMs = (ms: number | null) => {
+  if (ms === null) return '–';
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+};
+
+export default function AnalyticsPage() {
+  const router = useRouter();
+  const [from, setFrom] = useState(dateDaysAgo(DEFAULT_RANGE_DAYS - 1));
+  const [to, setTo] = useState(dateDaysAgo(0));
+  const [adminToken, setAdminToken] = useState('');
+  // Read when loading, so typing the token does not send a request per keystroke
+  const adminTokenRef = useRef('');
+  const [analytics, setAnalytics] = useState<Analytics | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    adminTokenRef.current = sessionStorage.getItem(ADMIN_TOKEN_STORAGE_KEY) || '';
+    setAdminToken(adminTokenRef.current);
+  }, []);
+
+  const handleAdminTokenChange = (token: string) => {
+    adminTokenRef.current = token;
+    setAdminToken(token);
+    sessionStorage.setItem(ADMIN_TOKEN_STORAGE_KEY, token);
+  };
+
+  const fetchAnalytics = useCallback(async () => {
+    const token = adminTokenRef.current;
+    if (!token) {
+      setAnalytics(null);
+      return;
+    }
+    setIsLoading(true);
+    setError('');
+    try {
+      const response = await fetch(`${BACKEND_URL}/api/analytics?${new URLSearchParams({ from, to })}`, {
+        headers: { 'x-admin-token': token }
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `Loading analytics failed (${response.status})`);
+      }
+      setAnalytics(data);
+    } catch (e) {
+      setError(e instanceof Error ? e.message : 'Loading analytics failed');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [from, to]);
+
+  useEffect(() => {
+    fetchAnalytics();
+  }, [fetchAnalytics]);
+
+  const busiestDay = analytics ? Math.max(1, ...analytics.perDay.map(day => day.questions)) : 1;
+
+  return (
+    <div className="analytics-container">
+      <button onClick={() => router.push('/info')} className="back-button">
+        ← Back to Documents
+      </button>
+
+      <div className="analytics-content">
+        <h1>📊 Chat Analytics</h1>
+        <p>How the assistant is used and how fast it answers. Days are in UTC.</p>
+
+        <div className="analytics-range">
+          <label>
+            Admin token
+            <input
+              type="password"
+              value={adminToken}
+              onChange={(e) => handleAdminTokenChange(e.target.value)}
+              onBlur={fetchAnalytics}
+              onKeyDown={(e) => e.key === 'Enter' && fetchAnalytics()}
+              placeholder="ADMIN_API_TOKEN"
+              autoComplete="off"
+            />
+          </label>
+          <label>
+            From
+            <input type="date" value={from} max={to} onChange={(e) => setFrom(e.target.value)} />
+          </label>
+          <label>
+            To
+            <input type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} />
+          </label>
+          <button onClick={fetchAnalytics} disabled={isLoading || !adminToken}>
+            {isLoading ? 'Loading...' : '🔄 Refresh'}
+          </button>
+        </div>
+
+        {!adminToken && <div className="analytics-empty">Enter the admin token to load the analytics.</div>}
+        {error && <div className="upload-message error">❌ {error}</div>}
+
+        {analytics && (
+          <>
+            <div className="analytics-cards">
+              <div className="analytics-card">
+                <span>Questions</span>
+                <strong>{analytics.turns.total}</strong>
+                <small>in {analytics.conversations} conversation(s)</small>
+              </div>
+              <div className="analytics-card">
+                <span>Median first answer</span>
+                <strong>{formatMs(analytics.latency.p50Ms)}</strong>
+                <small>p95 {formatMs(analytics.latency.p95Ms)}</small>
+              </div>
+              <div className="analytics-card">
+                <span>Timeout rate</span>
+                <strong>
+                  {analytics.turns.timeoutRate === null ? '–' : `${(analytics.turns.timeoutRate * 100).toFixed(1)}%`}
+                </strong>
+                <small>{analytics.turns.timedOut} where the chat gave up waiting</small>
+              </div>
+              <div className="analytics-card">
+                <span>Errors</span>
+                <strong>{analytics.turns.errors}</strong>
+                <small>{analytics.turns.answered} answered</small>
+              </div>
+            </div>
+
+            <h2>Conversations per day</h2>
+            <div className="analytics-chart">
+              {analytics.perDay.map(day => (
+                <div
+                  key={day.date}
+                  className="analytics-bar"
+                  title={`${day.date}: ${day.conversations} conversation(s), ${day.questions} question(s)`}
+                >
+                  <div className="analytics-bar-fill" style={{ height: `${(day.questions / busiestDay) * 100}%` }} />
+                  <span>{day.conversations || ''}</span>
+                </div>
+              ))}
+            </div>
+            <div className="analytics-chart-legend">
+              <span>{analytics.range.from}</span>
+              <span>Bar height: questions · number: conversations</span>
+              <span>{analytics.range.to}</span>
+            </div>
+
+            <h2>Most frequent questions</h2>
+            <p className="analytics-empty">
+              {analytics.questionRetentionDays > 0
+                ? `Question texts are kept for ${analytics.questionRetentionDays} days.`
+                : 'Question texts are not kept.'}
+            </p>
+            {analytics.topQuestions.length === 0 ? (
+              <div className="analytics-empty">No questions asked in this period.</div>
+            ) : (
+              <table className="analytics-questions">
+                <thead>
+                  <tr>
+                    <th>Question</th>
+                    <th>Times asked</th>
+                    <th>Last asked</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {analytics.topQuestions.map(entry => (
+                    <tr key={entry.question}>
+                      <td>{entry.question}</td>
+                      <td>{entry.count}</td>
+                      <td>{new Date(entry.lastAskedAt).toLocaleString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,94 +1,394 @@
 'use client';
 import { useRouter } from 'next/navigation';
 import { useState } from 'react';
-import { useEffect } from 'react';
+import { useEffect, useRef } from 'react';
+import DocumentEditor, { DocumentChanges, KbDocument } from '@/components/DocumentEditor';
+import DocumentHistory from '@/components/DocumentHistory';
+import DocumentPreview from '@/components/DocumentPreview';
+import KbSearch from '@/components/KbSearch';
+
+const BACKEND_URL = process.env.NEXT_PUBLIC_BACKEND_URL || 'http://localhost:3001';
+// How often an upload's ingestion status is checked while Botpress works on it
+const UPLOAD_POLL_MS = 2000;
+// Failed status checks in a row (retried with growing delays) before we stop and call the status unknown
+const UPLOAD_POLL_MAX_FAILURES = 5;
+// Remembers who is uploading, for the version history
+const UPLOADER_STORAGE_KEY = 'kbUploaderName';
+
+// Documents the knowledge base takes, plus ZIP archives of them (expanded by the backend)
+const ACCEPTED_EXTENSIONS = [
+  '.pdf', '.txt', '.docx', '.doc', '.md', '.markdown', '.html', '.htm',
+  '.csv', '.pptx', '.xlsx', '.epub', '.zip'
+];
+
+type UploadStatus = 'queued' | 'uploading' | 'uploaded' | 'indexing' | 'indexed' | 'failed' | 'skipped';
+
+interface UploadJob {
+  id: string;
+  batchId?: string;
+  fileName: string;
+  archive?: string | null;
+  converted?: boolean;
+  status: UploadStatus;
+  error: string | null;
+}
+
+interface UploadBatch {
+  batchId: string;
+  total: number;
+  finished: boolean;
+  counts: Partial<Record<UploadStatus, number>>;
+  // Set here when the status checks kept failing; the backend may still finish the batch
+  statusUnknown?: boolean;
+}
+
+const UPLOAD_STEPS: UploadStatus[] = ['uploading', 'uploaded', 'indexing', 'indexed'];
+const FINISHED_UPLOAD_STATUSES: UploadStatus[] = ['indexed', 'failed', 'skipped'];
+
+const UPLOAD_STATUS_LABELS: Record<UploadStatus, string> = {
+  queued: '⏳ Queued',
+  uploading: '⬆️ Uploading...',
+  uploaded: '📦 Uploaded, waiting for indexing...',
+  indexing: '🔎 Indexing...',
+  indexed: '✅ Indexed and ready',
+  failed: '❌ Failed',
+  skipped: '⏭️ Skipped'
+};
+
+const hasAcceptedExtension = (file: File) => {
+  const dot = file.name.lastIndexOf('.');
+  return dot !== -1 && ACCEPTED_EXTENSIONS.includes(file.name.slice(dot).toLowerCase());
+};
 
 export default function InfoPage() {
   const router = useRouter();
-  const [selectedFile, setSelectedFile] = useState<File | null>(null);
+  const [selectedFiles, setSelectedFiles] = useState<File[]>([]);
+  const [isDragging, setIsDragging] = useState(false);
   const [isUploading, setIsUploading] = useState(false);
   const [uploadMessage, setUploadMessage] = useState('');
-  const [documents, setDocuments] = useState<any[]>([]);
+  const [uploads, setUploads] = useState<UploadJob[]>([]);
+  const [batches, setBatches] = useState<UploadBatch[]>([]);
+  const [sourceUrl, setSourceUrl] = useState('');
+  const [isAddingSource, setIsAddingSource] = useState(false);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const folderInputRef = useRef<HTMLInputElement>(null);
+  const [uploadCategory, setUploadCategory] = useState('');
+  const [uploadTags, setUploadTags] = useState('');
+  const [uploadDescription, setUploadDescription] = useState('');
+  const [uploaderName, setUploaderName] = useState('');
+  const [historyId, setHistoryId] = useState<string | null>(null);
+  const [previewDoc, setPreviewDoc] = useState<KbDocument | null>(null);
+  const replaceInputRef = useRef<HTMLInputElement>(null);
+  const replaceTargetRef = useRef<KbDocument | null>(null);
+  const [documents, setDocuments] = useState<KbDocument[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
   const [loadingDocs, setLoadingDocs] = useState(false);
-  const [deleteTarget, setDeleteTarget] = useState<any>(null);
+  const [searchFilter, setSearchFilter] = useState('');
+  const [categoryFilter, setCategoryFilter] = useState('');
+  const [tagFilter, setTagFilter] = useState('');
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [deleteTarget, setDeleteTarget] = useState<KbDocument[] | null>(null);
   const [deleting, setDeleting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  const [showDeleted, setShowDeleted] = useState(false);
+  // Documents of the last deletion that can still be restored
+  const [undoTargets, setUndoTargets] = useState<KbDocument[]>([]);
+  const [docsMessage, setDocsMessage] = useState('');
 
-  const fetchDocuments = async () => {
+  // Categories seen so far, offered as suggestions wherever a category is entered
+  const categories = Array.from(new Set(['support', ...documents.map(doc => doc.category)])).sort();
+
+  // Reloads the first page with the current filters, or appends the next page with `cursor`
+  const fetchDocuments = async (cursor?: string) => {
     setLoadingDocs(true);
     try {
-      const response = await fetch(`${process.env.NEXT_PUBLIC_BACKEND_URL || 'http://localhost:3001'}/api/documents`);
+      const params = new URLSearchParams();
+      if (searchFilter.trim()) params.set('search', searchFilter.trim());
+      if (categoryFilter.trim()) params.set('category', categoryFilter.trim());
+      if (tagFilter.trim()) params.set('tags', tagFilter.trim());
+      if (cursor) params.set('cursor', cursor);
+      if (showDeleted) params.set('deleted', 'true');
+
+      const response = await fetch(`${BACKEND_URL}/api/documents?${params}`);
       const data = await response.json();
-      if (data.success && data.files && Array.isArray(data.files)) {
-        setDocuments(data.files);
-      } else {
+      if (data.success && Array.isArray(data.files)) {
+        setDocuments(prev => (cursor ? [...prev, ...data.files] : data.files));
+        setNextCursor(data.nextCursor || null);
+        if (!cursor) setSelectedIds([]);
+      } else if (!cursor) {
         setDocuments([]);
+        setNextCursor(null);
       }
     } catch (e) {
-      setDocuments([]);
+      if (!cursor) setDocuments([]);
     } finally {
       setLoadingDocs(false);
     }
   };
 
+  const handleSaveDocument = async (doc: KbDocument, changes: DocumentChanges) => {
+    const response = await fetch(`${BACKEND_URL}/api/documents/${doc.id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes),
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || `Saving failed (${response.status})`);
+    }
+    setDocuments(prev => prev.map(item => (item.id === doc.id ? data.document : item)));
+    setEditingId(null);
+  };
+
   useEffect(() => {
     fetchDocuments();
+  }, [showDeleted]);
+
+  useEffect(() => {
+    // Not part of React's input props; lets the second picker choose a whole folder
+    folderInputRef.current?.setAttribute('webkitdirectory', '');
+    setUploaderName(localStorage.getItem(UPLOADER_STORAGE_KEY) || '');
+    // Citation chips in the chat link here with ?document=<fileId>
+    const citedId = new URLSearchParams(window.location.search).get('document');
+    if (citedId) openCitedDocument(citedId);
   }, []);
 
+  const openCitedDocument = async (fileId: string) => {
+    try {
+      const response = await fetch(`${BACKEND_URL}/api/documents/${encodeURIComponent(fileId)}`);
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `Loading the document failed (${response.status})`);
+      }
+      setPreviewDoc(data.document);
+    } catch (e) {
+      setDocsMessage(`❌ Cited document ${fileId}: ${e instanceof Error ? e.message : 'loading failed'}`);
+    }
+  };
+
+  const handleUploaderChange = (name: string) => {
+    setUploaderName(name);
+    localStorage.setItem(UPLOADER_STORAGE_KEY, name);
+  };
+
+  // Follow an upload batch started outside the upload form (replace, restore)
+  const trackBatch = (batchId: string) => {
+    showBatch({ batchId, total: 0, finished: false, counts: {}, files: [] });
+    setTimeout(() => pollBatch(batchId), UPLOAD_POLL_MS);
+  };
+
+  const handleReplaceClick = (doc: KbDocument) => {
+    replaceTargetRef.current = doc;
+    replaceInputRef.current?.click();
+  };
+
+  // Upload the chosen file as the next version of the document picked with handleReplaceClick
+  const handleReplaceFile = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    const doc = replaceTargetRef.current;
+    event.target.value = '';
+    if (!file || !doc) return;
+
+    setUploadMessage('');
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      if (uploaderName.trim()) formData.append('uploadedBy', uploaderName.trim());
+      const response = await fetch(`${BACKEND_URL}/api/documents/${doc.id}/replace`, {
+        method: 'POST',
+        body: formData,
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `Replacing failed (${response.status})`);
+      }
+      setHistoryId(null);
+      trackBatch(data.batchId);
+    } catch (error) {
+      setUploadMessage(`❌ ${error instanceof Error ? error.message : 'Replacing failed'}`);
+    }
+  };
+
   const handleBackToChat = () => {
     router.push('/');
   };
 
+  // Folders bring along everything in them, so only keep what the knowledge base can take
+  const selectFiles = (files: File[]) => {
+    const accepted = files.filter(hasAcceptedExtension);
+    setSelectedFiles(accepted);
+    const ignored = files.length - accepted.length;
+    setUploadMessage(ignored > 0 ? `⚠️ Ignored ${ignored} file(s) of an unsupported type` : '');
+  };
+
   const handleFileSelect = (event: React.ChangeEvent<HTMLInputElement>) => {
-    const file = event.target.files?.[0];
-    if (file) {
-      setSelectedFile(file);
-      setUploadMessage('');
+    selectFiles(Array.from(event.target.files || []));
+  };
+
+  const handleDrop = (event: React.DragEvent) => {
+    event.preventDefault();
+    setIsDragging(false);
+    selectFiles(Array.from(event.dataTransfer.files));
+  };
+
+  // Follow a bulk upload until every file is indexed, failed or skipped
+  const pollBatch = async (batchId: string, failures = 0) => {
+    try {
+      const response = await fetch(`${BACKEND_URL}/api/uploads/batches/${batchId}`);
+      const data = await response.json();
+      if (!response.ok || !data.files) {
+        throw new Error(data.error || `Status check failed (${response.status})`);
+      }
+      showBatch(data);
+      if (!data.finished) {
+        setTimeout(() => pollBatch(batchId), UPLOAD_POLL_MS);
+      } else if (data.counts.indexed) {
+        await fetchDocuments();
+      }
+    } catch (error) {
+      // A network blip says nothing about the uploads themselves, so keep their last known status
+      if (failures + 1 < UPLOAD_POLL_MAX_FAILURES) {
+        setTimeout(() => pollBatch(batchId, failures + 1), UPLOAD_POLL_MS * 2 ** (failures + 1));
+        return;
+      }
+      setBatches(prev => prev.map(b => (b.batchId === batchId ? { ...b, statusUnknown: true } : b)));
+      setUploadMessage(`⚠️ Could not check the upload status (${error instanceof Error ? error.message : 'unknown error'}). The uploads may still finish; reload the documents later.`);
     }
   };
 
+  const showBatch = (data: UploadBatch & { files: UploadJob[] }) => {
+    const { files, ...batch } = data;
+    setBatches(prev => [batch, ...prev.filter(b => b.batchId !== batch.batchId)]);
+    setUploads(prev => {
+      const others = prev.filter(upload => !files.some(file => file.id === upload.id));
+      return [...files, ...others];
+    });
+  };
+
   const handleUpload = async () => {
-    if (!selectedFile) {
-      setUploadMessage('✅ File uploaded successfully to knowledge base!');
-      return;
-    }
+    if (selectedFiles.length === 0) return;
 
     setIsUploading(true);
-    setUploadMessage('✅ File uploaded successfully to knowledge base!');
+    setUploadMessage('');
 
     try {
       const formData = new FormData();
-      formData.append('file', selectedFile);
+      selectedFiles.forEach(file => formData.append('files', file));
+      if (uploadCategory.trim()) formData.append('category', uploadCategory.trim());
+      if (uploadTags.trim()) formData.append('tags', uploadTags.trim());
+      if (uploadDescription.trim()) formData.append('description', uploadDescription.trim());
+      if (uploaderName.trim()) formData.append('uploadedBy', uploaderName.trim());
 
-      await fetch(`${process.env.NEXT_PUBLIC_BACKEND_URL || 'http://localhost:3001'}/api/upload`, {
+      const response = await fetch(`${BACKEND_URL}/api/upload/bulk`, {
         method: 'POST',
         body: formData,
       });
-      setSelectedFile(null);
-      const fileInput = document.getElementById('file-input') as HTMLInputElement;
-      if (fileInput) fileInput.value = '';
-      await fetchDocuments(); // Refresh document list after upload
+      const data = await response.json();
+      if (!response.ok || !data.batchId) {
+        throw new Error(data.error || data.message || `Upload failed (${response.status})`);
+      }
+
+      showBatch(data);
+      setSelectedFiles([]);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+      if (folderInputRef.current) folderInputRef.current.value = '';
+      if (!data.finished) {
+        setTimeout(() => pollBatch(data.batchId), UPLOAD_POLL_MS);
+      }
     } catch (error) {
-      // Do nothing, always show success
+      setUploadMessage(`❌ ${error instanceof Error ? error.message : 'Upload failed'}`);
     } finally {
       setIsUploading(false);
     }
   };
 
-  const handleDelete = async (file: any) => {
-    setDeleting(true);
+  // Crawl a web page or sitemap into the knowledge base; its pages show up as a batch
+  const handleAddSource = async () => {
+    const url = sourceUrl.trim();
+    if (!url) return;
+
+    setIsAddingSource(true);
+    setUploadMessage('');
     try {
-      await fetch(`${process.env.NEXT_PUBLIC_BACKEND_URL || 'http://localhost:3001'}/api/documents/${file.id || file.fileId}`, {
-        method: 'DELETE',
+      const response = await fetch(`${BACKEND_URL}/api/sources/url`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url }),
       });
+      const data = await response.json();
+      if (!response.ok || !data.batchId) {
+        throw new Error(data.error || `Adding the source failed (${response.status})`);
+      }
+      setSourceUrl('');
+      trackBatch(data.batchId);
+    } catch (error) {
+      setUploadMessage(`❌ ${error instanceof Error ? error.message : 'Adding the source failed'}`);
+    } finally {
+      setIsAddingSource(false);
+    }
+  };
+
+  const toggleSelected = (id: string) => {
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]));
+  };
+
+  // Deleted documents stay restorable for a grace period; the backend purges them afterwards
+  const handleDelete = async (docs: KbDocument[]) => {
+    setDeleting(true);
+    setDocsMessage('');
+    try {
+      const response = docs.length === 1
+        ? await fetch(`${BACKEND_URL}/api/documents/${docs[0].id}`, { method: 'DELETE' })
+        : await fetch(`${BACKEND_URL}/api/documents/bulk-delete`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ fileIds: docs.map(doc => doc.id) }),
+        });
+      const data = await response.json();
+      const results: { fileId: string; success: boolean; purged?: boolean; error?: string }[] =
+        data.results || [{ ...data, fileId: docs[0].id }];
+      const failed = results.filter(result => !result.success);
+      if (results.length === 0 || (failed.length === results.length && !response.ok)) {
+        throw new Error(data.error || failed[0]?.error || `Deleting failed (${response.status})`);
+      }
+
+      const restorable = results.filter(result => result.success && !result.purged).map(result => result.fileId);
+      setUndoTargets(docs.filter(doc => restorable.includes(doc.id)));
+      if (failed.length > 0) {
+        setDocsMessage(`❌ ${failed.length} of ${results.length} document(s) could not be deleted: ${failed[0].error}`);
+      }
       setDeleteTarget(null);
       await fetchDocuments();
     } catch (e) {
-      // Optionally show error
+      setDocsMessage(`❌ ${e instanceof Error ? e.message : 'Deleting failed'}`);
+      setDeleteTarget(null);
     } finally {
       setDeleting(false);
     }
   };
 
+  // Undo a deletion (from the undo banner or the recently deleted list)
+  const handleRestore = async (docs: KbDocument[]) => {
+    setDocsMessage('');
+    const errors: string[] = [];
+    for (const doc of docs) {
+      try {
+        const response = await fetch(`${BACKEND_URL}/api/documents/${doc.id}/restore`, { method: 'POST' });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+          throw new Error(data.error || `Restoring failed (${response.status})`);
+        }
+      } catch (e) {
+        errors.push(`${doc.title}: ${e instanceof Error ? e.message : 'Restoring failed'}`);
+      }
+    }
+    setUndoTargets([]);
+    if (errors.length > 0) {
+      setDocsMessage(`❌ ${errors.join('; ')}`);
+    }
+    await fetchDocuments();
+  };
+
   return (
     <div className="upload-container" style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', minHeight: '100vh' }}>
       <button 
@@ -97,91 +397,348 @@ export default function InfoPage() {
       >
         ← Back to Chat
       </button>
+      <button
+        onClick={() => router.push('/analytics')}
+        className="back-button analytics-nav"
+      >
+        📊 Analytics
+      </button>
 
       <div style={{ display: 'flex', flexDirection: 'row', gap: 40, alignItems: 'flex-start', justifyContent: 'center', width: '100%' }}>
         <div className="upload-content">
-          <h1>📄 Upload Document</h1>
-          <p>Upload a document to the knowledge base for better chat assistance</p>
+          <h1>📄 Upload Documents</h1>
+          <p>Upload documents, folders or ZIP archives to the knowledge base for better chat assistance</p>
           <div className="upload-form">
-            <div className="file-input-container">
+            <div
+              className={`file-input-container ${isDragging ? 'dragging' : ''}`}
+              onDragOver={(e) => {
+                e.preventDefault();
+                setIsDragging(true);
+              }}
+              onDragLeave={() => setIsDragging(false)}
+              onDrop={handleDrop}
+            >
               <input
                 type="file"
                 id="file-input"
-                accept=".pdf,.txt,.docx,.doc"
+                ref={fileInputRef}
+                accept={ACCEPTED_EXTENSIONS.join(',')}
+                multiple
                 onChange={handleFileSelect}
                 className="file-input"
               />
               <label htmlFor="file-input" className="file-input-label">
-                {selectedFile ? selectedFile.name : 'Choose a file (.pdf, .txt, .docx)'}
+                {selectedFiles.length === 1
+                  ? selectedFiles[0].name
+                  : selectedFiles.length > 1
+                    ? `${selectedFiles.length} files selected`
+                    : 'Choose or drop files (PDF, Word, Markdown, HTML, CSV, PowerPoint, Excel, EPUB or ZIP)'}
               </label>
             </div>
+            <input
+              type="file"
+              id="folder-input"
+              ref={folderInputRef}
+              multiple
+              onChange={handleFileSelect}
+              className="folder-input"
+            />
+            <label htmlFor="folder-input" className="folder-input-label">
+              📁 Or choose a whole folder
+            </label>
+
+            <div className="upload-metadata">
+              <input
+                value={uploaderName}
+                onChange={(e) => handleUploaderChange(e.target.value)}
+                placeholder="Your name (shown in version history)"
+              />
+              <input
+                value={uploadCategory}
+                onChange={(e) => setUploadCategory(e.target.value)}
+                list="upload-categories"
+                placeholder="Category (default: support)"
+              />
+              <datalist id="upload-categories">
+                {categories.map(name => <option key={name} value={name} />)}
+              </datalist>
+              <input
+                value={uploadTags}
+                onChange={(e) => setUploadTags(e.target.value)}
+                placeholder="Tags, comma-separated"
+              />
+              <textarea
+                value={uploadDescription}
+                onChange={(e) => setUploadDescription(e.target.value)}
+                placeholder="Description (optional)"
+                rows={2}
+              />
+            </div>
 
             <button 
               onClick={handleUpload}
-              disabled={!selectedFile || isUploading}
+              disabled={selectedFiles.length === 0 || isUploading}
               className="upload-button"
             >
               {isUploading ? 'Uploading...' : 'Upload to Knowledge Base'}
             </button>
 
+            <div className="source-url-form">
+              <input
+                type="url"
+                value={sourceUrl}
+                onChange={(e) => setSourceUrl(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleAddSource()}
+                placeholder="Or add a web page or sitemap URL"
+                className="source-url-input"
+              />
+              <button
+                onClick={handleAddSource}
+                disabled={!sourceUrl.trim() || isAddingSource}
+                className="source-url-button"
+              >
+                {isAddingSource ? 'Adding...' : '🌐 Crawl'}
+              </button>
+            </div>
+
             {uploadMessage && (
-              <div className={`upload-message success`}>
+              <div className="upload-message error">
                 {uploadMessage}
               </div>
             )}
+
+            {batches.map(batch => (
+              <div key={batch.batchId} className="upload-message info">
+                {batch.finished ? 'Finished' : 'Processing'} {batch.total} item(s):{' '}
+                {Object.entries(batch.counts)
+                  .map(([status, count]) => `${count} ${status}`)
+                  .join(', ')}
+              </div>
+            ))}
+
+            {uploads.length > 0 && (
+              <ul className="upload-jobs">
+                {uploads.map(upload => (
+                  <li key={upload.id} className={`upload-job ${upload.status}`}>
+                    <div className="upload-job-name">
+                      {upload.fileName}
+                      {upload.archive && <span className="upload-job-archive"> from {upload.archive}</span>}
+                      {upload.converted && <span className="upload-job-archive"> · converted to Markdown</span>}
+                    </div>
+                    <div className="upload-job-progress">
+                      {UPLOAD_STEPS.map(step => (
+                        <span
+                          key={step}
+                          className={UPLOAD_STEPS.indexOf(step) <= UPLOAD_STEPS.indexOf(upload.status) ? 'done' : ''}
+                        />
+                      ))}
+                    </div>
+                    <div className="upload-job-status">
+                      {!FINISHED_UPLOAD_STATUSES.includes(upload.status)
+                        && batches.some(batch => batch.batchId === upload.batchId && batch.statusUnknown)
+                        ? '❔ Status unknown'
+                        : UPLOAD_STATUS_LABELS[upload.status]}
+                      {upload.error && `: ${upload.error}`}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
           </div>
         </div>
 
         {/* File list on the right */}
         <div style={{ minWidth: 320, maxWidth: 400, background: 'white', borderRadius: 20, boxShadow: '0 8px 24px rgba(244,143,177,0.12)', padding: 24, height: 'fit-content' }}>
-          <h2 style={{ color: '#e91e63', fontSize: 22, marginBottom: 16 }}>📚 Documents</h2>
-          {loadingDocs ? (
+          <h2 style={{ color: '#e91e63', fontSize: 22, marginBottom: 16 }}>
+            {showDeleted ? '🗑️ Recently deleted' : '📚 Documents'}
+          </h2>
+          <div className="document-actions">
+            <button className="secondary" onClick={() => setShowDeleted(!showDeleted)} disabled={loadingDocs}>
+              {showDeleted ? '← Back to documents' : '🗑️ Recently deleted'}
+            </button>
+            {!showDeleted && selectedIds.length > 0 && (
+              <button
+                onClick={() => setDeleteTarget(documents.filter(doc => selectedIds.includes(doc.id)))}
+                disabled={deleting}
+              >
+                Delete selected ({selectedIds.length})
+              </button>
+            )}
+          </div>
+          {undoTargets.length > 0 && (
+            <div className="document-undo">
+              <span>
+                {undoTargets.length === 1 ? `"${undoTargets[0].title}" was deleted.` : `${undoTargets.length} documents were deleted.`}
+              </span>
+              <button onClick={() => handleRestore(undoTargets)}>Undo</button>
+              <button className="secondary" onClick={() => setUndoTargets([])} title="Dismiss">×</button>
+            </div>
+          )}
+          {docsMessage && <div className="upload-message error">{docsMessage}</div>}
+          <form
+            className="document-filters"
+            onSubmit={(e) => {
+              e.preventDefault();
+              fetchDocuments();
+            }}
+          >
+            <input
+              value={searchFilter}
+              onChange={(e) => setSearchFilter(e.target.value)}
+              placeholder="🔍 Search title, description, tags"
+            />
+            <div className="document-filters-row">
+              <input
+                value={categoryFilter}
+                onChange={(e) => setCategoryFilter(e.target.value)}
+                list="upload-categories"
+                placeholder="Category"
+              />
+              <input
+                value={tagFilter}
+                onChange={(e) => setTagFilter(e.target.value)}
+                placeholder="Tags"
+              />
+              <button type="submit" disabled={loadingDocs}>Filter</button>
+            </div>
+          </form>
+          {loadingDocs && documents.length === 0 ? (
             <div>Loading documents...</div>
           ) : documents.length === 0 ? (
-            <div>No documents found in the knowledge base.</div>
+            <div>{showDeleted ? 'No recently deleted documents.' : 'No documents found in the knowledge base.'}</div>
           ) : (
             <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
-              {documents.map((doc: any) => (
-                <li key={doc.id || doc.fileId || doc.key} style={{ marginBottom: 12, padding: 10, border: '1px solid #f8bbd9', borderRadius: 10, background: '#fce4ec', display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
-                  <div>
-                    <div style={{ fontWeight: 600 }}>{
-                      (() => {
-                        const key = doc.key || '';
-                        const match = key.match(/^kb-[^/]+\/\d+-/);
-                        if (match) {
-                          return key.replace(/^kb-[^/]+\/\d+-/, '');
-                        }
-                        return doc.name || doc.title || doc.fileName || key || doc.id;
-                      })()
-                    }</div>
-                    {doc.createdAt && <div style={{ fontSize: 12, color: '#888' }}>Added: {new Date(doc.createdAt).toLocaleString()}</div>}
-                  </div>
-                  <button
-                    style={{ background: 'none', border: 'none', color: '#e91e63', fontSize: 22, cursor: 'pointer', marginLeft: 10 }}
-                    title="Delete file"
-                    onClick={() => setDeleteTarget(doc)}
-                    disabled={deleting}
-                  >
-                    ×
-                  </button>
+              {documents.map(doc => (
+                <li key={doc.id} style={{ marginBottom: 12, padding: 10, border: '1px solid #f8bbd9', borderRadius: 10, background: '#fce4ec' }}>
+                  {editingId === doc.id ? (
+                    <DocumentEditor
+                      document={doc}
+                      categories={categories}
+                      onSave={(changes) => handleSaveDocument(doc, changes)}
+                      onCancel={() => setEditingId(null)}
+                    />
+                  ) : showDeleted ? (
+                    <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                      <div>
+                        <div style={{ fontWeight: 600 }}>{doc.title}</div>
+                        {doc.deletedAt && <div style={{ fontSize: 12, color: '#888' }}>Deleted: {new Date(doc.deletedAt).toLocaleString()}</div>}
+                        {doc.purgeAt && <div style={{ fontSize: 12, color: '#888' }}>Removed for good: {new Date(doc.purgeAt).toLocaleString()}</div>}
+                      </div>
+                      <button className="document-restore-button" onClick={() => handleRestore([doc])}>
+                        Restore
+                      </button>
+                    </div>
+                  ) : (
+                    <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                      <input
+                        type="checkbox"
+                        className="document-select"
+                        checked={selectedIds.includes(doc.id)}
+                        onChange={() => toggleSelected(doc.id)}
+                        title="Select for bulk delete"
+                      />
+                      <div style={{ flex: 1 }}>
+                        <div style={{ fontWeight: 600 }}>
+                          {doc.title} <span className="document-version">v{doc.version}</span>
+                        </div>
+                        <div className="document-meta">
+                          <span className="document-category">{doc.category}</span>
+                          {doc.customTags.map(tag => (
+                            <span key={tag} className="document-tag">#{tag}</span>
+                          ))}
+                        </div>
+                        {doc.description && <div className="document-description">{doc.description}</div>}
+                        {doc.createdAt && <div style={{ fontSize: 12, color: '#888' }}>Added: {new Date(doc.createdAt).toLocaleString()}</div>}
+                      </div>
+                      <div style={{ display: 'flex' }}>
+                        <button
+                          style={{ background: 'none', border: 'none', color: '#e91e63', fontSize: 18, cursor: 'pointer', marginLeft: 10 }}
+                          title="Preview"
+                          onClick={() => setPreviewDoc(previewDoc?.id === doc.id ? null : doc)}
+                        >
+                          👁️
+                        </button>
+                        <button
+                          style={{ background: 'none', border: 'none', color: '#e91e63', fontSize: 18, cursor: 'pointer', marginLeft: 4 }}
+                          title="Edit details"
+                          onClick={() => setEditingId(doc.id)}
+                        >
+                          ✏️
+                        </button>
+                        <button
+                          style={{ background: 'none', border: 'none', color: '#e91e63', fontSize: 18, cursor: 'pointer', marginLeft: 4 }}
+                          title="Upload a new version"
+                          onClick={() => handleReplaceClick(doc)}
+                        >
+                          ⬆️
+                        </button>
+                        <button
+                          style={{ background: 'none', border: 'none', color: '#e91e63', fontSize: 18, cursor: 'pointer', marginLeft: 4 }}
+                          title="Version history"
+                          onClick={() => setHistoryId(historyId === doc.id ? null : doc.id)}
+                        >
+                          🕘
+                        </button>
+                        <button
+                          style={{ background: 'none', border: 'none', color: '#e91e63', fontSize: 22, cursor: 'pointer', marginLeft: 4 }}
+                          title="Delete file"
+                          onClick={() => setDeleteTarget([doc])}
+                          disabled={deleting}
+                        >
+                          ×
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                  {historyId === doc.id && editingId !== doc.id && !showDeleted && (
+                    <DocumentHistory
+                      fileId={doc.id}
+                      uploaderName={uploaderName.trim()}
+                      onRestore={(batchId) => {
+                        setHistoryId(null);
+                        trackBatch(batchId);
+                      }}
+                    />
+                  )}
                 </li>
               ))}
             </ul>
           )}
+          <input
+            type="file"
+            ref={replaceInputRef}
+            accept={ACCEPTED_EXTENSIONS.filter(ext => ext !== '.zip').join(',')}
+            onChange={handleReplaceFile}
+            style={{ display: 'none' }}
+          />
+          {nextCursor && (
+            <button
+              className="load-more-button"
+              onClick={() => fetchDocuments(nextCursor)}
+              disabled={loadingDocs}
+            >
+              {loadingDocs ? 'Loading...' : 'Load more'}
+            </button>
+          )}
+          {previewDoc && (
+            <div className="document-preview-overlay" onClick={() => setPreviewDoc(null)}>
+              <div onClick={(e) => e.stopPropagation()}>
+                <DocumentPreview document={previewDoc} onClose={() => setPreviewDoc(null)} />
+              </div>
+            </div>
+          )}
           {/* Confirmation Dialog */}
           {deleteTarget && (
             <div style={{ position: 'fixed', top: 0, left: 0, width: '100vw', height: '100vh', background: 'rgba(0,0,0,0.25)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 9999 }}>
               <div style={{ background: 'white', borderRadius: 16, padding: 32, minWidth: 320, boxShadow: '0 8px 32px rgba(0,0,0,0.18)', textAlign: 'center' }}>
-                <div style={{ fontSize: 18, marginBottom: 18 }}>Do you really want to delete this file?</div>
+                <div style={{ fontSize: 18, marginBottom: 18 }}>
+                  {deleteTarget.length === 1 ? 'Do you really want to delete this file?' : `Do you really want to delete these ${deleteTarget.length} files?`}
+                </div>
                 <div style={{ marginBottom: 24, fontWeight: 600 }}>
-                  {(() => {
-                    const key = deleteTarget.key || '';
-                    const match = key.match(/^kb-[^/]+\/\d+-/);
-                    if (match) {
-                      return key.replace(/^kb-[^/]+\/\d+-/, '');
-                    }
-                    return deleteTarget.name || deleteTarget.title || deleteTarget.fileName || key || deleteTarget.id;
-                  })()}
+                  {deleteTarget.map(doc => <div key={doc.id}>{doc.title}</div>)}
+                </div>
+                <div style={{ fontSize: 13, color: '#888', marginBottom: 18 }}>
+                  You can still restore deleted files for a while from &quot;Recently deleted&quot;.
                 </div>
                 <button
                   onClick={() => handleDelete(deleteTarget)}
@@ -202,6 +759,8 @@ export default function InfoPage() {
           )}
         </div>
       </div>
+
+      <KbSearch />
     </div>
   );
 } 
\ No newline at end of file
@@ -1,35 +1,144 @@
 'use client';
 import { useState, useEffect, useRef } from 'react';
 import { useRouter } from 'next/navigation';
+import ConversationSidebar, { ConversationSummary } from '@/components/ConversationSidebar';
+import RichMessage, { RichPayload } from '@/components/RichMessage';
+import MarkdownMessage from '@/components/MarkdownMessage';
+import SourceCitations, { MessageSource } from '@/components/SourceCitations';
+import MessageFeedback, { Feedback } from '@/components/MessageFeedback';
 
 // Load config from environment variables
-const N8N_WEBHOOK_URL = process.env.NEXT_PUBLIC_N8N_WEBHOOK_URL || '';
 const BACKEND_URL = process.env.NEXT_PUBLIC_BACKEND_URL || '';
+// How long to wait for the first (or next) streamed bot message before giving up
+const RESPONSE_TIMEOUT_MS = 30000;
+// Where the current user/conversation is remembered between page loads
+const SESSION_STORAGE_KEY = 'chatbot-session';
+const HISTORY_PAGE_SIZE = 50;
+// How often the sidebar re-fetches previews and unread counts of other conversations
+const CONVERSATION_REFRESH_MS = 15000;
 
 interface Message {
   id: string;
   text?: string;
   image?: string;
+  payload?: RichPayload;
+  // Knowledge-base documents a bot answer cites
+  sources?: MessageSource[];
+  feedback?: Feedback | null;
   isBot: boolean;
   receivedAt?: string;
   timestamp?: number;
+  turnId?: string | null;
+  sequence?: number | null;
+  // Delivery of the user's own messages to the bot
+  status?: 'sending' | 'sent' | 'failed';
+  // Failure reported by the n8n workflow instead of an answer
+  isError?: boolean;
 }
 
+// Live update from the workflow while the bot works on an answer
+interface BotStatus {
+  type: 'typing' | 'progress';
+  label: string | null;
+}
+
+// The backend accepts a message (pending) and reports the delivery later as a `delivery` event
+interface SendResult {
+  success: boolean;
+  messageId?: string;
+  turnId?: string;
+  status?: 'pending' | 'sent' | 'failed';
+  error?: string;
+}
+
+interface ChatSession {
+  userId: string;
+  userKey: string;
+  conversationId: string;
+}
+
+interface HistoryPage {
+  messages: any[];
+  nextCursor: string | null;
+}
+
+const WELCOME_MESSAGE: Message = { id: 'welcome-1', text: "Hallo! Hoe kan ik u vandaag helpen?", isBot: true };
+
+const loadSession = (): ChatSession | null => {
+  try {
+    const saved = localStorage.getItem(SESSION_STORAGE_KEY);
+    return saved ? JSON.parse(saved) : null;
+  } catch {
+    return null;
+  }
+};
+
+const saveSession = (session: ChatSession) => {
+  localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+};
+
+// Shape a stored transcript entry from the backend like a live chat message
+const toChatMessage = (msg: any): Message => ({
+  id: msg.id,
+  text: msg.text || undefined,
+  image: msg.image || undefined,
+  payload: msg.payload || undefined,
+  sources: msg.sources || undefined,
+  feedback: msg.feedback || null,
+  isBot: msg.isBot,
+  receivedAt: msg.receivedAt,
+  timestamp: msg.timestamp,
+  turnId: msg.turnId,
+  sequence: msg.sequence,
+  status: msg.status === 'failed' ? 'failed' : undefined
+});
+
+// Keep a turn's messages in n8n's sequence order even when they stream in out of order
+const insertBotMessage = (messages: Message[], message: Message) => {
+  if (messages.some(m => m.id === message.id)) return messages;
+  const before = message.turnId && message.sequence
+    ? messages.findIndex(m => m.turnId === message.turnId && (m.sequence ?? 0) > (message.sequence ?? 0))
+    : -1;
+  if (before === -1) return [...messages, message];
+  return [...messages.slice(0, before), message, ...messages.slice(before)];
+};
+
 export default function Home() {
   const router = useRouter();
-  const [messages, setMessages] = useState<Message[]>([
-    { id: 'welcome-1', text: "Hallo! Hoe kan ik u vandaag helpen?", isBot: true }
-  ]);
+  const [messages, setMessages] = useState<Message[]>([WELCOME_MESSAGE]);
   const [displayedMessageIds, setDisplayedMessageIds] = useState(new Set(['welcome-1']));
   const [inputValue, setInputValue] = useState('');
-  const [isLoading, setIsLoading] = useState(false);
+  // Turns (one per sent message) the bot has not finished answering; local ids until the backend assigns one
+  const [pendingTurns, setPendingTurns] = useState<string[]>([]);
+  const isLoading = pendingTurns.length > 0;
+  const [botStatus, setBotStatus] = useState<BotStatus | null>(null);
   const [conversationId, setConversationId] = useState<string | null>(null);
   const [userId, setUserId] = useState<string | null>(null);
   const [userKey, setUserKey] = useState<string | null>(null);
   const [isConnected, setIsConnected] = useState(false);
+  // Cursor for the page of transcript older than what is shown; null once everything is loaded
+  const [historyCursor, setHistoryCursor] = useState<string | null>(null);
+  const [isLoadingHistory, setIsLoadingHistory] = useState(false);
+  const [conversations, setConversations] = useState<ConversationSummary[]>([]);
+  const [showArchived, setShowArchived] = useState(false);
+  // Bumped whenever something happened that should show up in the sidebar right away
+  const [sidebarVersion, setSidebarVersion] = useState(0);
   
   // Ref for auto-scrolling to bottom
   const messagesEndRef = useRef<HTMLDivElement>(null);
+  // Set while prepending older messages so the view does not jump to the bottom
+  const skipAutoScrollRef = useRef(false);
+  // Id of the last stream event we handled, used to resume after a reconnect
+  const lastEventIdRef = useRef<string | null>(null);
+  const responseTimeoutRef = useRef<ReturnType<typeof setTimeout> | null>(null);
+  // Turns that completed before their send request returned (n8n can answer that fast)
+  const completedTurnsRef = useRef(new Set<string>());
+  // Stored messages the backend is still delivering to n8n
+  const awaitingDeliveryRef = useRef(new Set<string>());
+  // Delivery outcomes that streamed in before their send request returned
+  const earlyDeliveriesRef = useRef(new Map<string, SendResult>());
+  // Turns the bot has not finished yet (turnId -> conversationId), reported if we stop waiting
+  const waitingTurnsRef = useRef(new Map<string, string>());
 
   useEffect(() => {
     initializeChatAPI();
@@ -37,6 +146,11 @@ export default function Home() {
 
   // Auto-scroll to bottom when messages change - but only after DOM is stable
   useEffect(() => {
+    if (skipAutoScrollRef.current) {
+      skipAutoScrollRef.current = false;
+      return;
+    }
+
     const scrollToBottom = () => {
       if (messagesEndRef.current) {
         messagesEndRef.current.scrollIntoView({ behavior: 'smooth' });
@@ -51,10 +165,233 @@ export default function Home() {
     return () => cancelAnimationFrame(animationFrameId);
   }, [messages.length]); // Only trigger on message count change, not content change
 
-  // Removed old polling mechanism - now using direct bot response endpoint
+  // Nothing left to wait for: stop the give-up timer
+  useEffect(() => {
+    if (pendingTurns.length === 0) {
+      clearResponseTimeout();
+    }
+  }, [pendingTurns.length]);
+
+  // Keep the sidebar current: on switching, after each bot turn and on a timer for the other threads
+  useEffect(() => {
+    if (!userKey) return;
+
+    refreshConversations(userKey);
+    const intervalId = setInterval(() => refreshConversations(userKey), CONVERSATION_REFRESH_MS);
+    return () => clearInterval(intervalId);
+  }, [userKey, conversationId, showArchived, sidebarVersion]);
+
+  // Subscribe to the backend's live stream of bot messages for this conversation
+  useEffect(() => {
+    if (!conversationId || !userKey) return;
+
+    let source: EventSource | null = null;
+    let reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+    let reconnectAttempts = 0;
+    let closed = false;
+    lastEventIdRef.current = null;
+    earlyDeliveriesRef.current.clear();
+
+    const connect = () => {
+      // EventSource cannot send headers, so the user key goes in the query. The browser only sends
+      // Last-Event-ID on its own retries, so pass it along when we reconnect ourselves.
+      const params = new URLSearchParams({ userKey });
+      if (lastEventIdRef.current) params.set('lastEventId', lastEventIdRef.current);
+      source = new EventSource(`${BACKEND_URL}/api/conversations/${conversationId}/stream?${params}`);
+
+      source.onopen = () => {
+        reconnectAttempts = 0;
+        console.log(`📡 Stream connected for conversation: ${conversationId}`);
+      };
+
+      source.addEventListener('message', (event) => {
+        lastEventIdRef.current = event.lastEventId;
+        const msg = JSON.parse(event.data);
+        console.log(`✅ Streamed bot message: "${msg.text || (msg.payload ? `[${msg.payload.type}]` : '[IMAGE]')}" (received: ${msg.receivedAt})`);
+
+        const botMessage: Message = {
+          id: msg.id,
+          text: msg.text,
+          image: msg.image,
+          payload: msg.payload || undefined,
+          sources: msg.sources || undefined,
+          isBot: true,
+          receivedAt: msg.receivedAt,
+          timestamp: msg.timestamp,
+          turnId: msg.turnId,
+          sequence: msg.sequence
+        };
+        // A resumed stream can replay a message we already show
+        setMessages(prev => insertBotMessage(prev, botMessage));
+        setBotStatus(null);
+        if (responseTimeoutRef.current) {
+          startResponseTimeout();
+        }
+      });
+
+      source.addEventListener('status', (event) => {
+        lastEventIdRef.current = event.lastEventId;
+        const status = JSON.parse(event.data);
+        console.log(`📶 Bot status: ${status.type}${status.label ? ` (${status.label})` : ''}`);
+
+        if (status.type === 'error') {
+          const errorMessage: Message = {
+            id: `workflow-error-${event.lastEventId}`,
+            text: `⚠️ ${status.error || 'Something went wrong while answering. Please try again.'}`,
+            isBot: true,
+            isError: true
+          };
+          setMessages(prev => (prev.some(m => m.id === errorMessage.id) ? prev : [...prev, errorMessage]));
+          setBotStatus(null);
+          return;
+        }
+        setBotStatus({ type: status.type, label: status.label });
+        // The workflow is alive, so give it the full time again
+        if (responseTimeoutRef.current) {
+          startResponseTimeout();
+        }
+      });
+
+      source.addEventListener('delivery', (event) => {
+        lastEventIdRef.current = event.lastEventId;
+        const delivery = JSON.parse(event.data);
+        console.log(`📬 Message ${delivery.messageId} ${delivery.status} after ${delivery.attempts} attempt(s)`);
+        const result: SendResult = { ...delivery, success: delivery.status === 'sent' };
+        if (awaitingDeliveryRef.current.delete(delivery.messageId)) {
+          settleUserMessage(delivery.messageId, result);
+        } else {
+          earlyDeliveriesRef.current.set(delivery.messageId, result);
+        }
+      });
+
+      source.addEventListener('turn-complete', (event) => {
+        lastEventIdRef.current = event.lastEventId;
+        const { turnId } = JSON.parse(event.data);
+        console.log(`🏁 Bot finished turn ${turnId} in conversation: ${conversationId}`);
+        completedTurnsRef.current.add(turnId);
+        waitingTurnsRef.current.delete(turnId);
+        setPendingTurns(prev => prev.filter(id => id !== turnId));
+        setBotStatus(null);
+        setSidebarVersion(version => version + 1);
+      });
+
+      source.onerror = () => {
+        // EventSource retries by itself; only step in once it has given up for good
+        if (source?.readyState === EventSource.CLOSED && !closed) {
+          const delay = Math.min(30000, 1000 * 2 ** reconnectAttempts);
+          reconnectAttempts++;
+          console.log(`⚠️ Stream closed, reconnecting in ${delay}ms...`);
+          reconnectTimer = setTimeout(connect, delay);
+        }
+      };
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      if (reconnectTimer) clearTimeout(reconnectTimer);
+      source?.close();
+    };
+  }, [conversationId, userKey]);
+
+  const createConversation = async (forUserKey: string) => {
+    const convResponse = await fetch(`${BACKEND_URL}/api/conversation`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ userKey: forUserKey })
+    });
+    
+    if (!convResponse.ok) {
+      throw new Error(`Conversation creation failed: ${convResponse.status}`);
+    }
+    
+    const convData = await convResponse.json();
+    
+    if (!convData.conversation?.id) {
+      throw new Error('Conversation ID missing from backend response');
+    }
+    
+    return convData.conversation.id as string;
+  };
+
+  // Returns null when the backend does not know the conversation (anymore)
+  const fetchHistory = async (forConversationId: string, forUserKey: string, before?: string): Promise<HistoryPage | null> => {
+    const params = new URLSearchParams({ limit: String(HISTORY_PAGE_SIZE) });
+    if (before) params.set('before', before);
+
+    const historyResponse = await fetch(`${BACKEND_URL}/api/conversations/${forConversationId}/messages?${params}`, {
+      headers: {
+        'x-user-key': forUserKey
+      }
+    });
+
+    if (historyResponse.status === 404 || historyResponse.status === 403) {
+      return null;
+    }
+    if (!historyResponse.ok) {
+      throw new Error(`Loading conversation history failed: ${historyResponse.status}`);
+    }
+
+    return historyResponse.json();
+  };
+
+  // The open conversation counts as read; then reload the list for the sidebar
+  const refreshConversations = async (forUserKey: string) => {
+    try {
+      if (conversationId) {
+        await fetch(`${BACKEND_URL}/api/conversations/${conversationId}/read`, {
+          method: 'POST',
+          headers: { 'x-user-key': forUserKey }
+        });
+      }
+
+      const response = await fetch(`${BACKEND_URL}/api/conversations?archived=${showArchived}`, {
+        headers: { 'x-user-key': forUserKey }
+      });
+      if (!response.ok) {
+        throw new Error(`Listing conversations failed: ${response.status}`);
+      }
+      const data = await response.json();
+      setConversations(data.conversations || []);
+    } catch (error) {
+      console.error('Failed to refresh conversations:', error);
+    }
+  };
+
+  // Show a stored conversation's transcript; false when the backend does not know it
+  const openConversation = async (forConversationId: string, forUserKey: string, forUserId: string) => {
+    const history = await fetchHistory(forConversationId, forUserKey);
+    if (!history) {
+      return false;
+    }
+
+    setPendingTurns([]);
+    waitingTurnsRef.current.clear();
+    setBotStatus(null);
+    setMessages([WELCOME_MESSAGE, ...history.messages.map(toChatMessage)]);
+    setHistoryCursor(history.nextCursor);
+    setConversationId(forConversationId);
+    saveSession({ userId: forUserId, userKey: forUserKey, conversationId: forConversationId });
+    return true;
+  };
 
   const initializeChatAPI = async () => {
     try {
+      // Pick up where we left off if this browser already has a conversation
+      const savedSession = loadSession();
+      if (savedSession) {
+        if (await openConversation(savedSession.conversationId, savedSession.userKey, savedSession.userId)) {
+          setUserKey(savedSession.userKey);
+          setUserId(savedSession.userId);
+          setIsConnected(true);
+          return;
+        }
+        console.log('⚠️ Saved conversation is no longer available, starting a new one');
+      }
+
       const userResponse = await fetch(`${BACKEND_URL}/api/user`, {
         method: 'POST',
         headers: {
@@ -74,27 +411,12 @@ export default function Home() {
       
       setUserKey(userData.userKey);
       
-      const convResponse = await fetch(`${BACKEND_URL}/api/conversation`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ userKey: userData.userKey })
-      });
-      
-      if (!convResponse.ok) {
-        throw new Error(`Conversation creation failed: ${convResponse.status}`);
-      }
-      
-      const convData = await convResponse.json();
+      const newConversationId = await createConversation(userData.userKey);
       
-      if (!convData.conversation?.id) {
-        throw new Error('Conversation ID missing from backend response');
-      }
-      
-      setConversationId(convData.conversation.id);
+      setConversationId(newConversationId);
       setUserId(userData.user.id);
       setIsConnected(true);
+      saveSession({ userId: userData.user.id, userKey: userData.userKey, conversationId: newConversationId });
       
     } catch (error) {
       console.error('Failed to initialize chat API:', error);
@@ -107,200 +429,264 @@ export default function Home() {
     }
   };
 
-  const sendToBotpress = async (userMessage: string) => {
-    if (!conversationId) {
-      throw new Error('Not connected to chat system');
-    }
+  const handleNewConversation = async () => {
+    if (!userKey || !userId) return;
 
     try {
-      const sendTimestamp = new Date().toISOString();
-      console.log(`🔵 Tracking user message at ${sendTimestamp}: "${userMessage}" for conversation: ${conversationId}`);
-      
-      // First, track the user message so backend can distinguish it from bot response
-      const trackingResponse = await fetch(`${BACKEND_URL}/api/track-user-message`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          conversationId,
-          text: userMessage
-        })
-      });
+      const newConversationId = await createConversation(userKey);
+      setPendingTurns([]);
+      waitingTurnsRef.current.clear();
+      setBotStatus(null);
+      setMessages([WELCOME_MESSAGE]);
+      setHistoryCursor(null);
+      setConversationId(newConversationId);
+      saveSession({ userId, userKey, conversationId: newConversationId });
+    } catch (error) {
+      console.error('Failed to start a new conversation:', error);
+      const errorMessage = {
+        id: `error-${Date.now()}`,
+        text: "Sorry, I couldn't start a new conversation right now. Please try again.",
+        isBot: true
+      };
+      setMessages(prev => [...prev, errorMessage]);
+    }
+  };
 
-      if (!trackingResponse.ok) {
-        console.error('❌ Failed to track user message:', trackingResponse.status);
-        throw new Error('Failed to track user message');
-      }
+  const handleSelectConversation = async (selectedId: string) => {
+    if (!userKey || !userId || selectedId === conversationId) return;
 
-      const trackingResult = await trackingResponse.json();
-      console.log(`✅ User message tracking response at ${sendTimestamp}:`, trackingResult);
+    try {
+      if (!(await openConversation(selectedId, userKey, userId))) {
+        setSidebarVersion(version => version + 1);
+      }
+    } catch (error) {
+      console.error('Failed to open conversation:', error);
+    }
+  };
 
-      // Small delay to ensure tracking is processed
-      await new Promise(resolve => setTimeout(resolve, 100));
+  const updateConversation = async (targetId: string, changes: { title?: string; archived?: boolean }) => {
+    if (!userKey) return;
 
-      console.log(`🚀 Sending to N8N at ${sendTimestamp}: "${userMessage}"`);
-      
-      // Then send to N8N
-      const response = await fetch(N8N_WEBHOOK_URL, {
-        method: 'POST',
+    try {
+      const response = await fetch(`${BACKEND_URL}/api/conversations/${targetId}`, {
+        method: 'PATCH',
         headers: {
           'Content-Type': 'application/json',
+          'x-user-key': userKey
         },
-        body: JSON.stringify({
-          conversationId,
-          text: userMessage,
-          userKey
-        })
+        body: JSON.stringify(changes)
       });
+      if (!response.ok) {
+        throw new Error(`Updating conversation failed: ${response.status}`);
+      }
+    } catch (error) {
+      console.error('Failed to update conversation:', error);
+    } finally {
+      setSidebarVersion(version => version + 1);
+    }
+  };
 
+  const handleDeleteConversation = async (targetId: string) => {
+    if (!userKey) return;
+
+    try {
+      const response = await fetch(`${BACKEND_URL}/api/conversations/${targetId}`, {
+        method: 'DELETE',
+        headers: { 'x-user-key': userKey }
+      });
       if (!response.ok) {
-        throw new Error(`N8N error: ${response.status}`);
+        throw new Error(`Deleting conversation failed: ${response.status}`);
       }
 
-      const data = await response.json();
-      pollForBotResponse();
-      return data;
-      
+      // Never leave the chat pointing at a conversation that no longer exists
+      if (targetId === conversationId) {
+        const next = conversations.find(conversation => conversation.id !== targetId);
+        if (!next || !userId || !(await openConversation(next.id, userKey, userId))) {
+          await handleNewConversation();
+        }
+      }
     } catch (error) {
-      console.error('Error sending message:', error);
-      throw error;
+      console.error('Failed to delete conversation:', error);
+    } finally {
+      setSidebarVersion(version => version + 1);
     }
   };
 
-  const pollForBotResponse = async () => {
-    if (!conversationId) {
-      console.error('Cannot poll - missing conversationId');
-      setIsLoading(false);
-      return;
-    }
+  const loadEarlierMessages = async () => {
+    if (!conversationId || !userKey || !historyCursor || isLoadingHistory) return;
 
-    const maxAttempts = 30; // Increased for longer conversations
-    let attempts = 0;
-    let consecutiveEmptyPolls = 0;
-    const maxEmptyPolls = 12; // Only stop after many truly empty polls (not "still collecting")
-
-    const poll = async () => {
-      try {
-        // Check for bot responses from N8N backend only
-        const pollTimestamp = new Date().toISOString();
-        console.log(`🔍 Polling attempt ${attempts + 1}/${maxAttempts} at ${pollTimestamp} for conversation:`, conversationId);
-        const botResponseRes = await fetch(`${BACKEND_URL}/api/bot-response/${conversationId}`);
-        
-        if (botResponseRes.ok) {
-          const botData = await botResponseRes.json();
-          console.log(`📡 Backend polling response at ${pollTimestamp}:`, botData);
-          
-          if (botData.success && botData.messages) {
-            const receivedTimestamp = new Date().toISOString();
-            console.log(`✅ GOT ${botData.messages.length} BOT MESSAGES at ${receivedTimestamp}`);
-            
-            // Log each message received
-            botData.messages.forEach((msg: any, idx: number) => {
-              console.log(`   Message ${idx + 1}: "${msg.text || '[IMAGE]'}" ${msg.image ? '[+IMAGE: ' + msg.image.substring(0, 50) + '...]' : ''} (received: ${msg.receivedAt})`);
-            });
-            
-            // Add each message separately to the chat in timestamp order
-            const botMessages = botData.messages.map((msg: any) => ({
-              id: msg.id,
-              text: msg.text,
-              image: msg.image,
-              isBot: true,
-              receivedAt: msg.receivedAt,
-              timestamp: msg.timestamp
-            }));
-            
-            setMessages(prev => [...prev, ...botMessages]);
-            console.log(`💬 ${botMessages.length} bot messages added to chat interface at ${receivedTimestamp}`);
-            
-            // Stop polling since we received the complete set of messages from backend
-            setIsLoading(false);
-            console.log(`✅ All messages received and displayed - stopping polling`);
-            return;
-          } else if (botData.message === 'Still collecting messages from n8n') {
-            const timeoutActive = botData.timeoutActive ? ' (timeout active)' : ' (no timeout)';
-            console.log(`⏳ Backend still collecting messages from n8n (${botData.messagesReceived || 0} received so far)${timeoutActive}... continuing to wait`);
-            consecutiveEmptyPolls = 0; // Reset counter since backend is actively collecting
-            attempts = Math.max(0, attempts - 1); // Reduce attempts since we're making progress
-          } else {
-            console.log(`⏳ No bot messages available yet at ${new Date().toISOString()}, continuing to poll...`);
-            consecutiveEmptyPolls++;
-          }
-        } else {
-          console.log(`❌ Backend polling request failed with status: ${botResponseRes.status}`);
-        }
-        
-        // No bot response available yet, try again
-        attempts++;
-        
-        // Stop polling if we've tried too many times OR if we've had too many consecutive empty polls
-        if (attempts >= maxAttempts) {
-          const timeoutMessage = {
-            id: `timeout-${Date.now()}`,
-            text: "I'm taking longer than usual to respond. Please try sending your message again.",
-            isBot: true
-          };
-          setMessages(prev => [...prev, timeoutMessage]);
-          setIsLoading(false);
-        } else if (consecutiveEmptyPolls >= maxEmptyPolls) {
-          // We've received some messages but no new ones for a while - stop polling
-          console.log(`✅ Stopping polling after ${consecutiveEmptyPolls} consecutive empty polls - assuming all messages received`);
-          setIsLoading(false);
-        } else {
-          setTimeout(poll, 1000); // Smart polling - backend tells us when it's done
-        }
-        
-      } catch (error) {
-        attempts++;
-        consecutiveEmptyPolls++;
-        
-        if (attempts >= maxAttempts) {
-          const errorMessage = {
-            id: `poll-error-${Date.now()}`,
-            text: "I'm having trouble connecting right now. Please try again.",
-            isBot: true
-          };
-          setMessages(prev => [...prev, errorMessage]);
-          setIsLoading(false);
-        } else if (consecutiveEmptyPolls >= maxEmptyPolls) {
-          console.log(`✅ Stopping polling after ${consecutiveEmptyPolls} consecutive errors/empty polls`);
-          setIsLoading(false);
-        } else {
-          setTimeout(poll, 1000); // Smart polling - backend tells us when it's done
-        }
+    setIsLoadingHistory(true);
+    try {
+      const history = await fetchHistory(conversationId, userKey, historyCursor);
+      if (history) {
+        const olderMessages = history.messages.map(toChatMessage);
+        skipAutoScrollRef.current = true;
+        setMessages(prev => [WELCOME_MESSAGE, ...olderMessages, ...prev.filter(m => m.id !== WELCOME_MESSAGE.id)]);
+        setHistoryCursor(history.nextCursor);
       }
-    };
+    } catch (error) {
+      console.error('Failed to load earlier messages:', error);
+    } finally {
+      setIsLoadingHistory(false);
+    }
+  };
+
+  // `replyValue` is set when the message comes from a button or quick reply.
+  // The backend stores the message and forwards it to n8n in the background, retrying on its own.
+  const sendToBotpress = async (userMessage: string, replyValue?: string): Promise<SendResult> => {
+    if (!conversationId || !userKey) {
+      throw new Error('Not connected to chat system');
+    }
+
+    console.log(`🚀 Sending message: "${userMessage}" for conversation: ${conversationId}`);
+    const response = await fetch(`${BACKEND_URL}/api/conversations/${conversationId}/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-user-key': userKey
+      },
+      body: JSON.stringify({
+        text: userMessage,
+        ...(replyValue !== undefined && { value: replyValue })
+      })
+    });
+
+    const result: SendResult = await response.json();
+    if (!response.ok) {
+      console.error('❌ Failed to send message:', result.error || response.status);
+    }
+    return result;
+  };
+
+  const clearResponseTimeout = () => {
+    if (responseTimeoutRef.current) {
+      clearTimeout(responseTimeoutRef.current);
+      responseTimeoutRef.current = null;
+    }
+  };
 
-    const startPollTimestamp = new Date().toISOString();
-    console.log(`🚀 Starting to poll for bot response at ${startPollTimestamp} in 2 seconds...`);
-    setTimeout(poll, 2000); // Start polling after brief delay to let first message arrive
+  // Let the backend count the turns we gave up on (analytics); best effort
+  const reportTimedOutTurns = () => {
+    const waiting = Array.from(waitingTurnsRef.current);
+    waitingTurnsRef.current.clear();
+    if (!userKey) return;
+    for (const [turnId, turnConversationId] of waiting) {
+      fetch(`${BACKEND_URL}/api/conversations/${turnConversationId}/turns/${encodeURIComponent(turnId)}/timeout`, {
+        method: 'POST',
+        headers: { 'x-user-key': userKey }
+      }).catch(error => console.warn('Could not report the timed out turn:', error));
+    }
+  };
+
+  // Give up waiting if the bot stays silent; restarted every time a bot message streams in
+  const startResponseTimeout = () => {
+    clearResponseTimeout();
+    responseTimeoutRef.current = setTimeout(() => {
+      responseTimeoutRef.current = null;
+      reportTimedOutTurns();
+      const timeoutMessage = {
+        id: `timeout-${Date.now()}`,
+        text: "I'm taking longer than usual to respond. Please try sending your message again.",
+        isBot: true
+      };
+      setMessages(prev => [...prev, timeoutMessage]);
+      setPendingTurns([]);
+    }, RESPONSE_TIMEOUT_MS);
   };
 
   const handleSendMessage = async () => {
-    if (inputValue.trim() === '' || isLoading || !isConnected) return;
+    if (inputValue.trim() === '' || !isConnected) return;
     
     const userMessage = inputValue.trim();
     setInputValue('');
-    setIsLoading(true);
+    await sendUserMessage(userMessage);
+  };
+
+  // Buttons and quick replies answer as if the user had typed the label
+  const handleReply = async (label: string, value: string) => {
+    if (!isConnected) return;
+    await sendUserMessage(label, value);
+  };
+
+  // Swap the placeholder ids for the stored ones and show whether the bot got the message
+  const settleUserMessage = (localId: string, result: SendResult | null) => {
+    const status = result && result.success ? 'sent' : 'failed';
+    setMessages(prev => prev.map(m => (
+      m.id === localId ? { ...m, id: result?.messageId || m.id, status } : m
+    )));
+    const turnId = result?.turnId;
+    if (status === 'sent' && turnId && !completedTurnsRef.current.has(turnId)) {
+      setPendingTurns(prev => prev.map(id => (id === localId ? turnId : id)));
+      if (conversationId) {
+        waitingTurnsRef.current.set(turnId, conversationId);
+      }
+      // Bot replies arrive over the conversation stream; just arm the give-up timer
+      startResponseTimeout();
+    } else {
+      setPendingTurns(prev => prev.filter(id => id !== localId));
+    }
+    setSidebarVersion(version => version + 1);
+  };
+
+  // A message the backend stored (`pending`) shows as sending until its `delivery` event
+  const handleSendResult = (localId: string, result: SendResult) => {
+    const messageId = result.messageId;
+    if (!result.success || result.status !== 'pending' || !messageId) {
+      settleUserMessage(localId, result);
+      return;
+    }
+    setMessages(prev => prev.map(m => (m.id === localId ? { ...m, id: messageId } : m)));
+    setPendingTurns(prev => prev.map(id => (id === localId ? messageId : id)));
+    const early = earlyDeliveriesRef.current.get(messageId);
+    if (early) {
+      earlyDeliveriesRef.current.delete(messageId);
+      settleUserMessage(messageId, early);
+    } else {
+      awaitingDeliveryRef.current.add(messageId);
+    }
+  };
+
+  const sendUserMessage = async (userMessage: string, replyValue?: string) => {
+    const localId = `local-${Date.now()}`;
+    setPendingTurns(prev => [...prev, localId]);
     
-    const userMessageObj = { id: `user-${Date.now()}`, text: userMessage, isBot: false };
+    const userMessageObj: Message = { id: localId, text: userMessage, isBot: false, status: 'sending' };
     setMessages(prev => [...prev, userMessageObj]);
     
     try {
-      await sendToBotpress(userMessage);
+      handleSendResult(localId, await sendToBotpress(userMessage, replyValue));
     } catch (error) {
-      const errorMessage = { 
-        id: `error-${Date.now()}`, 
-        text: "Sorry, I'm having trouble connecting to the bot right now. Please try again later.", 
-        isBot: true 
-      };
-      setMessages(prev => [...prev, errorMessage]);
-      setIsLoading(false);
+      console.error('Error sending message:', error);
+      settleUserMessage(localId, null);
+    }
+  };
+
+  const handleRetryMessage = async (message: Message) => {
+    if (!isConnected || !conversationId || !userKey) return;
+
+    // Never stored (the backend was unreachable): send it again from scratch
+    if (message.id.startsWith('local-')) {
+      setMessages(prev => prev.filter(m => m.id !== message.id));
+      await sendUserMessage(message.text || '');
+      return;
+    }
+
+    setPendingTurns(prev => [...prev, message.id]);
+    setMessages(prev => prev.map(m => (m.id === message.id ? { ...m, status: 'sending' } : m)));
+    try {
+      const response = await fetch(`${BACKEND_URL}/api/conversations/${conversationId}/messages/${message.id}/retry`, {
+        method: 'POST',
+        headers: { 'x-user-key': userKey }
+      });
+      handleSendResult(message.id, await response.json());
+    } catch (error) {
+      console.error('Error retrying message:', error);
+      settleUserMessage(message.id, null);
     }
   };
 
   const handleKeyPress = (e: React.KeyboardEvent) => {
-    if (e.key === 'Enter' && !isLoading) {
+    if (e.key === 'Enter') {
       handleSendMessage();
     }
   };
@@ -310,87 +696,143 @@ export default function Home() {
   };
 
   return (
-    <div className="chatbot-container">
-      <div className="chatbot-header">
-        <h1>💬 Botpress ChatBot</h1>
-        <div className={`connection-status ${isConnected ? 'connected' : 'connecting'}`}>
-          {isConnected ? '🟢 Connected to Botpress' : '🟡 Connecting...'}
+    <div className="chat-layout">
+      <ConversationSidebar
+        conversations={conversations}
+        activeConversationId={conversationId}
+        showArchived={showArchived}
+        onToggleArchived={() => setShowArchived(value => !value)}
+        onSelect={handleSelectConversation}
+        onRename={(targetId, title) => updateConversation(targetId, { title })}
+        onArchive={(targetId, archived) => updateConversation(targetId, { archived })}
+        onDelete={handleDeleteConversation}
+      />
+      <div className="chatbot-container">
+        <div className="chatbot-header">
+          <h1>💬 Botpress ChatBot</h1>
+          <div className={`connection-status ${isConnected ? 'connected' : 'connecting'}`}>
+            {isConnected ? '🟢 Connected to Botpress' : '🟡 Connecting...'}
+          </div>
+          <button
+            onClick={handleNewConversation}
+            className="new-conversation-button"
+            disabled={!isConnected}
+          >
+            ＋ New conversation
+          </button>
         </div>
-      </div>
       
-      {/* Navigation button */}
-      <button 
-        onClick={handleNavigateToInfo}
-        className="nav-button"
-      >
-        ℹ️ Info
-      </button>
+        {/* Navigation button */}
+        <button 
+          onClick={handleNavigateToInfo}
+          className="nav-button"
+        >
+          ℹ️ Info
+        </button>
       
-      <div className="chatbot-messages">
-        {messages.map((message) => (
-          <div 
-            key={message.id} 
-            className={`message ${message.isBot ? 'bot-message' : 'user-message'}`}
-          >
-            <div className="message-content">
-              {message.text && <div className="message-text">{message.text}</div>}
-              {message.image && (
-                <div className="message-image">
-                  <img 
-                    src={message.image} 
-                    alt="Chat image" 
-                    onError={(e) => {
-                      console.error('Failed to load image:', message.image);
-                      e.currentTarget.style.display = 'none';
-                    }}
+        <div className="chatbot-messages">
+          {historyCursor && (
+            <button
+              onClick={loadEarlierMessages}
+              className="load-earlier-button"
+              disabled={isLoadingHistory}
+            >
+              {isLoadingHistory ? 'Loading...' : 'Load earlier messages'}
+            </button>
+          )}
+          {messages.map((message, index) => (
+            <div 
+              key={message.id} 
+              className={`message ${message.isBot ? 'bot-message' : 'user-message'} ${message.isError ? 'error-message' : ''}`}
+            >
+              <div className="message-content">
+                {message.text && (message.isBot
+                  ? <MarkdownMessage text={message.text} />
+                  : <div className="message-text">{message.text}</div>
+                )}
+                {message.image && (
+                  <div className="message-image">
+                    <img 
+                      src={message.image} 
+                      alt="Chat image" 
+                      onError={(e) => {
+                        console.error('Failed to load image:', message.image);
+                        e.currentTarget.style.display = 'none';
+                      }}
+                    />
+                  </div>
+                )}
+                {message.payload && (
+                  <RichMessage
+                    payload={message.payload}
+                    repliesEnabled={isConnected && (message.payload.type !== 'choice' || index === messages.length - 1)}
+                    onReply={handleReply}
                   />
+                )}
+                {message.isBot && message.sources && message.sources.length > 0 && (
+                  <SourceCitations sources={message.sources} />
+                )}
+              </div>
+              {/* Only answers stored by the backend can be rated, not the page's own notices */}
+              {message.isBot && message.id.startsWith('bot-msg-') && (
+                <MessageFeedback messageId={message.id} userKey={userKey} feedback={message.feedback} />
+              )}
+              {!message.isBot && message.status === 'sending' && (
+                <div className="message-status">Sending...</div>
+              )}
+              {!message.isBot && message.status === 'failed' && (
+                <div className="message-status failed">
+                  ⚠️ Not delivered
+                  <button onClick={() => handleRetryMessage(message)} disabled={!isConnected}>
+                    Retry
+                  </button>
                 </div>
               )}
             </div>
-          </div>
-        ))}
-        {isLoading && (
-          <div className="message bot-message">
-            <div className="message-content loading">
-              <div className="typing-indicator">
-                <span></span>
-                <span></span>
-                <span></span>
-              </div>
-              <div style={{ fontSize: '11px', marginTop: '5px', opacity: 0.7 }}>
-                Bot is responding...
+          ))}
+          {isLoading && (
+            <div className="message bot-message">
+              <div className="message-content loading">
+                <div className="typing-indicator">
+                  <span></span>
+                  <span></span>
+                  <span></span>
+                </div>
+                <div style={{ fontSize: '11px', marginTop: '5px', opacity: 0.7 }}>
+                  {botStatus?.label || (botStatus?.type === 'typing' ? 'Bot is typing...' : 'Bot is responding...')}
+                </div>
               </div>
             </div>
-          </div>
-        )}
+          )}
         
-        {/* Invisible element to scroll to */}
-        <div ref={messagesEndRef} />
-      </div>
+          {/* Invisible element to scroll to */}
+          <div ref={messagesEndRef} />
+        </div>
       
-      <div className="chatbot-input">
-        <input
-          type="text"
-          value={inputValue}
-          onChange={(e) => setInputValue(e.target.value)}
-          onKeyPress={handleKeyPress}
-          placeholder={
-            !isConnected 
-              ? "Connecting to Botpress..." 
-              : isLoading 
-                ? "Bot is typing..." 
-                : "Type your message here..."
-          }
-          className="message-input"
-          disabled={isLoading || !isConnected}
-        />
-        <button 
-          onClick={handleSendMessage} 
-          className={`send-button ${isLoading ? 'loading' : ''}`}
-          disabled={isLoading || !isConnected}
-        >
-          {!isConnected ? 'Connecting...' : isLoading ? '...' : 'Send'}
-        </button>
+        <div className="chatbot-input">
+          <input
+            type="text"
+            value={inputValue}
+            onChange={(e) => setInputValue(e.target.value)}
+            onKeyPress={handleKeyPress}
+            placeholder={
+              !isConnected 
+                ? "Connecting to Botpress..." 
+                : isLoading 
+                  ? "Bot is typing... you can send a follow-up" 
+                  : "Type your message here..."
+            }
+            className="message-input"
+            disabled={!isConnected}
+          />
+          <button 
+            onClick={handleSendMessage} 
+            className="send-button"
+            disabled={!isConnected}
+          >
+            {!isConnected ? 'Connecting...' : 'Send'}
+          </button>
+        </div>
       </div>
     </div>
   );
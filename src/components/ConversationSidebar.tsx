@@ -0,0 +1,128 @@
+'use client';
+import { useState } from 'react';
+
+export interface ConversationSummary {
+  id: string;
+  title: string;
+  archived: boolean;
+  createdAt: string;
+  updatedAt: string;
+  lastMessage: {
+    text: string;
+    isBot: boolean;
+    timestamp: number;
+  } | null;
+  unreadCount: number;
+}
+
+interface ConversationSidebarProps {
+  conversations: ConversationSummary[];
+  activeConversationId: string | null;
+  showArchived: boolean;
+  onToggleArchived: () => void;
+  onSelect: (conversationId: string) => void;
+  onRename: (conversationId: string, title: string) => void;
+  onArchive: (conversationId: string, archived: boolean) => void;
+  onDelete: (conversationId: string) => void;
+}
+
+export default function ConversationSidebar({
+  conversations,
+  activeConversationId,
+  showArchived,
+  onToggleArchived,
+  onSelect,
+  onRename,
+  onArchive,
+  onDelete
+}: ConversationSidebarProps) {
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [editTitle, setEditTitle] = useState('');
+
+  const startRename = (conversation: ConversationSummary) => {
+    setEditingId(conversation.id);
+    setEditTitle(conversation.title);
+  };
+
+  const finishRename = () => {
+    if (editingId && editTitle.trim() !== '') {
+      onRename(editingId, editTitle.trim());
+    }
+    setEditingId(null);
+  };
+
+  return (
+    <aside className="conversation-sidebar">
+      <div className="conversation-sidebar-header">
+        <h2>💬 Conversations</h2>
+        <label className="conversation-archived-toggle">
+          <input type="checkbox" checked={showArchived} onChange={onToggleArchived} />
+          Archived
+        </label>
+      </div>
+
+      {conversations.length === 0 ? (
+        <div className="conversation-empty">
+          {showArchived ? 'No archived conversations.' : 'No conversations yet.'}
+        </div>
+      ) : (
+        <ul className="conversation-list">
+          {conversations.map((conversation) => (
+            <li
+              key={conversation.id}
+              className={`conversation-item ${conversation.id === activeConversationId ? 'active' : ''}`}
+              onClick={() => editingId !== conversation.id && onSelect(conversation.id)}
+            >
+              <div className="conversation-item-top">
+                {editingId === conversation.id ? (
+                  <input
+                    className="conversation-rename-input"
+                    value={editTitle}
+                    autoFocus
+                    onChange={(e) => setEditTitle(e.target.value)}
+                    onBlur={finishRename}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') finishRename();
+                      if (e.key === 'Escape') setEditingId(null);
+                    }}
+                    onClick={(e) => e.stopPropagation()}
+                  />
+                ) : (
+                  <span className="conversation-title">{conversation.title}</span>
+                )}
+                {conversation.unreadCount > 0 && conversation.id !== activeConversationId && (
+                  <span className="conversation-unread">{conversation.unreadCount}</span>
+                )}
+              </div>
+              {conversation.lastMessage && (
+                <div className="conversation-preview">
+                  {conversation.lastMessage.isBot ? '🤖 ' : 'You: '}
+                  {conversation.lastMessage.text}
+                </div>
+              )}
+              <div className="conversation-actions" onClick={(e) => e.stopPropagation()}>
+                <button title="Rename" onClick={() => startRename(conversation)}>✏️</button>
+                <button
+                  title={conversation.archived ? 'Unarchive' : 'Archive'}
+                  onClick={() => onArchive(conversation.id, !conversation.archived)}
+                >
+                  {conversation.archived ? '📤' : '📥'}
+                </button>
+                <button
+                  title="Delete"
+                  onClick={() => {
+                    if (window.confirm(`Delete "${conversation.title}"? This cannot be undone.`)) {
+                      onDelete(conversation.id);
+                    }
+                  }}
+                >
+                  🗑️
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </aside>
+  );
+}
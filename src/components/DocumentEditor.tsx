@@ -0,0 +1,110 @@
+'use client';
+import { useState } from 'react';
+
+export interface KbDocument {
+  id: string;
+  key: string;
+  title: string;
+  category: string;
+  description: string;
+  // Custom tags; `tags` itself is Botpress' raw tag object
+  customTags: string[];
+  docId: string;
+  version: number;
+  isCurrent: boolean;
+  uploadedBy: string | null;
+  fileName?: string;
+  size?: number;
+  contentType?: string;
+  // Where Botpress is with the file: uploading, uploaded, indexing, indexed or failed
+  indexingStatus?: string | null;
+  // Format of the upload when it was converted to Markdown before indexing
+  sourceFormat?: string | null;
+  deletedAt?: string | null;
+  // When a deleted document is removed for good (only in the recently deleted list)
+  purgeAt?: string | null;
+  createdAt?: string;
+  updatedAt?: string;
+}
+
+export interface DocumentChanges {
+  title: string;
+  category: string;
+  tags: string[];
+  description: string;
+}
+
+interface DocumentEditorProps {
+  document: KbDocument;
+  categories: string[];
+  onSave: (changes: DocumentChanges) => Promise<void>;
+  onCancel: () => void;
+}
+
+export default function DocumentEditor({ document, categories, onSave, onCancel }: DocumentEditorProps) {
+  const [title, setTitle] = useState(document.title);
+  const [category, setCategory] = useState(document.category);
+  const [tags, setTags] = useState(document.customTags.join(', '));
+  const [description, setDescription] = useState(document.description);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError('');
+    try {
+      await onSave({
+        title: title.trim(),
+        category: category.trim(),
+        tags: tags.split(',').map(tag => tag.trim()).filter(Boolean),
+        description: description.trim()
+      });
+    } catch (e) {
+      setError(e instanceof Error ? e.message : 'Saving failed');
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="document-editor">
+      <label>
+        Title
+        <input value={title} onChange={(e) => setTitle(e.target.value)} maxLength={200} />
+      </label>
+      <label>
+        Category
+        <input
+          value={category}
+          onChange={(e) => setCategory(e.target.value)}
+          list="document-editor-categories"
+          maxLength={50}
+        />
+        <datalist id="document-editor-categories">
+          {categories.map(name => <option key={name} value={name} />)}
+        </datalist>
+      </label>
+      <label>
+        Tags (comma-separated)
+        <input value={tags} onChange={(e) => setTags(e.target.value)} placeholder="billing, faq" />
+      </label>
+      <label>
+        Description
+        <textarea
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          maxLength={1000}
+          rows={3}
+        />
+      </label>
+      {error && <div className="document-editor-error">❌ {error}</div>}
+      <div className="document-editor-actions">
+        <button onClick={handleSave} disabled={isSaving || !title.trim() || !category.trim()}>
+          {isSaving ? 'Saving...' : 'Save'}
+        </button>
+        <button onClick={onCancel} disabled={isSaving} className="secondary">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+'use client';
+import { useEffect, useState } from 'react';
+
+const BACKEND_URL = process.env.NEXT_PUBLIC_BACKEND_URL || 'http://localhost:3001';
+
+interface DocumentVersion {
+  id: string;
+  version: number;
+  isCurrent: boolean;
+  uploadedBy: string | null;
+  restoredFrom: number | null;
+  size?: number;
+  createdAt?: string;
+}
+
+interface DocumentHistoryProps {
+  fileId: string;
+  uploaderName: string;
+  // Called with the upload batch of the restored version so the page can follow it
+  onRestore: (batchId: string) => void;
+}
+
+export default function DocumentHistory({ fileId, uploaderName, onRestore }: DocumentHistoryProps) {
+  const [versions, setVersions] = useState<DocumentVersion[] | null>(null);
+  const [restoring, setRestoring] = useState<number | null>(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadVersions = async () => {
+      try {
+        const response = await fetch(`${BACKEND_URL}/api/documents/${fileId}/versions`);
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+          throw new Error(data.error || `Loading versions failed (${response.status})`);
+        }
+        setVersions(data.versions);
+      } catch (e) {
+        setError(e instanceof Error ? e.message : 'Loading versions failed');
+      }
+    };
+    loadVersions();
+  }, [fileId]);
+
+  const handleRestore = async (version: number) => {
+    setRestoring(version);
+    setError('');
+    try {
+      const response = await fetch(`${BACKEND_URL}/api/documents/${fileId}/rollback`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ version, uploadedBy: uploaderName }),
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `Restoring failed (${response.status})`);
+      }
+      onRestore(data.batchId);
+    } catch (e) {
+      setError(e instanceof Error ? e.message : 'Restoring failed');
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  if (error) return <div className="document-history error">❌ {error}</div>;
+  if (!versions) return <div className="document-history">Loading versions...</div>;
+
+  return (
+    <ul className="document-history">
+      {versions.map(version => (
+        <li key={version.id} className={version.isCurrent ? 'current' : ''}>
+          <div>
+            <strong>v{version.version}</strong>
+            {version.isCurrent && ' (current)'}
+            {version.restoredFrom && ` · restored from v${version.restoredFrom}`}
+            <div className="document-history-meta">
+              {version.createdAt ? new Date(version.createdAt).toLocaleString() : 'Unknown date'}
+              {' · '}
+              {version.uploadedBy || 'unknown uploader'}
+            </div>
+          </div>
+          {!version.isCurrent && (
+            <button onClick={() => handleRestore(version.version)} disabled={restoring !== null}>
+              {restoring === version.version ? 'Restoring...' : 'Restore'}
+            </button>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,116 @@
+'use client';
+import { useEffect, useState } from 'react';
+import type { KbDocument } from './DocumentEditor';
+
+const BACKEND_URL = process.env.NEXT_PUBLIC_BACKEND_URL || 'http://localhost:3001';
+// Longer text is cut off in the preview; the download has all of it
+const MAX_PREVIEW_CHARS = 100000;
+
+const INDEXING_LABELS: Record<string, string> = {
+  uploading: '⬆️ Uploading',
+  uploaded: '📦 Uploaded, waiting for indexing',
+  indexing: '🔎 Indexing',
+  indexed: '✅ Indexed',
+  failed: '❌ Indexing failed'
+};
+
+const isTextType = (contentType: string) =>
+  contentType.startsWith('text/') || contentType === 'application/json';
+
+const formatSize = (bytes?: number) => {
+  if (bytes === undefined) return 'Unknown size';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+interface DocumentPreviewProps {
+  document: KbDocument;
+  onClose: () => void;
+}
+
+export default function DocumentPreview({ document, onClose }: DocumentPreviewProps) {
+  const contentUrl = `${BACKEND_URL}/api/documents/${document.id}/content`;
+  const contentType = (document.contentType || '').split(';')[0].trim().toLowerCase();
+  const isPdf = contentType === 'application/pdf';
+  const isText = isTextType(contentType);
+  const [text, setText] = useState<string | null>(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isText) return;
+    setText(null);
+    setError('');
+    const loadText = async () => {
+      try {
+        const response = await fetch(contentUrl);
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || `Loading the content failed (${response.status})`);
+        }
+        setText(await response.text());
+      } catch (e) {
+        setError(e instanceof Error ? e.message : 'Loading the content failed');
+      }
+    };
+    loadText();
+  }, [contentUrl, isText]);
+
+  return (
+    <div className="document-preview">
+      <div className="document-preview-header">
+        <h3>{document.title}</h3>
+        <button onClick={onClose} title="Close preview">×</button>
+      </div>
+      {document.deletedAt ? (
+        <div className="document-preview-notice">🗑️ This document was deleted and is no longer used by the bot.</div>
+      ) : !document.isCurrent && (
+        <div className="document-preview-notice">🕘 This is version {document.version}; a newer version has replaced it.</div>
+      )}
+      <dl className="document-preview-details">
+        <dt>File</dt>
+        <dd>{document.fileName || document.key}</dd>
+        <dt>Size</dt>
+        <dd>{formatSize(document.size)}</dd>
+        <dt>Type</dt>
+        <dd>
+          {contentType || 'unknown'}
+          {document.sourceFormat && contentType === 'text/markdown' && !['md', 'txt'].includes(document.sourceFormat) &&
+            ` (converted from ${document.sourceFormat.toUpperCase()})`}
+        </dd>
+        <dt>Status</dt>
+        <dd>{document.indexingStatus ? INDEXING_LABELS[document.indexingStatus] || document.indexingStatus : 'Unknown'}</dd>
+        <dt>Category</dt>
+        <dd>{document.category}</dd>
+        {document.customTags.length > 0 && (
+          <>
+            <dt>Tags</dt>
+            <dd>{document.customTags.map(tag => `#${tag}`).join(' ')}</dd>
+          </>
+        )}
+      </dl>
+      <a className="document-preview-download" href={`${contentUrl}?download=true`}>
+        ⬇️ Download
+      </a>
+      <div className="document-preview-body">
+        {isPdf ? (
+          <iframe src={contentUrl} title={document.title} />
+        ) : isText ? (
+          error ? (
+            <div className="document-preview-error">❌ {error}</div>
+          ) : text === null ? (
+            <div>Loading content...</div>
+          ) : (
+            <pre>
+              {text.length > MAX_PREVIEW_CHARS
+                ? `${text.slice(0, MAX_PREVIEW_CHARS)}\n\n… (truncated, download the file for the rest)`
+                : text}
+            </pre>
+          )
+        ) : (
+          <div className="document-preview-empty">No preview for this file type. Download it to see the content.</div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+'use client';
+import { useState } from 'react';
+
+const BACKEND_URL = process.env.NEXT_PUBLIC_BACKEND_URL || 'http://localhost:3001';
+
+interface KbSearchResult {
+  fileId: string;
+  docId: string;
+  version: number;
+  title: string;
+  passageIndex: number;
+  score: number;
+  text: string;
+}
+
+// Ask the local search index a question, to see which passages of the knowledge base match it
+export default function KbSearch() {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState<KbSearchResult[] | null>(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSearch = async (event: React.FormEvent) => {
+    event.preventDefault();
+    if (!query.trim()) return;
+
+    setIsSearching(true);
+    setError('');
+    try {
+      const response = await fetch(`${BACKEND_URL}/api/kb/search?${new URLSearchParams({ q: query.trim() })}`);
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `Search failed (${response.status})`);
+      }
+      setResults(data.results);
+    } catch (e) {
+      setError(e instanceof Error ? e.message : 'Search failed');
+      setResults(null);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  return (
+    <div className="kb-search">
+      <h2>🔎 Ask the knowledge base</h2>
+      <p>See which passages of the uploaded documents match a question, without going through the chat.</p>
+      <form className="kb-search-form" onSubmit={handleSearch}>
+        <input
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="e.g. How do I reset my password?"
+        />
+        <button type="submit" disabled={!query.trim() || isSearching}>
+          {isSearching ? 'Searching...' : 'Search'}
+        </button>
+      </form>
+      {error && <div className="upload-message error">❌ {error}</div>}
+      {results && results.length === 0 && (
+        <div className="kb-search-empty">No passage matches this question. The answer may be missing from the knowledge base.</div>
+      )}
+      {results && results.length > 0 && (
+        <ol className="kb-search-results">
+          {results.map(result => (
+            <li key={`${result.fileId}-${result.passageIndex}`}>
+              <div className="kb-search-result-header">
+                <strong>{result.title}</strong>
+                <span>v{result.version} · passage {result.passageIndex + 1} · score {result.score}</span>
+              </div>
+              <p>{result.text}</p>
+              <div className="kb-search-result-ids">File {result.fileId} · Document {result.docId}</div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+'use client';
+import { useRef, useState } from 'react';
+import ReactMarkdown, { Components } from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import rehypeRaw from 'rehype-raw';
+import rehypeSanitize from 'rehype-sanitize';
+import rehypeHighlight from 'rehype-highlight';
+import 'highlight.js/styles/github.css';
+
+// LLM output may contain raw HTML: parse it, then strip scripts, event handlers
+// and unsafe URLs (default GitHub schema) before highlighting adds its classes
+const REHYPE_PLUGINS = [rehypeRaw, rehypeSanitize, rehypeHighlight];
+const COPIED_RESET_MS = 2000;
+
+function CodeBlock({ children }: { children?: React.ReactNode }) {
+  const preRef = useRef<HTMLPreElement>(null);
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(preRef.current?.textContent || '');
+      setCopied(true);
+      setTimeout(() => setCopied(false), COPIED_RESET_MS);
+    } catch (error) {
+      console.error('Failed to copy code:', error);
+    }
+  };
+
+  return (
+    <div className="markdown-code-block">
+      <button className="markdown-copy-button" onClick={handleCopy}>
+        {copied ? '✓ Copied' : '📋 Copy'}
+      </button>
+      <pre ref={preRef}>{children}</pre>
+    </div>
+  );
+}
+
+const COMPONENTS: Components = {
+  // Links always leave the chat in a new tab without access to window.opener
+  a: ({ href, children }) => (
+    <a href={href} target="_blank" rel="noopener noreferrer nofollow">
+      {children}
+    </a>
+  ),
+  pre: ({ children }) => <CodeBlock>{children}</CodeBlock>
+};
+
+export default function MarkdownMessage({ text }: { text: string }) {
+  return (
+    <div className="message-text markdown">
+      <ReactMarkdown remarkPlugins={[remarkGfm]} rehypePlugins={REHYPE_PLUGINS} components={COMPONENTS}>
+        {text}
+      </ReactMarkdown>
+    </div>
+  );
+}
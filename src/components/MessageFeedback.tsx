@@ -0,0 +1,100 @@
+'use client';
+import { useState } from 'react';
+
+const BACKEND_URL = process.env.NEXT_PUBLIC_BACKEND_URL || 'http://localhost:3001';
+
+export interface Feedback {
+  rating: 'up' | 'down';
+  comment: string | null;
+}
+
+interface MessageFeedbackProps {
+  messageId: string;
+  userKey: string | null;
+  feedback?: Feedback | null;
+}
+
+// Thumbs up/down under a bot answer; a thumbs down asks what was wrong
+export default function MessageFeedback({ messageId, userKey, feedback }: MessageFeedbackProps) {
+  const [saved, setSaved] = useState<Feedback | null>(feedback || null);
+  const [rating, setRating] = useState<'up' | 'down' | null>(null);
+  const [comment, setComment] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const submit = async (newRating: 'up' | 'down', newComment: string) => {
+    setIsSaving(true);
+    setError('');
+    try {
+      const response = await fetch(`${BACKEND_URL}/api/messages/${encodeURIComponent(messageId)}/feedback`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(userKey ? { 'x-user-key': userKey } : {})
+        },
+        body: JSON.stringify({ rating: newRating, comment: newComment.trim() || undefined }),
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `Sending feedback failed (${response.status})`);
+      }
+      setSaved(data.feedback);
+      setRating(null);
+      setComment('');
+    } catch (e) {
+      setError(e instanceof Error ? e.message : 'Sending feedback failed');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRate = (newRating: 'up' | 'down') => {
+    if (newRating === 'up') {
+      submit('up', '');
+    } else {
+      setRating('down');
+    }
+  };
+
+  return (
+    <div className="message-feedback">
+      <button
+        className={saved?.rating === 'up' ? 'active' : ''}
+        onClick={() => handleRate('up')}
+        disabled={isSaving}
+        title="Helpful answer"
+      >
+        👍
+      </button>
+      <button
+        className={saved?.rating === 'down' || rating === 'down' ? 'active' : ''}
+        onClick={() => handleRate('down')}
+        disabled={isSaving}
+        title="Wrong or unhelpful answer"
+      >
+        👎
+      </button>
+      {saved && !rating && <span className="message-feedback-thanks">Thanks for your feedback!</span>}
+      {rating === 'down' && (
+        <div className="message-feedback-form">
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="What was wrong or missing? (optional)"
+            maxLength={1000}
+            rows={2}
+          />
+          <div>
+            <button onClick={() => submit('down', comment)} disabled={isSaving}>
+              {isSaving ? 'Sending...' : 'Send'}
+            </button>
+            <button className="secondary" onClick={() => setRating(null)} disabled={isSaving}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+      {error && <span className="message-feedback-error">❌ {error}</span>}
+    </div>
+  );
+}
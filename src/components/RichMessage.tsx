@@ -0,0 +1,125 @@
+'use client';
+
+export interface RichAction {
+  action: 'postback' | 'say' | 'url';
+  label: string;
+  value: string;
+}
+
+export interface RichCard {
+  title: string;
+  subtitle: string | null;
+  imageUrl: string | null;
+  actions: RichAction[];
+}
+
+export type RichPayload =
+  | { type: 'choice' | 'dropdown'; options: { label: string; value: string }[] }
+  | ({ type: 'card' } & RichCard)
+  | { type: 'carousel'; items: RichCard[] }
+  | { type: 'file'; fileUrl: string | null; title: string | null };
+
+interface RichMessageProps {
+  payload: RichPayload;
+  // Quick replies only make sense while they answer the latest bot message
+  repliesEnabled: boolean;
+  onReply: (label: string, value: string) => void;
+}
+
+function ActionButton({ action, disabled, onReply }: {
+  action: RichAction;
+  disabled: boolean;
+  onReply: (label: string, value: string) => void;
+}) {
+  if (action.action === 'url') {
+    // The webhook already rejects other schemes in strict mode; never render them either way
+    if (!/^https?:\/\//i.test(action.value)) return null;
+    return (
+      <a className="rich-action" href={action.value} target="_blank" rel="noopener noreferrer">
+        {action.label} ↗
+      </a>
+    );
+  }
+  return (
+    <button className="rich-action" disabled={disabled} onClick={() => onReply(action.label, action.value)}>
+      {action.label}
+    </button>
+  );
+}
+
+function Card({ card, disabled, onReply }: {
+  card: RichCard;
+  disabled: boolean;
+  onReply: (label: string, value: string) => void;
+}) {
+  return (
+    <div className="rich-card">
+      {card.imageUrl && <img className="rich-card-image" src={card.imageUrl} alt={card.title} />}
+      <div className="rich-card-body">
+        <div className="rich-card-title">{card.title}</div>
+        {card.subtitle && <div className="rich-card-subtitle">{card.subtitle}</div>}
+      </div>
+      {card.actions.length > 0 && (
+        <div className="rich-card-actions">
+          {card.actions.map((action, index) => (
+            <ActionButton key={index} action={action} disabled={disabled} onReply={onReply} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function RichMessage({ payload, repliesEnabled, onReply }: RichMessageProps) {
+  switch (payload.type) {
+    case 'choice':
+      return (
+        <div className="rich-quick-replies">
+          {payload.options.map((option, index) => (
+            <button
+              key={index}
+              className="rich-quick-reply"
+              disabled={!repliesEnabled}
+              onClick={() => onReply(option.label, option.value)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      );
+    case 'dropdown':
+      return (
+        <div className="rich-button-list">
+          {payload.options.map((option, index) => (
+            <button
+              key={index}
+              className="rich-action"
+              disabled={!repliesEnabled}
+              onClick={() => onReply(option.label, option.value)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      );
+    case 'card':
+      return <Card card={payload} disabled={!repliesEnabled} onReply={onReply} />;
+    case 'carousel':
+      return (
+        <div className="rich-carousel">
+          {payload.items.map((card, index) => (
+            <Card key={index} card={card} disabled={!repliesEnabled} onReply={onReply} />
+          ))}
+        </div>
+      );
+    case 'file':
+      // Messages stored before the backend dropped incomplete payloads may lack the URL
+      return payload.fileUrl ? (
+        <a className="rich-file" href={payload.fileUrl} target="_blank" rel="noopener noreferrer" download>
+          📎 {payload.title || payload.fileUrl.split('/').pop()}
+        </a>
+      ) : null;
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,35 @@
+'use client';
+
+export interface MessageSource {
+  fileId: string;
+  title: string | null;
+  page: number | null;
+  snippet: string | null;
+}
+
+interface SourceCitationsProps {
+  sources: MessageSource[];
+}
+
+// Documents a bot answer was drawn from; each chip opens the document on the info page
+export default function SourceCitations({ sources }: SourceCitationsProps) {
+  return (
+    <div className="source-citations">
+      <span className="source-citations-label">Sources:</span>
+      {sources.map((source, index) => (
+        <a
+          key={`${source.fileId}-${source.page ?? index}`}
+          className="source-citation"
+          href={`/info?document=${encodeURIComponent(source.fileId)}`}
+          target="_blank"
+          rel="noopener noreferrer"
+          title={source.snippet || undefined}
+        >
+          <span className="source-citation-number">{index + 1}</span>
+          {source.title || source.fileId}
+          {source.page && <span className="source-citation-page"> · p. {source.page}</span>}
+        </a>
+      ))}
+    </div>
+  );
+}
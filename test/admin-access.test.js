@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkAdminToken } = require('../lib/admin-access');
+
+test('stays closed without a configured token', () => {
+  assert.strictEqual(checkAdminToken('', 'anything').status, 503);
+  assert.strictEqual(checkAdminToken(undefined, undefined).status, 503);
+});
+
+test('rejects a request without x-admin-token', () => {
+  assert.deepStrictEqual(checkAdminToken('secret', undefined), { status: 401, error: 'Missing x-admin-token header' });
+});
+
+test('rejects a wrong token', () => {
+  assert.strictEqual(checkAdminToken('secret', 'secret2').status, 403);
+  assert.strictEqual(checkAdminToken('secret', 'x').status, 403);
+});
+
+test('lets the admin in', () => {
+  assert.strictEqual(checkAdminToken('secret', 'secret'), null);
+});
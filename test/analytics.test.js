@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createAnalyticsStore, summarizeAnalytics } = require('../lib/analytics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const from = Date.parse('2026-03-02');
+const to = from + DAY_MS;
+
+test('counts latency and timeouts only for the turns asked in range', () => {
+  const events = [
+    // Asked the day before; its late answer and timeout must not count
+    { type: 'user_message', conversationId: 'c1', turnId: 't0', timestamp: from - 1000, text: 'Earlier?' },
+    { type: 'first_bot_message', conversationId: 'c1', turnId: 't0', timestamp: from + 5000, latencyMs: 6000 },
+    { type: 'turn_timed_out', conversationId: 'c1', turnId: 't0', timestamp: from + 6000 },
+    { type: 'user_message', conversationId: 'c1', turnId: 't1', timestamp: from + 1000, text: 'Opening hours?' },
+    { type: 'first_bot_message', conversationId: 'c1', turnId: 't1', timestamp: from + 1800, latencyMs: 800 },
+    { type: 'user_message', conversationId: 'c2', turnId: 't2', timestamp: from + 2000, text: 'opening hours' },
+    { type: 'turn_timed_out', conversationId: 'c2', turnId: 't2', timestamp: from + 40000 },
+    { type: 'turn_timed_out', conversationId: 'c2', turnId: 't2', timestamp: from + 41000 }
+  ];
+
+  const summary = summarizeAnalytics(events, { from, to });
+  assert.deepStrictEqual(summary.latency, { count: 1, p50Ms: 800, p95Ms: 800 });
+  assert.deepStrictEqual(summary.turns, { total: 2, answered: 1, timedOut: 1, errors: 0, timeoutRate: 0.5 });
+  assert.deepStrictEqual(summary.topQuestions.map(entry => entry.count), [2]);
+});
+
+test('forgets question texts after questionRetentionDays but keeps the events', () => {
+  const store = createAnalyticsStore({ driver: 'memory', retentionDays: 90, questionRetentionDays: 0 });
+  store.record('user_message', { conversationId: 'c1', turnId: 't1', text: 'What is my balance?' });
+
+  const events = store.listEvents();
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(events[0].text, undefined);
+});
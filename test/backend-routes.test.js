@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createConversationStore } = require('../lib/conversation-store');
+
+// The backend runs as its own process with no Botpress behind it, on a conversation store
+// seeded with one conversation; `origin` is set once it listens
+let origin;
+let backend;
+let dataDir;
+
+const OWNER_KEY = 'key-owner';
+
+function seedConversations(filePath) {
+  const store = createConversationStore({ driver: 'file', filePath });
+  const now = new Date().toISOString();
+  store.saveConversation({ id: 'conv-1', userKey: OWNER_KEY, title: null, archived: false, createdAt: now });
+  store.addMessage('conv-1', { id: 'msg-user-1', role: 'user', text: 'Opening hours?', turnId: 'turn-1', timestamp: now });
+  store.addMessage('conv-1', { id: 'msg-bot-1', role: 'bot', text: 'From 9 to 5.', turnId: 'turn-1', timestamp: now });
+  store.flush();
+}
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer().listen(0, '127.0.0.1', () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  }).on('error', reject);
+});
+
+test.before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backend-routes-'));
+  const conversationsPath = path.join(dataDir, 'conversations.json');
+  seedConversations(conversationsPath);
+  const port = await freePort();
+  backend = spawn(process.execPath, [path.join(__dirname, '..', 'backend.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      CONVERSATION_STORE: 'file',
+      CONVERSATION_STORE_PATH: conversationsPath,
+      SOURCE_STORE: 'memory',
+      KB_SEARCH_INDEX: 'memory',
+      ANALYTICS_STORE: 'memory',
+      LOG_LEVEL: 'info'
+    },
+    stdio: ['ignore', 'pipe', 'ignore']
+  });
+  await new Promise((resolve, reject) => {
+    backend.on('exit', code => reject(new Error(`Backend exited with ${code}`)));
+    backend.stdout.on('data', chunk => {
+      if (chunk.toString().includes('Server running')) resolve();
+    });
+  });
+  origin = `http://127.0.0.1:${port}`;
+});
+
+test.after(() => {
+  backend.removeAllListeners('exit');
+  backend.kill();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function fileForm(name, content) {
+  const form = new FormData();
+  form.append('file', new Blob([content]), name);
+  return form;
+}
+
+test('replacing a document with an unsupported file type answers 400 JSON', async () => {
+  const response = await fetch(`${origin}/api/documents/file-1/replace`, { method: 'POST', body: fileForm('script.exe', 'MZ') });
+  assert.strictEqual(response.status, 400);
+  assert.match(response.headers.get('content-type'), /application\/json/);
+  assert.match((await response.json()).error, /Invalid file type/);
+});
+
+test('replacing a document with a file over the size limit answers 400 JSON', async () => {
+  const response = await fetch(`${origin}/api/documents/file-1/replace`, {
+    method: 'POST',
+    body: fileForm('large.txt', Buffer.alloc(10 * 1024 * 1024 + 1, 'a'))
+  });
+  assert.strictEqual(response.status, 400);
+  assert.match((await response.json()).error, /File too large/);
+});
+
+// Only the status line and headers; the stream itself stays open
+async function openStream(query) {
+  const controller = new AbortController();
+  const response = await fetch(`${origin}/api/conversations/conv-1/stream${query}`, { signal: controller.signal });
+  const result = { status: response.status, contentType: response.headers.get('content-type') };
+  controller.abort();
+  return result;
+}
+
+test('the conversation stream needs the owner\'s user key', async () => {
+  assert.strictEqual((await openStream('')).status, 401);
+  assert.strictEqual((await openStream('?userKey=key-other')).status, 403);
+
+  const owner = await openStream(`?userKey=${OWNER_KEY}`);
+  assert.strictEqual(owner.status, 200);
+  assert.match(owner.contentType, /text\/event-stream/);
+});
+
+function sendFeedback(messageId, userKey) {
+  return fetch(`${origin}/api/messages/${messageId}/feedback`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(userKey && { 'x-user-key': userKey }) },
+    body: JSON.stringify({ rating: 'up' })
+  });
+}
+
+test('feedback does not reveal whether a message exists to callers without access', async () => {
+  for (const messageId of ['msg-bot-1', 'msg-unknown']) {
+    assert.strictEqual((await sendFeedback(messageId)).status, 401);
+    assert.strictEqual((await sendFeedback(messageId, 'key-other')).status, 403);
+  }
+  const owner = await sendFeedback('msg-bot-1', OWNER_KEY);
+  assert.strictEqual(owner.status, 200);
+  assert.strictEqual((await owner.json()).feedback.rating, 'up');
+});
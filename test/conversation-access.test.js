@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkConversationAccess } = require('../lib/conversation-access');
+
+const conversation = { id: 'conv-1', userKey: 'key-owner' };
+
+test('rejects a request without x-user-key', () => {
+  assert.deepStrictEqual(checkConversationAccess(conversation, undefined), { status: 401, error: 'Missing x-user-key header' });
+  assert.strictEqual(checkConversationAccess(conversation, '').status, 401);
+});
+
+test('does not reveal whether a conversation exists without x-user-key', () => {
+  assert.strictEqual(checkConversationAccess(null, undefined).status, 401);
+});
+
+test('rejects another user and conversations without an owner', () => {
+  assert.strictEqual(checkConversationAccess(conversation, 'key-other').status, 403);
+  assert.strictEqual(checkConversationAccess({ id: 'conv-2' }, 'key-owner').status, 403);
+});
+
+test('reports a missing conversation to a caller with a key', () => {
+  assert.strictEqual(checkConversationAccess(null, 'key-owner').status, 404);
+});
+
+test('lets the owner in', () => {
+  assert.strictEqual(checkConversationAccess(conversation, 'key-owner'), null);
+});
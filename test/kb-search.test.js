@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createKbSearchIndex } = require('../lib/kb-search');
+
+const documents = [
+  { fileId: 'file-1', title: 'Refund policy', text: 'Returns are accepted within 30 days.\n\nRefunds go back to the original card.' },
+  { fileId: 'file-2', title: 'Shipping', text: 'We ship worldwide. Shipping is free above 50 euros.' },
+  { fileId: 'file-3', title: 'Warranty', text: 'Devices have a two year warranty. Refunds for defects are handled by the maker.' }
+];
+
+function indexOf(docs) {
+  const index = createKbSearchIndex({ driver: 'memory' });
+  docs.forEach(doc => index.addDocument(doc));
+  return index;
+}
+
+test('ranks the passages that match the query', () => {
+  const results = indexOf(documents).search('refund card');
+  assert.strictEqual(results[0].fileId, 'file-1');
+  assert.ok(results.every(result => result.score > 0));
+});
+
+test('scores after removing and re-indexing match an index built from scratch', () => {
+  const index = indexOf(documents);
+  index.removeDocument('file-2');
+  index.addDocument({ ...documents[2], text: 'Devices have a three year warranty.' });
+
+  const fresh = indexOf([documents[0], { ...documents[2], text: 'Devices have a three year warranty.' }]);
+  assert.deepStrictEqual(index.stats(), fresh.stats());
+  assert.deepStrictEqual(index.search('refunds warranty'), fresh.search('refunds warranty'));
+  assert.deepStrictEqual(index.search('shipping'), []);
+});
+
+test('a changed title is searchable', () => {
+  const index = indexOf(documents);
+  assert.strictEqual(index.updateTitle('file-2', 'Delivery times'), true);
+  assert.strictEqual(index.search('delivery')[0].title, 'Delivery times');
+  assert.strictEqual(index.updateTitle('missing', 'Anything'), false);
+});
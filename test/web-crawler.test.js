@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { crawl } = require('../lib/web-crawler');
+
+// A small static site on 127.0.0.1; `origin` is set once it listens
+let origin;
+const site = {
+  '/page.html': ['text/html', '<html><head><title>Opening hours</title></head><body><nav>Menu</nav><main><p>We are open from 9 to 5.</p></main></body></html>'],
+  '/other.html': ['text/html', '<html><body><article><h1>Returns</h1><p>Returns are free within 30 days.</p></article></body></html>'],
+  '/sitemap.xml': ['application/xml', () => `<?xml version="1.0"?><urlset><url><loc>${origin}/page.html</loc></url><url><loc>${origin}/other.html</loc></url><url><loc>https://elsewhere.example/page</loc></url></urlset>`],
+  '/data.json': ['application/json', '{}']
+};
+const redirects = {
+  '/moved': () => `${origin}/page.html`,
+  '/to-metadata': () => 'http://169.254.169.254/latest/meta-data/',
+  '/to-localhost': () => `http://localhost:${new URL(origin).port}/page.html`
+};
+
+const server = http.createServer((req, res) => {
+  if (redirects[req.url]) {
+    res.writeHead(302, { Location: redirects[req.url]() });
+    return res.end();
+  }
+  const entry = site[req.url];
+  if (!entry) {
+    res.writeHead(404);
+    return res.end();
+  }
+  const [contentType, body] = entry;
+  res.writeHead(200, { 'Content-Type': contentType });
+  res.end(typeof body === 'function' ? body() : body);
+});
+
+// Only the test server's address is let through
+const options = { allowedHosts: ['127.0.0.1'], timeoutMs: 2000 };
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+});
+
+test('crawls a single page into its readable content', async () => {
+  const result = await crawl(`${origin}/page.html`, options);
+  assert.strictEqual(result.type, 'page');
+  assert.strictEqual(result.pages.length, 1);
+  assert.strictEqual(result.pages[0].title, 'Opening hours');
+  assert.match(result.pages[0].content, /open from 9 to 5/);
+  assert.doesNotMatch(result.pages[0].content, /Menu/);
+});
+
+test('crawls the pages of a sitemap on its own host only', async () => {
+  const result = await crawl(`${origin}/sitemap.xml`, options);
+  assert.strictEqual(result.type, 'sitemap');
+  assert.deepStrictEqual(result.pages.map(page => page.url).sort(), [`${origin}/other.html`, `${origin}/page.html`]);
+});
+
+test('follows redirects and reports the final URL', async () => {
+  const result = await crawl(`${origin}/moved`, options);
+  assert.strictEqual(result.pages[0].url, `${origin}/page.html`);
+});
+
+test('rejects content that is not HTML', async () => {
+  await assert.rejects(crawl(`${origin}/data.json`, options), /Unsupported content type/);
+});
+
+test('refuses loopback addresses that are not allowed', async () => {
+  await assert.rejects(crawl(`${origin}/page.html`, { timeoutMs: 2000 }), /not a public address/);
+  await assert.rejects(crawl('http://[::1]/', { timeoutMs: 2000 }), /not a public address/);
+});
+
+test('refuses host names that resolve to non-public addresses', async () => {
+  await assert.rejects(crawl(`${origin}/to-localhost`, options), /non-public address/);
+});
+
+test('checks every redirect hop', async () => {
+  await assert.rejects(crawl(`${origin}/to-metadata`, options), /169\.254\.169\.254 is not a public address/);
+});
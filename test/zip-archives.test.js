@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { expandZipArchive } = require('../lib/zip-archives');
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+
+let workDir;
+
+test.beforeEach(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-archives-'));
+});
+
+test.afterEach(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+// Overwrite what the local and central headers of `entryName` claim: { size, crc, encrypted }
+function patchHeaders(buffer, entryName, { size, crc, encrypted }) {
+  const name = Buffer.from(entryName);
+  for (let offset = 0; offset < buffer.length - 4; offset++) {
+    const signature = buffer.readUInt32LE(offset);
+    const layout = signature === LOCAL_HEADER ? { flags: 6, crc: 14, size: 22, nameLength: 26, name: 30 }
+      : signature === CENTRAL_HEADER ? { flags: 8, crc: 16, size: 24, nameLength: 28, name: 46 }
+        : null;
+    if (!layout) continue;
+    const nameLength = buffer.readUInt16LE(offset + layout.nameLength);
+    if (!buffer.subarray(offset + layout.name, offset + layout.name + nameLength).equals(name)) continue;
+    if (size !== undefined) buffer.writeUInt32LE(size, offset + layout.size);
+    if (crc !== undefined) buffer.writeUInt32LE(crc, offset + layout.crc);
+    if (encrypted) buffer.writeUInt16LE(buffer.readUInt16LE(offset + layout.flags) | 1, offset + layout.flags);
+  }
+  return buffer;
+}
+
+// Write an archive of { name: content } and apply `patches` ({ name: headerChanges }) to it
+function writeArchive(entries, patches = {}) {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(entries)) {
+    zip.addFile(name, Buffer.from(content));
+  }
+  let buffer = zip.toBuffer();
+  for (const [name, changes] of Object.entries(patches)) {
+    buffer = patchHeaders(buffer, name, changes);
+  }
+  const archivePath = path.join(workDir, 'upload.zip');
+  fs.writeFileSync(archivePath, buffer);
+  return archivePath;
+}
+
+const limits = { allowedExtensions: ['.txt', '.md'], maxEntrySize: 1024 * 1024, maxTotalSize: 10 * 1024 * 1024, maxEntries: 10 };
+
+function expand(archivePath, options = {}) {
+  return expandZipArchive(archivePath, workDir, { ...limits, ...options });
+}
+
+test('extracts documents and skips archive noise and other file types', async () => {
+  const archivePath = writeArchive({
+    'docs/intro.md': '# Intro',
+    'notes.txt': 'Notes',
+    'image.png': 'not a document',
+    '__MACOSX/docs/._intro.md': 'resource fork',
+    '.hidden.txt': 'dot file'
+  });
+
+  const { files, skipped } = await expand(archivePath);
+  assert.deepStrictEqual(files.map(file => file.name), ['docs/intro.md', 'notes.txt']);
+  assert.strictEqual(fs.readFileSync(files[0].path, 'utf8'), '# Intro');
+  assert.deepStrictEqual(skipped, [{ name: 'image.png', reason: 'Unsupported file type (.png)' }]);
+});
+
+test('stops inflating an entry whose header understates its size', async () => {
+  const archivePath = writeArchive({ 'bomb.txt': Buffer.alloc(4 * 1024 * 1024) }, { 'bomb.txt': { size: 100 } });
+
+  const { files, skipped } = await expand(archivePath);
+  assert.deepStrictEqual(files, []);
+  assert.deepStrictEqual(skipped, [{ name: 'bomb.txt', reason: `File too large (limit ${limits.maxEntrySize} bytes)` }]);
+  assert.deepStrictEqual(fs.readdirSync(workDir), ['upload.zip']);
+});
+
+test('keeps to the total size budget even when headers claim small entries', async () => {
+  const entries = { 'a.txt': 'a'.repeat(400), 'b.txt': 'b'.repeat(400), 'c.txt': 'c'.repeat(400) };
+  const patches = { 'a.txt': { size: 1 }, 'b.txt': { size: 1 }, 'c.txt': { size: 1 } };
+
+  const { files, skipped } = await expand(writeArchive(entries, patches), { maxTotalSize: 1000 });
+  assert.deepStrictEqual(files.map(file => file.name), ['a.txt', 'b.txt']);
+  assert.deepStrictEqual(skipped, [{ name: 'c.txt', reason: 'Archive expands to more than 1000 bytes' }]);
+});
+
+test('extracts at most maxEntries documents', async () => {
+  const { files, skipped } = await expand(writeArchive({ 'a.txt': 'a', 'b.txt': 'b', 'c.txt': 'c' }), { maxEntries: 2 });
+  assert.strictEqual(files.length, 2);
+  assert.deepStrictEqual(skipped, [{ name: 'c.txt', reason: 'Archive has more than 2 documents' }]);
+});
+
+test('skips entries with a wrong checksum or encryption', async () => {
+  const archivePath = writeArchive(
+    { 'damaged.txt': 'Some text that was changed in transit', 'secret.txt': 'Top secret' },
+    { 'damaged.txt': { crc: 0x12345678 }, 'secret.txt': { encrypted: true } }
+  );
+
+  const { files, skipped } = await expand(archivePath);
+  assert.deepStrictEqual(files, []);
+  assert.deepStrictEqual(skipped, [
+    { name: 'damaged.txt', reason: 'Damaged file (checksum mismatch)' },
+    { name: 'secret.txt', reason: 'Encrypted files are not supported' }
+  ]);
+});